@@ -2,7 +2,8 @@ module.exports = {
   extends: ["eslint:recommended", "plugin:prettier/recommended"],
   env: {
     node: true,
-    mocha: true
+    mocha: true,
+    es2020: true
   },
   globals: {
     artifacts: true,
@@ -0,0 +1,182 @@
+import { BigNumber, BigNumberish, ContractTransaction, ethers, Signer } from "ethers";
+import { Provider } from "@ethersproject/providers";
+import { ConditionalTokens, ConditionalTokens__factory, IERC20__factory } from "../typechain";
+import idHelpers from "../utils/id-helpers";
+import { validatePartition, outcomesToIndexSet } from "../utils/partition-helpers";
+
+const { getCollectionId, combineCollectionIds, getPositionId } = idHelpers(ethers);
+
+export const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+export interface PositionParams {
+    /** Address of the ERC-20 token backing the positions. */
+    collateral: string;
+    /** Collection shared by all positions involved. Defaults to the null collection, i.e. plain collateral. */
+    parent?: string;
+    /** ID of the condition to split on, merge on or redeem. */
+    condition: string;
+}
+
+export interface SplitParams extends PositionParams {
+    /**
+     * Outcome slot indices of each resulting position, e.g. `[[0, 1], [2]]` for A|B and C.
+     * Defaults to every outcome slot in a position of its own.
+     */
+    outcomes?: number[][];
+    amount: BigNumberish;
+}
+
+export type MergeParams = SplitParams;
+
+export interface PositionBalance {
+    indexSet: BigNumber;
+    collectionId: string;
+    positionId: BigNumber;
+    balance: BigNumber;
+}
+
+export interface ConditionBalances extends PositionParams {
+    outcomeSlotCount: number;
+    positions: PositionBalance[];
+}
+
+/**
+ * Convenience layer over a ConditionalTokens deployment which takes care of
+ * deriving collection and position IDs, validating partitions before sending
+ * transactions and approving collateral for splits.
+ */
+export class ConditionalTokensClient {
+    constructor(public readonly conditionalTokens: ConditionalTokens) {}
+
+    static connect(address: string, signerOrProvider: Signer | Provider): ConditionalTokensClient {
+        return new ConditionalTokensClient(ConditionalTokens__factory.connect(address, signerOrProvider));
+    }
+
+    getCollectionId(parent: string | undefined, condition: string, indexSet: BigNumberish): string {
+        const collectionId = getCollectionId(condition, BigNumber.from(indexSet).toString());
+        return parent == null || BigNumber.from(parent).isZero()
+            ? collectionId
+            : combineCollectionIds([parent, collectionId]);
+    }
+
+    getPositionId(
+        collateral: string,
+        parent: string | undefined,
+        condition: string,
+        indexSet: BigNumberish
+    ): BigNumber {
+        return BigNumber.from(getPositionId(collateral, this.getCollectionId(parent, condition, indexSet)));
+    }
+
+    async getOutcomeSlotCount(condition: string): Promise<number> {
+        const outcomeSlotCount = (await this.conditionalTokens.getOutcomeSlotCount(condition)).toNumber();
+        if (outcomeSlotCount === 0) throw new Error("condition not prepared yet");
+        return outcomeSlotCount;
+    }
+
+    async split({ collateral, parent, condition, outcomes, amount }: SplitParams): Promise<ContractTransaction> {
+        const { partition, full } = await this.getPartition(condition, outcomes);
+        if (full && (parent == null || BigNumber.from(parent).isZero())) {
+            await this.ensureAllowance(collateral, amount);
+        }
+        return this.conditionalTokens.splitPosition(collateral, parent ?? NULL_BYTES32, condition, partition, amount);
+    }
+
+    async merge({ collateral, parent, condition, outcomes, amount }: MergeParams): Promise<ContractTransaction> {
+        const { partition } = await this.getPartition(condition, outcomes);
+        return this.conditionalTokens.mergePositions(collateral, parent ?? NULL_BYTES32, condition, partition, amount);
+    }
+
+    /**
+     * Merges as much as possible of the full set of outcome positions of a condition
+     * back into collateral, or into the parent position if one is given.
+     * Resolves to null if the signer does not hold a full set.
+     */
+    async mergeAll(params: PositionParams): Promise<ContractTransaction | null> {
+        const [{ positions }] = await this.balancesFor(await this.getSignerAddress(), [params]);
+        const amount = positions.reduce(
+            (min, { balance }) => (balance.lt(min) ? balance : min),
+            ethers.constants.MaxUint256
+        );
+        if (amount.isZero()) return null;
+        return this.merge({ ...params, amount });
+    }
+
+    /**
+     * Redeems every outcome position of a resolved condition which the signer holds.
+     * Resolves to null if there is nothing to redeem.
+     */
+    async redeemAll({ collateral, parent, condition }: PositionParams): Promise<ContractTransaction | null> {
+        if ((await this.conditionalTokens.payoutDenominator(condition)).isZero())
+            throw new Error("result for condition not received yet");
+        const [{ positions }] = await this.balancesFor(await this.getSignerAddress(), [
+            { collateral, parent, condition },
+        ]);
+        const indexSets = positions.filter(({ balance }) => !balance.isZero()).map(({ indexSet }) => indexSet);
+        if (indexSets.length === 0) return null;
+        return this.conditionalTokens.redeemPositions(collateral, parent ?? NULL_BYTES32, condition, indexSets);
+    }
+
+    /**
+     * Reads the balances of an account in every single outcome position
+     * of each of the given conditions with one balanceOfBatch call.
+     */
+    async balancesFor(account: string, conditions: PositionParams[]): Promise<ConditionBalances[]> {
+        const outcomeSlotCounts = await Promise.all(
+            conditions.map(({ condition }) => this.getOutcomeSlotCount(condition))
+        );
+        const results: ConditionBalances[] = conditions.map(({ collateral, parent, condition }, i) => ({
+            collateral,
+            parent: parent ?? NULL_BYTES32,
+            condition,
+            outcomeSlotCount: outcomeSlotCounts[i],
+            positions: Array.from({ length: outcomeSlotCounts[i] }, (_, j) => {
+                const indexSet = BigNumber.from(1).shl(j);
+                const collectionId = this.getCollectionId(parent, condition, indexSet);
+                return {
+                    indexSet,
+                    collectionId,
+                    positionId: BigNumber.from(getPositionId(collateral, collectionId)),
+                    balance: BigNumber.from(0),
+                };
+            }),
+        }));
+
+        const positions = results.flatMap(({ positions }) => positions);
+        const balances = await this.conditionalTokens.balanceOfBatch(
+            positions.map(() => account),
+            positions.map(({ positionId }) => positionId)
+        );
+        positions.forEach((position, i) => (position.balance = balances[i]));
+        return results;
+    }
+
+    private async getPartition(
+        condition: string,
+        outcomes?: number[][]
+    ): Promise<{ partition: BigNumber[]; full: boolean }> {
+        const outcomeSlotCount = await this.getOutcomeSlotCount(condition);
+        const partition = (outcomes ?? Array.from({ length: outcomeSlotCount }, (_, i) => [i])).map((slots) =>
+            BigNumber.from(outcomesToIndexSet(slots).toString())
+        );
+        const validation = validatePartition(
+            partition.map((indexSet) => indexSet.toString()),
+            outcomeSlotCount
+        );
+        if (!validation.valid) throw new Error(validation.reason);
+        return { partition, full: validation.full };
+    }
+
+    private async ensureAllowance(collateral: string, amount: BigNumberish): Promise<void> {
+        const token = IERC20__factory.connect(collateral, this.conditionalTokens.signer);
+        const allowance = await token.allowance(await this.getSignerAddress(), this.conditionalTokens.address);
+        if (allowance.lt(amount)) {
+            await (await token.approve(this.conditionalTokens.address, amount)).wait();
+        }
+    }
+
+    private async getSignerAddress(): Promise<string> {
+        if (this.conditionalTokens.signer == null) throw new Error("client is not connected to a signer");
+        return this.conditionalTokens.signer.getAddress();
+    }
+}
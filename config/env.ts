@@ -11,3 +11,22 @@ if (!process.env.MNEMONIC) {
 export const mnemonic: string = process.env.MNEMONIC;
 // export const infuraApiKey = process.env.INFURA_API_KEY;
 
+export interface DeploymentOptions {
+    /**
+     * Deploy ConditionalTokens through the CREATE2 factory so that it ends up at the
+     * same address on every chain, set with DETERMINISTIC_DEPLOYMENT=true.
+     */
+    deterministicDeployment: boolean;
+    /** DEPLOYMENT_SALT, a hex string of at most 32 bytes. */
+    deploymentSalt?: string;
+    /** Only report the predicted address and what is deployed there, set with DRY_RUN=true. */
+    dryRun: boolean;
+}
+
+// Read when the deploy scripts run rather than when this is loaded, so that
+// tests can run them with different options.
+export const getDeploymentOptions = (): DeploymentOptions => ({
+    deterministicDeployment: process.env.DETERMINISTIC_DEPLOYMENT === "true",
+    deploymentSalt: process.env.DEPLOYMENT_SALT,
+    dryRun: process.env.DRY_RUN === "true",
+});
@@ -1,26 +1,110 @@
-import { } from "./env";
+import { HttpNetworkUserConfig } from "hardhat/types";
+import { mnemonic } from "./env";
 
-export enum ChainId {
-    berachain = 80085,
+type AccountStrategy = "mnemonic" | "privateKey";
 
+export interface NetworkDefinition {
+    chainId: number;
+    /** Default RPC endpoint, overridable with the <NETWORK>_RPC_URL environment variable. */
+    url: string;
+    /**
+     * Where deployment accounts come from: the MNEMONIC of the .env file, or the
+     * <NETWORK>_PRIVATE_KEY environment variable, falling back to PRIVATE_KEY_DEPLOY.
+     */
+    accounts: AccountStrategy;
+    /** Fixed gas price in wei, or "auto" to ask the node. */
+    gasPrice?: number | "auto";
+    gasMultiplier?: number;
+    /**
+     * Block explorer. With the host of an Etherscan compatible API as apiUrl, contracts can be
+     * verified with hardhat-deploy's etherscan-verify task and the <NETWORK>_EXPLORER_API_KEY
+     * environment variable, falling back to ETHERSCAN_API_KEY.
+     */
+    explorer?: {
+        url: string;
+        apiUrl?: string;
+    };
 }
 
+export type RemoteChain = "mainnet" | "xdai" | "berachain";
 
+// Adding a chain takes its name above and an entry here: hardhat.config.ts
+// builds its networks, with their verify settings, from this catalogue.
+export const networkDefinitions: Record<RemoteChain, NetworkDefinition> = {
+    mainnet: {
+        chainId: 1,
+        url: "https://cloudflare-eth.com",
+        accounts: "mnemonic",
+        gasPrice: "auto",
+        explorer: { url: "https://etherscan.io", apiUrl: "https://api.etherscan.io" },
+    },
+    xdai: {
+        chainId: 100,
+        url: "https://rpc.gnosischain.com",
+        accounts: "mnemonic",
+        gasPrice: 1000000000,
+        explorer: { url: "https://gnosisscan.io", apiUrl: "https://api.gnosisscan.io" },
+    },
+    berachain: {
+        chainId: 80085,
+        url: "https://artio.rpc.berachain.com/",
+        accounts: "privateKey",
+        explorer: { url: "https://artio.beratrail.io" },
+    },
+};
 
+export const remoteChains = Object.keys(networkDefinitions) as RemoteChain[];
 
-const beraChains = ["berachain"] as const;
-type BeraChain=typeof beraChains[number];
-const getberaConfig = (network: BeraChain): { url: string; chainId: number } => {
-    return {
-        url: `https://artio.rpc.berachain.com/`,
-        chainId: ChainId[network],
-    };
+export const ChainId = Object.fromEntries(
+    remoteChains.map((network) => [network, networkDefinitions[network].chainId]),
+) as Record<RemoteChain, number>;
+
+const getNetworkDefinition = (network: RemoteChain): NetworkDefinition => {
+    if (!remoteChains.includes(network)) throw Error("Unknown network");
+    return networkDefinitions[network];
 };
 
+const getEnv = (network: RemoteChain, name: string): string | undefined =>
+    process.env[`${network.toUpperCase()}_${name}`];
+
+const getAccounts = (network: RemoteChain, strategy: AccountStrategy): HttpNetworkUserConfig["accounts"] => {
+    if (strategy === "mnemonic") {
+        return {
+            count: 10,
+            initialIndex: 0,
+            mnemonic,
+            path: "m/44'/60'/0'/0",
+        };
+    }
+    const privateKey = getEnv(network, "PRIVATE_KEY") ?? process.env.PRIVATE_KEY_DEPLOY;
+    // Without a key the network stays usable for read-only tasks.
+    return privateKey ? [privateKey] : undefined;
+};
+
+export const getRemoteNetworkConfig = (network: RemoteChain): HttpNetworkUserConfig => {
+    const { chainId, url, accounts, gasPrice, gasMultiplier, explorer } = getNetworkDefinition(network);
+    const config: HttpNetworkUserConfig = {
+        chainId,
+        url: getEnv(network, "RPC_URL") ?? url,
+    };
+    const networkAccounts = getAccounts(network, accounts);
+    if (networkAccounts !== undefined) config.accounts = networkAccounts;
+    if (gasPrice !== undefined) config.gasPrice = gasPrice;
+    if (gasMultiplier !== undefined) config.gasMultiplier = gasMultiplier;
+    if (explorer?.apiUrl !== undefined) {
+        const apiKey = getEnv(network, "EXPLORER_API_KEY") ?? process.env.ETHERSCAN_API_KEY;
+        config.verify = { etherscan: { apiKey, apiUrl: explorer.apiUrl } };
+    }
+    return config;
+};
 
-export type RemoteChain = BeraChain;
-export const getRemoteNetworkConfig = (network: RemoteChain): { url: string; chainId: number } => {
+export const getRemoteNetworksConfig = (): Record<RemoteChain, HttpNetworkUserConfig> =>
+    Object.fromEntries(remoteChains.map((network) => [network, getRemoteNetworkConfig(network)])) as Record<
+        RemoteChain,
+        HttpNetworkUserConfig
+    >;
 
-    if (beraChains.includes(network as BeraChain)) return getberaConfig(network as BeraChain);
-    throw Error("Unknown network");
+export const getExplorerUrl = (network: RemoteChain, kind: "address" | "tx", value: string): string | undefined => {
+    const { explorer } = getNetworkDefinition(network);
+    return explorer && `${explorer.url}/${kind}/${value}`;
 };
@@ -0,0 +1,33 @@
+pragma solidity ^0.5.1;
+
+import { IERC20 } from "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+import { CTHelpers } from "../CTHelpers.sol";
+
+contract CTHelpersExposer {
+    function getConditionId(address oracle, bytes32 questionId, uint outcomeSlotCount) external pure returns (bytes32) {
+        return CTHelpers.getConditionId(oracle, questionId, outcomeSlotCount);
+    }
+
+    function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint indexSet) external view returns (bytes32) {
+        return CTHelpers.getCollectionId(parentCollectionId, conditionId, indexSet);
+    }
+
+    /// @dev Computes many collection IDs in one call, which keeps differential tests fast.
+    function getCollectionIds(bytes32[] calldata parentCollectionIds, bytes32[] calldata conditionIds, uint[] calldata indexSets)
+        external
+        view
+        returns (bytes32[] memory collectionIds)
+    {
+        require(
+            parentCollectionIds.length == conditionIds.length && conditionIds.length == indexSets.length,
+            "got arrays of different lengths"
+        );
+        collectionIds = new bytes32[](indexSets.length);
+        for (uint i = 0; i < indexSets.length; i++)
+            collectionIds[i] = CTHelpers.getCollectionId(parentCollectionIds[i], conditionIds[i], indexSets[i]);
+    }
+
+    function getPositionId(IERC20 collateralToken, bytes32 collectionId) external pure returns (uint) {
+        return CTHelpers.getPositionId(collateralToken, collectionId);
+    }
+}
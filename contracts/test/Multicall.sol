@@ -0,0 +1,21 @@
+pragma solidity ^0.5.1;
+pragma experimental ABIEncoderV2;
+
+/// @title Multicall
+/// @dev Has the aggregate function of the Multicall contracts deployed on most chains.
+contract Multicall {
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    function aggregate(Call[] memory calls) public returns (uint blockNumber, bytes[] memory returnData) {
+        blockNumber = block.number;
+        returnData = new bytes[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            (bool success, bytes memory ret) = calls[i].target.call(calls[i].callData);
+            require(success, "multicall failed");
+            returnData[i] = ret;
+        }
+    }
+}
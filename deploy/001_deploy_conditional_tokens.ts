@@ -1,17 +1,55 @@
 import { HardhatRuntimeEnvironment } from "hardhat/types";
 import { DeployFunction } from "hardhat-deploy/types";
+import { getDeploymentOptions } from "../config";
+import deterministicHelpers from "../utils/deterministic-deployment";
 
 const func: DeployFunction = async (hre: HardhatRuntimeEnvironment) => {
-    const { deployments, getNamedAccounts } = hre;
-    const { deploy } = deployments;
+    const { deployments, getNamedAccounts, ethers } = hre;
+    const { deploy, getArtifact, getOrNull } = deployments;
+    const { bytecodeStatus, getDeterministicAddress, verifyDeployedBytecode } = deterministicHelpers(ethers);
+    const { deterministicDeployment, deploymentSalt, dryRun } = getDeploymentOptions();
 
     const { deployer } = await getNamedAccounts();
+    const { bytecode, deployedBytecode } = await getArtifact("ConditionalTokens");
 
-    await deploy("ConditionalTokens", {
+    // Code which differs in more than its metadata was not compiled from these
+    // sources, so we refuse to build on top of it.
+    const verify = async (address: string): Promise<string> => {
+        const status = await verifyDeployedBytecode(ethers.provider, address, deployedBytecode);
+        console.log(`ConditionalTokens at ${address}: ${status}`);
+        if (status === bytecodeStatus.DIFFERENT) {
+            throw new Error(`code at ${address} does not match the ConditionalTokens artifact`);
+        }
+        return status;
+    };
+
+    const existing = await getOrNull("ConditionalTokens");
+    if (existing) await verify(existing.address);
+
+    const address = deterministicDeployment
+        ? getDeterministicAddress({ initCode: bytecode, salt: deploymentSalt })
+        : ethers.utils.getContractAddress({
+              from: deployer,
+              nonce: await ethers.provider.getTransactionCount(deployer),
+          });
+    if (deterministicDeployment || dryRun) await verify(address);
+    if (dryRun) {
+        console.log(`dry run: ConditionalTokens would be deployed at ${address}`);
+        return;
+    }
+
+    const result = await deploy("ConditionalTokens", {
         from: deployer,
         args: [],
         log: true,
+        deterministicDeployment: deterministicDeployment ? deploymentSalt ?? true : undefined,
     });
+    if (deterministicDeployment && result.address.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`deployed at ${result.address} instead of predicted ${address}`);
+    }
+    if ((await verify(result.address)) === bytecodeStatus.NO_CODE) {
+        throw new Error(`no code at ${result.address} after deployment`);
+    }
 };
 
 export default func;
@@ -1,5 +1,5 @@
 import { HardhatUserConfig } from "hardhat/config";
-import { getRemoteNetworkConfig, mnemonic } from "./config";
+import { getRemoteNetworksConfig } from "./config";
 
 import "hardhat-deploy";
 // To make hardhat-waffle compatible with hardhat-deploy
@@ -9,13 +9,50 @@ import "hardhat-gas-reporter";
 import "@typechain/hardhat";
 import "solidity-coverage";
 
-const accounts = {
-    count: 10,
-    initialIndex: 0,
-    mnemonic,
-    path: "m/44'/60'/0'/0",
+import "./tasks/conditional-tokens";
+import "./tasks/oracle";
+import "./tasks/vectors";
+import "./tasks/test-contracts";
+
+const solc051 = {
+    version: "0.5.1",
+    settings: {
+        // https://hardhat.org/hardhat-network/#solidity-optimizer-support
+        optimizer: {
+            enabled: true,
+            runs: 200,
+        },
+    },
 };
 
+// The Gnosis Safe test contracts and the @gnosis.pm/safe-contracts sources they
+// import declare >=0.5.0 <0.7.0, but do not compile with 0.6.12
+const gnosisSafeSources = [
+    "test/contracts/DefaultCallbackHandler.sol",
+    "test/contracts/GnosisSafe.sol",
+    "test/contracts/GnosisSafeProxy.sol",
+    ...[
+        "GnosisSafe.sol",
+        "base/Executor.sol",
+        "base/FallbackManager.sol",
+        "base/Module.sol",
+        "base/ModuleManager.sol",
+        "base/OwnerManager.sol",
+        "common/Enum.sol",
+        "common/MasterCopy.sol",
+        "common/SecuredTokenTransfer.sol",
+        "common/SelfAuthorized.sol",
+        "common/SignatureDecoder.sol",
+        "external/GnosisSafeMath.sol",
+        "handler/DefaultCallbackHandler.sol",
+        "interfaces/ERC1155TokenReceiver.sol",
+        "interfaces/ERC721TokenReceiver.sol",
+        "interfaces/ERC777TokensRecipient.sol",
+        "interfaces/ISignatureValidator.sol",
+        "proxies/GnosisSafeProxy.sol",
+    ].map((source) => `@gnosis.pm/safe-contracts/contracts/${source}`),
+];
+
 const config: HardhatUserConfig = {
     defaultNetwork: "berachain",
     namedAccounts: {
@@ -23,12 +60,7 @@ const config: HardhatUserConfig = {
         admin: 1,
         trader: 2,
     },
-    networks: {
-        berachain: { 
-            url: `https://artio.rpc.berachain.com/`,   
-            accounts: [`${process.env.PRIVATE_KEY_DEPLOY}`]
-         },
-    },
+    networks: getRemoteNetworksConfig(),
     paths: {
         artifacts: "./artifacts",
         cache: "./cache",
@@ -68,17 +100,9 @@ const config: HardhatUserConfig = {
                     },
                 },
             },
-            {
-                version: "0.5.1",
-                settings: {
-                    // https://hardhat.org/hardhat-network/#solidity-optimizer-support
-                    optimizer: {
-                        enabled: true,
-                        runs: 200,
-                    },
-                },
-            },
+            solc051,
         ],
+        overrides: Object.fromEntries(gnosisSafeSources.map((source) => [source, solc051])),
     },
     typechain: {
         outDir: "typechain",
@@ -87,7 +111,7 @@ const config: HardhatUserConfig = {
     gasReporter: {
         currency: "USD",
         gasPrice: 100,
-        excludeContracts: ["Mock", "ERC20"],
+        excludeContracts: ["Mock", "ERC20", "Forwarder", "GnosisSafe", "DefaultCallbackHandler", "Multicall"],
     },
 };
 
@@ -0,0 +1,231 @@
+import { BigNumber } from "ethers";
+import { task, types } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { indexSetToOutcomes } from "../utils/partition-helpers";
+import questionRegistry from "../utils/question-registry";
+import simulator from "../utils/simulator";
+import { getConditionalTokens, getSigner, loadRegistry, parseList } from "./helpers";
+
+// Outcomes are named after the registered question a condition was prepared for,
+// and by their outcome slot index otherwise. A partition is written like in the
+// docs, e.g. "Yes|No,Maybe" for the index sets 0b011 and 0b100.
+const getOutcomeLabels = (
+    hre: HardhatRuntimeEnvironment,
+    registryFile: string,
+    conditionId: string,
+    outcomeSlotCount: number,
+): string[] => {
+    const question = loadRegistry(hre, registryFile).findByCondition(conditionId);
+    return question ? question.outcomes : Array.from({ length: outcomeSlotCount }, (_, i) => `${i}`);
+};
+
+const parseOutcomes = (partition: string, labels: string[]): number[][] =>
+    parseList(partition).map((collection) =>
+        collection.split("|").map((label) => {
+            const index = labels.indexOf(label.trim());
+            if (index === -1) throw new Error(`got unknown outcome ${label.trim()}`);
+            return index;
+        }),
+    );
+
+const formatIndexSet = (indexSet: BigNumber, labels: string[]): string =>
+    indexSetToOutcomes(indexSet.toString())
+        .map((i) => labels[i])
+        .join("|");
+
+const connectClient = async (hre: HardhatRuntimeEnvironment, address?: string, from?: string) => {
+    // imported here because typechain is generated after this file is loaded by the config,
+    // and the client narrows the contract to its typechain type
+    const { ConditionalTokensClient } = await import("../client");
+    const conditionalTokens = await getConditionalTokens(hre, address);
+    return ConditionalTokensClient.connect(conditionalTokens.address, await getSigner(hre, from));
+};
+
+const taskWithCommonParams = (name: string, description: string) =>
+    task(name, description)
+        .addOptionalParam("from", "Sender address, defaults to the first account")
+        .addOptionalParam("address", "ConditionalTokens address, defaults to the one deployed on the network")
+        .addOptionalParam("registry", "Path of the question registry", "questions.json");
+
+const positionParams = (task: ReturnType<typeof taskWithCommonParams>) =>
+    task
+        .addParam("condition", "Condition ID")
+        .addParam("collateral", "Collateral token address")
+        .addOptionalParam("parent", "Parent collection ID, defaults to plain collateral");
+
+taskWithCommonParams("ct:prepare", "Prepares a condition")
+    .addParam("question", "Question ID")
+    .addOptionalParam("oracle", "Oracle address, defaults to the sender")
+    .addOptionalParam(
+        "outcomeSlotCount",
+        "Number of outcome slots, defaults to the outcomes of the registered question",
+        undefined,
+        types.int,
+    )
+    .setAction(async ({ question: questionId, oracle, outcomeSlotCount, from, address, registry: file }, hre) => {
+        const registry = loadRegistry(hre, file);
+        const question = registry.find(questionId);
+        outcomeSlotCount = outcomeSlotCount ?? question?.outcomes.length;
+        if (outcomeSlotCount == null) throw new Error("outcome slot count needed for unregistered question");
+        const { conditionalTokens } = await connectClient(hre, address, from);
+        oracle = oracle ?? (await conditionalTokens.signer.getAddress());
+
+        const conditionId = await conditionalTokens.getConditionId(oracle, questionId, outcomeSlotCount);
+        const { ConditionalTokensSimulator } = simulator(hre.ethers);
+        const state = await ConditionalTokensSimulator.fromContract(conditionalTokens, { conditionIds: [conditionId] });
+        const result = state.prepareCondition({ oracle, questionId, outcomeSlotCount });
+        if (!result.success) throw new Error(result.reason);
+
+        const tx = await conditionalTokens.prepareCondition(oracle, questionId, outcomeSlotCount);
+        console.log(`preparing ${conditionId} (tx: ${tx.hash})`);
+        await tx.wait();
+
+        if (question) {
+            registry.addCondition(questionId, {
+                chainId: (await hre.ethers.provider.getNetwork()).chainId,
+                oracle,
+                conditionId,
+            });
+            registry.save();
+        }
+    });
+
+taskWithCommonParams("ct:report", "Reports payouts for a question, which has to be sent by its oracle")
+    .addParam("question", "Question ID")
+    .addOptionalParam("payouts", "Comma separated payout numerators, one per outcome")
+    .addOptionalParam("winners", "Comma separated winning outcomes of a registered question")
+    .addOptionalParam("scalar", 'Answer to a question with two outcomes as "low,high,value", clamped to the range')
+    .addFlag("invalid", "Pays out every outcome equally")
+    .addOptionalParam(
+        "outcomeSlotCount",
+        "Outcome slot count of an unregistered question reported invalid",
+        undefined,
+        types.int,
+    )
+    .addFlag("dryRun", "Only check that the report would succeed")
+    .setAction(async (args, hre) => {
+        const { question: questionId, payouts, winners, scalar, invalid, from, address, registry: file, dryRun } = args;
+        let { outcomeSlotCount } = args;
+        const { buildPayouts } = questionRegistry(hre.ethers);
+        const question = loadRegistry(hre, file).find(questionId);
+        if (!question && winners) throw new Error(`question ${questionId} is not in the registry`);
+        const range = scalar ? parseList(scalar) : [];
+        if (scalar && range.length !== 3) throw new Error(`got invalid scalar answer ${scalar}`);
+        if (payouts) outcomeSlotCount = parseList(payouts).length;
+        else if (scalar) outcomeSlotCount = 2;
+        else if (!question && invalid && outcomeSlotCount == null)
+            throw new Error("outcome slot count needed for unregistered question");
+        const payoutVector = buildPayouts(question ?? { outcomeSlotCount }, {
+            payouts: payouts && parseList(payouts),
+            winners: winners && parseList(winners),
+            scalar: scalar && { low: range[0], high: range[1], value: range[2] },
+            invalid,
+        });
+
+        // The condition is derived from the sender, so checking against the
+        // contract's payout numerators and denominator catches a wrong oracle
+        // as well as a condition which is not prepared or already resolved.
+        const { conditionalTokens } = await connectClient(hre, address, from);
+        const oracle = await conditionalTokens.signer.getAddress();
+        const conditionId = await conditionalTokens.getConditionId(oracle, questionId, payoutVector.length);
+        const { ConditionalTokensSimulator } = simulator(hre.ethers);
+        const state = await ConditionalTokensSimulator.fromContract(conditionalTokens, { conditionIds: [conditionId] });
+        const result = state.reportPayouts({ from: oracle, questionId, payouts: payoutVector });
+        if (!result.success) throw new Error(`${result.reason} (condition ${conditionId}, oracle ${oracle})`);
+
+        console.log(`payouts for ${conditionId}: [${payoutVector.join(", ")}]`);
+        if (dryRun) return;
+        const tx = await conditionalTokens.reportPayouts(
+            questionId,
+            payoutVector.map((payout) => payout.toString()),
+        );
+        console.log(`reporting (tx: ${tx.hash})`);
+        await tx.wait();
+    });
+
+positionParams(taskWithCommonParams("ct:split", "Splits collateral or a position on a condition"))
+    .addParam("amount", "Amount in the collateral's base units")
+    .addOptionalParam("outcomes", 'Partition to split into, e.g. "Yes|No,Maybe", defaults to every outcome')
+    .setAction(async ({ condition, collateral, parent, amount, outcomes, from, address, registry }, hre) => {
+        const client = await connectClient(hre, address, from);
+        const labels = getOutcomeLabels(hre, registry, condition, await client.getOutcomeSlotCount(condition));
+        const tx = await client.split({
+            collateral,
+            parent,
+            condition,
+            outcomes: outcomes && parseOutcomes(outcomes, labels),
+            amount,
+        });
+        console.log(`splitting (tx: ${tx.hash})`);
+        await tx.wait();
+    });
+
+positionParams(taskWithCommonParams("ct:merge", "Merges positions on a condition"))
+    .addOptionalParam("amount", "Amount in the collateral's base units, defaults to all full sets held")
+    .addOptionalParam("outcomes", 'Partition to merge, e.g. "Yes|No,Maybe", defaults to every outcome')
+    .setAction(async ({ condition, collateral, parent, amount, outcomes, from, address, registry }, hre) => {
+        const client = await connectClient(hre, address, from);
+        const labels = getOutcomeLabels(hre, registry, condition, await client.getOutcomeSlotCount(condition));
+        const params = { collateral, parent, condition };
+        if (amount == null && outcomes != null) throw new Error("amount needed to merge a partition");
+        const tx =
+            amount == null
+                ? await client.mergeAll(params)
+                : await client.merge({ ...params, outcomes: outcomes && parseOutcomes(outcomes, labels), amount });
+        if (tx == null) {
+            console.log("nothing to merge");
+            return;
+        }
+        console.log(`merging (tx: ${tx.hash})`);
+        await tx.wait();
+    });
+
+positionParams(taskWithCommonParams("ct:redeem", "Redeems all positions held on a resolved condition")).setAction(
+    async ({ condition, collateral, parent, from, address }, hre) => {
+        const client = await connectClient(hre, address, from);
+        const tx = await client.redeemAll({ collateral, parent, condition });
+        if (tx == null) {
+            console.log("nothing to redeem");
+            return;
+        }
+        console.log(`redeeming (tx: ${tx.hash})`);
+        const { events } = await tx.wait();
+        const redemption = events?.find(({ event }) => event === "PayoutRedemption");
+        if (redemption?.args) console.log(`payout: ${redemption.args.payout}`);
+    },
+);
+
+positionParams(taskWithCommonParams("ct:positions", "Lists the balances of an account in each outcome of a condition"))
+    .addOptionalParam("account", "Account to list, defaults to the sender")
+    .setAction(async ({ condition, collateral, parent, account, from, address, registry }, hre) => {
+        const client = await connectClient(hre, address, from);
+        account = account ?? (await (await getSigner(hre, from)).getAddress());
+        const [{ outcomeSlotCount, positions }] = await client.balancesFor(account, [
+            { collateral, parent, condition },
+        ]);
+        const labels = getOutcomeLabels(hre, registry, condition, outcomeSlotCount);
+        for (const { indexSet, positionId, balance } of positions) {
+            console.log(`${formatIndexSet(indexSet, labels)}\t${positionId.toHexString()}\t${balance}`);
+        }
+    });
+
+taskWithCommonParams("ct:condition-info", "Shows the outcomes and resolution of a condition")
+    .addParam("condition", "Condition ID")
+    .setAction(async ({ condition, address, registry: file }, hre) => {
+        const conditionalTokens = await getConditionalTokens(hre, address);
+        const outcomeSlotCount = (await conditionalTokens.getOutcomeSlotCount(condition)).toNumber();
+        if (outcomeSlotCount === 0) {
+            console.log(`condition ${condition} is not prepared`);
+            return;
+        }
+        const question = loadRegistry(hre, file).findByCondition(condition);
+        if (question) console.log(`question: ${question.text} (${question.questionId})`);
+        const labels = getOutcomeLabels(hre, file, condition, outcomeSlotCount);
+        const denominator = await conditionalTokens.payoutDenominator(condition);
+        console.log(`outcome slots: ${outcomeSlotCount}`);
+        for (let i = 0; i < outcomeSlotCount; i++) {
+            const numerator = await conditionalTokens.payoutNumerators(condition, i);
+            console.log(`  ${labels[i]}${denominator.isZero() ? "" : `\t${numerator}/${denominator}`}`);
+        }
+        console.log(denominator.isZero() ? "not resolved yet" : "resolved");
+    });
@@ -0,0 +1,31 @@
+import { Contract, Signer } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { resolve } from "path";
+import { getDeployment } from "../utils/deployments";
+import questionRegistry from "../utils/question-registry";
+
+export const getSigner = async (hre: HardhatRuntimeEnvironment, from?: string): Promise<Signer> =>
+    from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+
+/**
+ * Connects to the ConditionalTokens instance at the given address, or else the one
+ * deployed with hardhat-deploy on the current network, or else the one listed
+ * for its chain in the deployment registry. It is typed as a plain contract
+ * because the config loads this file before typechain has generated any types.
+ */
+export const getConditionalTokens = async (hre: HardhatRuntimeEnvironment, address?: string): Promise<Contract> => {
+    if (!address) {
+        const deployment = await hre.deployments.getOrNull("ConditionalTokens");
+        address = deployment
+            ? deployment.address
+            : getDeployment((await hre.ethers.provider.getNetwork()).chainId).address;
+    }
+    return hre.ethers.getContractAt("ConditionalTokens", address);
+};
+
+export const loadRegistry = (hre: HardhatRuntimeEnvironment, file: string) => {
+    const { QuestionRegistry } = questionRegistry(hre.ethers);
+    return QuestionRegistry.load(resolve(hre.config.paths.root, file));
+};
+
+export const parseList = (list: string): string[] => list.split(",").map((item) => item.trim());
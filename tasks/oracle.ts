@@ -0,0 +1,53 @@
+import { task, types } from "hardhat/config";
+import { getConditionalTokens, loadRegistry, parseList } from "./helpers";
+
+task("oracle:add-question", "Adds a question to the local registry and prints its question ID")
+    .addParam("text", "Question text")
+    .addParam("outcomes", "Comma separated outcomes, in outcome slot order")
+    .addOptionalParam("nonce", "Tells apart questions asked again with the same wording", 0, types.int)
+    .addOptionalParam("registry", "Path of the question registry", "questions.json")
+    .setAction(async ({ text, outcomes, nonce, registry: file }, hre) => {
+        const registry = loadRegistry(hre, file);
+        const { questionId } = registry.add({ text, outcomes: parseList(outcomes), nonce });
+        registry.save();
+        console.log(questionId);
+    });
+
+task("oracle:questions", "Lists the registered questions and their status on the current network")
+    .addOptionalParam("address", "ConditionalTokens address")
+    .addOptionalParam("registry", "Path of the question registry", "questions.json")
+    .setAction(async ({ address, registry: file }, hre) => {
+        const conditionalTokens = await getConditionalTokens(hre, address);
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        for (const { questionId, text, outcomes, conditions } of loadRegistry(hre, file).list()) {
+            console.log(`${questionId} ${text} [${outcomes.join(", ")}]`);
+            for (const { oracle, conditionId } of conditions.filter((condition) => condition.chainId === chainId)) {
+                const resolved = !(await conditionalTokens.payoutDenominator(conditionId)).isZero();
+                console.log(`  ${conditionId} oracle ${oracle} ${resolved ? "resolved" : "open"}`);
+            }
+        }
+    });
+
+task("oracle:prepare", "Prepares the condition of a registered question")
+    .addParam("question", "Question ID")
+    .addOptionalParam("oracle", "Oracle address, defaults to the sender")
+    .addOptionalParam("from", "Sender address, defaults to the first account")
+    .addOptionalParam("address", "ConditionalTokens address")
+    .addOptionalParam("registry", "Path of the question registry", "questions.json")
+    .setAction(async (args, hre) => {
+        loadRegistry(hre, args.registry).get(args.question);
+        await hre.run("ct:prepare", args);
+    });
+
+task("oracle:report", "Reports payouts for a registered question, which has to be sent by its oracle")
+    .addParam("question", "Question ID")
+    .addOptionalParam("payouts", "Comma separated payout numerators, one per outcome")
+    .addOptionalParam("winners", "Comma separated winning outcomes, which get equal payouts")
+    .addOptionalParam("from", "Oracle address, defaults to the first account")
+    .addOptionalParam("address", "ConditionalTokens address")
+    .addOptionalParam("registry", "Path of the question registry", "questions.json")
+    .addFlag("dryRun", "Only check that the report would succeed")
+    .setAction(async (args, hre) => {
+        loadRegistry(hre, args.registry).get(args.question);
+        await hre.run("ct:report", args);
+    });
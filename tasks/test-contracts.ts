@@ -0,0 +1,28 @@
+import { subtask, task } from "hardhat/config";
+import { TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS, TASK_TEST } from "hardhat/builtin-tasks/task-names";
+import { readdirSync } from "fs";
+import { join } from "path";
+
+// The Gnosis Safe contracts in test/contracts come from @gnosis.pm/safe-contracts,
+// so they are only compiled for the tasks which run the tests. They need solc 0.5,
+// see the compiler overrides in the config.
+let withTestContracts = false;
+
+for (const name of [TASK_TEST, "coverage"]) {
+    task(name, async (args, hre, runSuper) => {
+        withTestContracts = true;
+        return runSuper(args);
+    });
+}
+
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS, async (args, hre, runSuper): Promise<string[]> => {
+    const sourcePaths: string[] = await runSuper(args);
+    if (!withTestContracts) return sourcePaths;
+    const testContracts = join(hre.config.paths.root, "test/contracts");
+    return [
+        ...sourcePaths,
+        ...readdirSync(testContracts)
+            .filter((file) => file.endsWith(".sol"))
+            .map((file) => join(testContracts, file)),
+    ];
+});
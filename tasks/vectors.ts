@@ -0,0 +1,14 @@
+import { task, types } from "hardhat/config";
+import { resolve } from "path";
+import idVectors from "../utils/id-vectors";
+
+task("vectors:export", "Writes golden vectors for condition, collection and position IDs to a JSON file")
+    .addOptionalParam("out", "Path of the vectors file", "test/vectors/id-vectors.json")
+    .addOptionalParam("seed", "Seed the vectors are derived from", "conditional-tokens")
+    .addOptionalParam("count", "Number of vectors per section besides the edge cases", 8, types.int)
+    .setAction(async ({ out, seed, count }, hre) => {
+        const { generateVectors, writeVectors } = idVectors(hre.ethers);
+        const vectors = generateVectors({ seed, count });
+        writeVectors(resolve(hre.config.paths.root, out), vectors);
+        console.log(`wrote version ${vectors.version} ID vectors to ${out}`);
+    });
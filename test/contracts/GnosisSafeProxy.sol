@@ -0,0 +1,3 @@
+pragma solidity ^0.5.0;
+
+import { GnosisSafeProxy } from "@gnosis.pm/safe-contracts/contracts/proxies/GnosisSafeProxy.sol";
@@ -0,0 +1,139 @@
+import { ethers } from "hardhat";
+import { BigNumberish, Contract, ContractTransaction, Event, Signer, Wallet } from "ethers";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+
+// Accounts which hold positions in the tests. They only differ in how their
+// calls reach the contracts, so suites written against this interface run
+// unchanged for EOAs and for contract wallets.
+export interface SmartAccount {
+    address: string;
+    execCall(contract: Contract, method: string, ...args: unknown[]): Promise<ContractTransaction>;
+}
+
+export function eoaAccount(signer: SignerWithAddress): SmartAccount {
+    return {
+        address: signer.address,
+        execCall: async (contract, method, ...args) => await contract.connect(signer)[method](...args),
+    };
+}
+
+// The Forwarder relays calls from anyone, so the executor needs no special rights.
+export async function deployForwarder(executor: Signer): Promise<SmartAccount & { forwarder: Contract }> {
+    const forwarder = await (await ethers.getContractFactory("Forwarder")).deploy();
+    return {
+        forwarder,
+        address: forwarder.address,
+        execCall: async (contract, method, ...args) =>
+            await forwarder
+                .connect(executor)
+                .call(contract.address, contract.interface.encodeFunctionData(method, args)),
+    };
+}
+
+export const safeOperations = {
+    CALL: 0,
+    DELEGATECALL: 1,
+    CREATE: 2,
+};
+
+export interface SafeTx {
+    to: string;
+    value: BigNumberish;
+    data: string;
+    operation: number;
+    safeTxGas: BigNumberish;
+    baseGas: BigNumberish;
+    gasPrice: BigNumberish;
+    gasToken: string;
+    refundReceiver: string;
+    nonce: BigNumberish;
+}
+
+// EIP-712 types of Safe 1.2.0, whose domain only has the verifying contract.
+export const safeTxTypes = {
+    SafeTx: [
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "data", type: "bytes" },
+        { name: "operation", type: "uint8" },
+        { name: "safeTxGas", type: "uint256" },
+        { name: "baseGas", type: "uint256" },
+        { name: "gasPrice", type: "uint256" },
+        { name: "gasToken", type: "address" },
+        { name: "refundReceiver", type: "address" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+// The Safe expects one 65 byte signature per owner, ordered by owner address.
+export async function signSafeTx(safe: Contract, owners: Wallet[], safeTx: SafeTx): Promise<string> {
+    const sortedOwners = owners
+        .slice()
+        .sort(({ address: a }, { address: b }) => (a.toLowerCase() < b.toLowerCase() ? -1 : a === b ? 0 : 1));
+    const signatures = await Promise.all(
+        sortedOwners.map((owner) => owner._signTypedData({ verifyingContract: safe.address }, safeTxTypes, safeTx)),
+    );
+    return ethers.utils.hexConcat(signatures);
+}
+
+export async function deploySafe(
+    executor: Signer,
+    ownerCount = 2,
+): Promise<SmartAccount & { safe: Contract; owners: Wallet[] }> {
+    const zeroAccount = ethers.constants.AddressZero;
+    const owners = Array.from({ length: ownerCount }, () => Wallet.createRandom());
+    // Without a fallback handler the Safe can't accept ERC-1155 transfers.
+    const callbackHandler = await (await ethers.getContractFactory("DefaultCallbackHandler")).deploy();
+    // The master copy can't be set up itself, so the Safe is a proxy to it.
+    const safeFactory = await ethers.getContractFactory("GnosisSafe");
+    const masterCopy = await safeFactory.deploy();
+    const proxy = await (await ethers.getContractFactory("GnosisSafeProxy")).deploy(masterCopy.address);
+    const safe = safeFactory.attach(proxy.address);
+    await safe.setup(
+        owners.map(({ address }) => address),
+        owners.length,
+        zeroAccount,
+        "0x",
+        callbackHandler.address,
+        zeroAccount,
+        0,
+        zeroAccount,
+    );
+
+    async function execCall(contract: Contract, method: string, ...args: unknown[]) {
+        const safeTx = {
+            to: contract.address,
+            value: 0,
+            data: contract.interface.encodeFunctionData(method, args),
+            operation: safeOperations.CALL,
+            safeTxGas: 0,
+            baseGas: 0,
+            gasPrice: 0,
+            gasToken: zeroAccount,
+            refundReceiver: zeroAccount,
+            nonce: await safe.nonce(),
+        };
+        const tx = await safe.connect(executor).execTransaction(
+            safeTx.to,
+            safeTx.value,
+            safeTx.data,
+            safeTx.operation,
+            safeTx.safeTxGas,
+            safeTx.baseGas,
+            safeTx.gasPrice,
+            safeTx.gasToken,
+            safeTx.refundReceiver,
+            await signSafeTx(safe, owners, safeTx),
+            // A failing inner call doesn't revert, so an estimate would
+            // only cover the gas needed for the Safe to give up.
+            { gasLimit: 5000000 },
+        );
+        // Failed calls are only reported through an event.
+        const receipt = await tx.wait();
+        if (receipt.events.some(({ event }: Event) => event === "ExecutionFailure"))
+            throw new Error(`Safe transaction ${method} failed`);
+        return tx;
+    }
+
+    return { safe, owners, address: safe.address, execCall };
+}
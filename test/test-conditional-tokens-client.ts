@@ -0,0 +1,116 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+import { ConditionalTokens, MockCoin } from "../typechain";
+import { ConditionalTokensClient, NULL_BYTES32 } from "../client";
+import idHelpers from "../utils/id-helpers";
+
+const { getConditionId } = idHelpers(ethers);
+
+async function expectRejection(promise: Promise<unknown>, message: string) {
+    try {
+        await promise;
+    } catch (e) {
+        expect((e as Error).message).to.contain(message);
+        return;
+    }
+    expect.fail(`expected rejection with ${message}`);
+}
+
+describe("ConditionalTokensClient", function () {
+    const collateralTokenCount = ethers.utils.parseEther("10");
+    const splitAmount = ethers.utils.parseEther("4");
+
+    let oracle: SignerWithAddress;
+    let trader: SignerWithAddress;
+    let conditionalTokens: ConditionalTokens;
+    let collateralToken: MockCoin;
+    let client: ConditionalTokensClient;
+    let conditionId: string;
+    let collateral: string;
+
+    beforeEach(async function () {
+        [, oracle, trader] = await ethers.getSigners();
+        conditionalTokens = (await (
+            await ethers.getContractFactory("ConditionalTokens")
+        ).deploy()) as ConditionalTokens;
+        collateralToken = (await (await ethers.getContractFactory("MockCoin")).deploy()) as MockCoin;
+        await collateralToken.mint(trader.address, collateralTokenCount);
+        collateral = collateralToken.address;
+
+        const questionId = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        await conditionalTokens.prepareCondition(oracle.address, questionId, 3);
+        conditionId = getConditionId(oracle.address, questionId, 3);
+
+        client = ConditionalTokensClient.connect(conditionalTokens.address, trader);
+    });
+
+    it("approves collateral and splits into every outcome by default", async function () {
+        await client.split({ collateral, condition: conditionId, amount: splitAmount });
+
+        expect(await collateralToken.balanceOf(trader.address)).to.equal(collateralTokenCount.sub(splitAmount));
+        const [{ positions }] = await client.balancesFor(trader.address, [{ collateral, condition: conditionId }]);
+        expect(positions.map(({ indexSet }) => indexSet.toNumber())).to.deep.equal([0b001, 0b010, 0b100]);
+        for (const { positionId, balance } of positions) {
+            expect(balance).to.equal(splitAmount);
+            expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(splitAmount);
+        }
+    });
+
+    it("splits and merges partial positions", async function () {
+        await client.split({ collateral, condition: conditionId, outcomes: [[0, 1], [2]], amount: splitAmount });
+        await client.split({
+            collateral,
+            condition: conditionId,
+            outcomes: [[0], [1]],
+            amount: splitAmount.div(2),
+        });
+
+        const positionId = client.getPositionId(collateral, NULL_BYTES32, conditionId, 0b011);
+        expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(splitAmount.div(2));
+
+        await client.merge({ collateral, condition: conditionId, outcomes: [[0], [1]], amount: splitAmount.div(2) });
+        expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(splitAmount);
+    });
+
+    it("rejects invalid partitions before sending a transaction", async function () {
+        await expectRejection(
+            client.split({
+                collateral,
+                condition: conditionId,
+                outcomes: [
+                    [0, 1],
+                    [1, 2],
+                ],
+                amount: splitAmount,
+            }),
+            "partition not disjoint"
+        );
+        await expectRejection(
+            client.split({ collateral, condition: NULL_BYTES32, amount: splitAmount }),
+            "condition not prepared yet"
+        );
+    });
+
+    it("merges full sets back into collateral", async function () {
+        await client.split({ collateral, condition: conditionId, amount: splitAmount });
+        await client.mergeAll({ collateral, condition: conditionId });
+
+        expect(await collateralToken.balanceOf(trader.address)).to.equal(collateralTokenCount);
+        expect(await client.mergeAll({ collateral, condition: conditionId })).to.be.null;
+    });
+
+    it("redeems every held position once the condition is resolved", async function () {
+        await client.split({ collateral, condition: conditionId, amount: splitAmount });
+        await expectRejection(
+            client.redeemAll({ collateral, condition: conditionId }),
+            "result for condition not received yet"
+        );
+
+        const [{ args }] = await conditionalTokens.queryFilter(conditionalTokens.filters.ConditionPreparation());
+        await conditionalTokens.connect(oracle).reportPayouts(args.questionId, [1, 0, 1]);
+        await client.redeemAll({ collateral, condition: conditionId });
+
+        expect(await collateralToken.balanceOf(trader.address)).to.equal(collateralTokenCount);
+    });
+});
@@ -0,0 +1,707 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { BigNumber, BigNumberish, ContractTransaction } from "ethers";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+import { ConditionalTokens, MockCoin } from "../typechain";
+import idHelpers from "../utils/id-helpers";
+import { SmartAccount, deployForwarder, deploySafe, eoaAccount } from "./helpers/smart-accounts";
+
+const { getConditionId, getCollectionId, combineCollectionIds, getPositionId } = idHelpers(ethers);
+
+const NULL_BYTES32 = ethers.constants.HashZero;
+
+const randomHex = (length: number) => ethers.utils.hexlify(ethers.utils.randomBytes(length));
+
+async function expectRejection(promise: Promise<unknown>) {
+    try {
+        await promise;
+    } catch (e) {
+        return;
+    }
+    expect.fail("expected rejection");
+}
+
+describe("ConditionalTokens", function () {
+    let minter: SignerWithAddress;
+    let oracle: SignerWithAddress;
+    let notOracle: SignerWithAddress;
+    let eoaTrader: SignerWithAddress;
+    let fwdExecutor: SignerWithAddress;
+    let safeExecutor: SignerWithAddress;
+    let counterparty: SignerWithAddress;
+    let conditionalTokens: ConditionalTokens;
+
+    before(async function () {
+        [minter, oracle, notOracle, eoaTrader, fwdExecutor, safeExecutor, counterparty] = await ethers.getSigners();
+    });
+
+    beforeEach("deploy ConditionalTokens", async function () {
+        conditionalTokens = (await (
+            await ethers.getContractFactory("ConditionalTokens")
+        ).deploy()) as ConditionalTokens;
+    });
+
+    describe("prepareCondition", function () {
+        it("should not be able to prepare a condition with no outcome slots", async function () {
+            const questionId = randomHex(32);
+            const outcomeSlotCount = 0;
+
+            await expect(
+                conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount),
+            ).to.be.revertedWith("there should be more than one outcome slot");
+        });
+
+        it("should not be able to prepare a condition with just one outcome slots", async function () {
+            const questionId = randomHex(32);
+            const outcomeSlotCount = 1;
+
+            await expect(
+                conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount),
+            ).to.be.revertedWith("there should be more than one outcome slot");
+        });
+
+        context("with valid parameters", function () {
+            const questionId = randomHex(32);
+            const outcomeSlotCount = 256;
+
+            let conditionId: string;
+            let prepareTx: ContractTransaction;
+
+            beforeEach(async function () {
+                conditionId = getConditionId(oracle.address, questionId, outcomeSlotCount);
+                prepareTx = await conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount);
+            });
+
+            it("should emit an ConditionPreparation event", async function () {
+                await expect(prepareTx)
+                    .to.emit(conditionalTokens, "ConditionPreparation")
+                    .withArgs(conditionId, oracle.address, questionId, outcomeSlotCount);
+            });
+
+            it("should make outcome slot count available via getOutcomeSlotCount", async function () {
+                expect(await conditionalTokens.getOutcomeSlotCount(conditionId)).to.equal(outcomeSlotCount);
+            });
+
+            it("should leave payout denominator unset", async function () {
+                expect(await conditionalTokens.payoutDenominator(conditionId)).to.equal(0);
+            });
+
+            it("should not be able to prepare the same condition more than once", async function () {
+                await expect(
+                    conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount),
+                ).to.be.revertedWith("condition already prepared");
+            });
+        });
+    });
+
+    describe("splitting and merging", function () {
+        function shouldSplitAndMergePositions(trader: SmartAccount) {
+            const questionId = randomHex(32);
+            const outcomeSlotCount = 2;
+
+            const collateralTokenCount = ethers.utils.parseEther("10");
+            const splitAmount = ethers.utils.parseEther("4");
+            const mergeAmount = ethers.utils.parseEther("3");
+
+            let conditionId: string;
+
+            before(function () {
+                conditionId = getConditionId(oracle.address, questionId, outcomeSlotCount);
+            });
+
+            function shouldWorkWithSplittingAndMerging({
+                prepareTokens,
+                doSplit,
+                doMerge,
+                doRedeem,
+                collateralBalanceOf,
+                getPositionForCollection,
+                getExpectedEventCollateralToken,
+                deeperTests,
+            }: {
+                prepareTokens(): Promise<void>;
+                doSplit(
+                    conditionId: string,
+                    partition: number[],
+                    amount: BigNumberish,
+                    parentCollectionId?: string,
+                ): Promise<ContractTransaction>;
+                doMerge(
+                    conditionId: string,
+                    partition: number[],
+                    amount: BigNumberish,
+                    parentCollectionId?: string,
+                ): Promise<ContractTransaction>;
+                doRedeem(
+                    conditionId: string,
+                    indexSets: number[],
+                    parentCollectionId?: string,
+                ): Promise<ContractTransaction>;
+                collateralBalanceOf(address: string): Promise<BigNumber>;
+                getPositionForCollection(collectionId: string): string;
+                getExpectedEventCollateralToken(): string;
+                deeperTests: boolean;
+            }) {
+                beforeEach(prepareTokens);
+
+                it("should not split on unprepared conditions", async function () {
+                    await expectRejection(doSplit(conditionId, [0b01, 0b10], splitAmount));
+                });
+
+                context("with a condition prepared", function () {
+                    beforeEach(async function () {
+                        await conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount);
+                    });
+
+                    it("should not split if given index sets aren't disjoint", async function () {
+                        await expectRejection(doSplit(conditionId, [0b11, 0b10], splitAmount));
+                    });
+
+                    it("should not split if partitioning more than condition's outcome slots", async function () {
+                        await expectRejection(doSplit(conditionId, [0b001, 0b010, 0b100], splitAmount));
+                    });
+
+                    it("should not split if given a singleton partition", async function () {
+                        await expectRejection(doSplit(conditionId, [0b11], splitAmount));
+                    });
+
+                    it("should not split if given an incomplete singleton partition", async function () {
+                        await expectRejection(doSplit(conditionId, [0b01], splitAmount));
+                    });
+
+                    context("with valid split", function () {
+                        const partition = [0b01, 0b10];
+
+                        let splitTx: ContractTransaction;
+
+                        beforeEach(async function () {
+                            splitTx = await doSplit(conditionId, partition, splitAmount);
+                        });
+
+                        it("should emit a PositionSplit event", async function () {
+                            await expect(splitTx)
+                                .to.emit(conditionalTokens, "PositionSplit")
+                                .withArgs(
+                                    trader.address,
+                                    getExpectedEventCollateralToken(),
+                                    NULL_BYTES32,
+                                    conditionId,
+                                    partition,
+                                    splitAmount,
+                                );
+                        });
+
+                        it("should transfer split collateral from trader", async function () {
+                            expect(await collateralBalanceOf(trader.address)).to.equal(
+                                collateralTokenCount.sub(splitAmount),
+                            );
+                            expect(await collateralBalanceOf(conditionalTokens.address)).to.equal(splitAmount);
+                        });
+
+                        it("should mint amounts in positions associated with partition", async function () {
+                            for (const indexSet of partition) {
+                                const positionId = getPositionForCollection(getCollectionId(conditionId, indexSet));
+
+                                expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(
+                                    splitAmount,
+                                );
+                            }
+                        });
+
+                        it("should not merge if amount exceeds balances in to-be-merged positions", async function () {
+                            await expectRejection(doMerge(conditionId, partition, splitAmount.add(1)));
+                        });
+
+                        context("with valid merge", function () {
+                            let mergeTx: ContractTransaction;
+
+                            beforeEach(async function () {
+                                mergeTx = await doMerge(conditionId, partition, mergeAmount);
+                            });
+
+                            it("should emit a PositionsMerge event", async function () {
+                                await expect(mergeTx)
+                                    .to.emit(conditionalTokens, "PositionsMerge")
+                                    .withArgs(
+                                        trader.address,
+                                        getExpectedEventCollateralToken(),
+                                        NULL_BYTES32,
+                                        conditionId,
+                                        partition,
+                                        mergeAmount,
+                                    );
+                            });
+
+                            it("should transfer split collateral back to trader", async function () {
+                                expect(await collateralBalanceOf(trader.address)).to.equal(
+                                    collateralTokenCount.sub(splitAmount).add(mergeAmount),
+                                );
+                                expect(await collateralBalanceOf(conditionalTokens.address)).to.equal(
+                                    splitAmount.sub(mergeAmount),
+                                );
+                            });
+
+                            it("should burn amounts in positions associated with partition", async function () {
+                                for (const indexSet of partition) {
+                                    const positionId = getPositionForCollection(getCollectionId(conditionId, indexSet));
+
+                                    expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(
+                                        splitAmount.sub(mergeAmount),
+                                    );
+                                }
+                            });
+                        });
+
+                        describe("transferring, reporting, and redeeming", function () {
+                            const transferAmount = ethers.utils.parseEther("1");
+                            const payoutNumerators = [3, 7];
+
+                            it("should not allow transferring more than split balance", async function () {
+                                const positionId = getPositionForCollection(getCollectionId(conditionId, partition[0]));
+
+                                await expectRejection(
+                                    trader.execCall(
+                                        conditionalTokens,
+                                        "safeTransferFrom",
+                                        trader.address,
+                                        counterparty.address,
+                                        positionId,
+                                        splitAmount.add(1),
+                                        "0x",
+                                    ),
+                                );
+                            });
+
+                            it("should not allow reporting by incorrect oracle", async function () {
+                                await expect(
+                                    conditionalTokens.connect(notOracle).reportPayouts(questionId, payoutNumerators),
+                                ).to.be.revertedWith("condition not prepared or found");
+                            });
+
+                            it("should not allow report with wrong questionId", async function () {
+                                const wrongQuestionId = randomHex(32);
+                                await expect(
+                                    conditionalTokens.connect(oracle).reportPayouts(wrongQuestionId, payoutNumerators),
+                                ).to.be.revertedWith("condition not prepared or found");
+                            });
+
+                            it("should not allow report with no slots", async function () {
+                                await expect(
+                                    conditionalTokens.connect(oracle).reportPayouts(questionId, []),
+                                ).to.be.revertedWith("there should be more than one outcome slot");
+                            });
+
+                            it("should not allow report with wrong number of slots", async function () {
+                                await expect(
+                                    conditionalTokens.connect(oracle).reportPayouts(questionId, [2, 3, 5]),
+                                ).to.be.revertedWith("condition not prepared or found");
+                            });
+
+                            it("should not allow report with zero payouts in all slots", async function () {
+                                await expect(
+                                    conditionalTokens.connect(oracle).reportPayouts(questionId, [0, 0]),
+                                ).to.be.revertedWith("payout is all zeroes");
+                            });
+
+                            context("with valid transfer and oracle report", function () {
+                                let reportTx: ContractTransaction;
+
+                                beforeEach(async function () {
+                                    const positionId = getPositionForCollection(
+                                        getCollectionId(conditionId, partition[0]),
+                                    );
+
+                                    await trader.execCall(
+                                        conditionalTokens,
+                                        "safeTransferFrom",
+                                        trader.address,
+                                        counterparty.address,
+                                        positionId,
+                                        transferAmount,
+                                        "0x",
+                                    );
+                                    reportTx = await conditionalTokens
+                                        .connect(oracle)
+                                        .reportPayouts(questionId, payoutNumerators);
+                                });
+
+                                it("should not merge if any amount is short", async function () {
+                                    await expectRejection(doMerge(conditionId, partition, splitAmount));
+                                });
+
+                                it("should emit ConditionResolution event", async function () {
+                                    await expect(reportTx)
+                                        .to.emit(conditionalTokens, "ConditionResolution")
+                                        .withArgs(
+                                            conditionId,
+                                            oracle.address,
+                                            questionId,
+                                            outcomeSlotCount,
+                                            payoutNumerators,
+                                        );
+                                });
+
+                                it("should make reported payout numerators available", async function () {
+                                    for (let i = 0; i < payoutNumerators.length; i++) {
+                                        expect(await conditionalTokens.payoutNumerators(conditionId, i)).to.equal(
+                                            payoutNumerators[i],
+                                        );
+                                    }
+                                });
+
+                                it("should accept positions sent back in a batch", async function () {
+                                    const positionId = getPositionForCollection(
+                                        getCollectionId(conditionId, partition[0]),
+                                    );
+
+                                    await conditionalTokens
+                                        .connect(counterparty)
+                                        .safeBatchTransferFrom(
+                                            counterparty.address,
+                                            trader.address,
+                                            [positionId],
+                                            [transferAmount],
+                                            "0x",
+                                        );
+                                    expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(
+                                        splitAmount,
+                                    );
+                                });
+
+                                describe("redeeming", function () {
+                                    const payoutDenominator = payoutNumerators.reduce((a, b) => a + b, 0);
+                                    const payout = [splitAmount.sub(transferAmount), splitAmount].reduce(
+                                        (acc, amount, i) =>
+                                            acc.add(amount.mul(payoutNumerators[i]).div(payoutDenominator)),
+                                        BigNumber.from(0),
+                                    );
+
+                                    let redeemTx: ContractTransaction;
+
+                                    beforeEach(async function () {
+                                        redeemTx = await doRedeem(conditionId, partition);
+                                    });
+
+                                    it("should emit PayoutRedemption event", async function () {
+                                        await expect(redeemTx)
+                                            .to.emit(conditionalTokens, "PayoutRedemption")
+                                            .withArgs(
+                                                trader.address,
+                                                getExpectedEventCollateralToken(),
+                                                NULL_BYTES32,
+                                                conditionId,
+                                                partition,
+                                                payout,
+                                            );
+                                    });
+
+                                    it("should zero out redeemed positions", async function () {
+                                        for (const indexSet of partition) {
+                                            const positionId = getPositionForCollection(
+                                                getCollectionId(conditionId, indexSet),
+                                            );
+                                            expect(
+                                                await conditionalTokens.balanceOf(trader.address, positionId),
+                                            ).to.equal(0);
+                                        }
+                                    });
+
+                                    it("should not affect other's positions", async function () {
+                                        const positionId = getPositionForCollection(
+                                            getCollectionId(conditionId, partition[0]),
+                                        );
+                                        expect(
+                                            await conditionalTokens.balanceOf(counterparty.address, positionId),
+                                        ).to.equal(transferAmount);
+                                    });
+
+                                    it("should credit payout as collateral", async function () {
+                                        expect(await collateralBalanceOf(trader.address)).to.equal(
+                                            collateralTokenCount.sub(splitAmount).add(payout),
+                                        );
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+
+                if (deeperTests)
+                    context("with many conditions prepared", function () {
+                        const conditions = Array.from({ length: 3 }, () => ({
+                            questionId: randomHex(32),
+                            outcomeSlotCount: 4,
+                            id: "",
+                        }));
+
+                        before(function () {
+                            for (const condition of conditions) {
+                                condition.id = getConditionId(
+                                    oracle.address,
+                                    condition.questionId,
+                                    condition.outcomeSlotCount,
+                                );
+                            }
+                        });
+
+                        beforeEach(async function () {
+                            for (const { questionId, outcomeSlotCount } of conditions) {
+                                await conditionalTokens.prepareCondition(oracle.address, questionId, outcomeSlotCount);
+                            }
+                        });
+
+                        context("when trader has collateralized a condition", function () {
+                            const condition = conditions[0];
+                            const { questionId, outcomeSlotCount } = condition;
+                            const finalReport = [0, 33, 289, 678];
+                            const payoutDenominator = finalReport.reduce((a, b) => a + b);
+                            const partition = [0b0111, 0b1000];
+                            const positionIndexSet = partition[0];
+
+                            beforeEach(async function () {
+                                await doSplit(condition.id, partition, collateralTokenCount);
+                                await trader.execCall(
+                                    conditionalTokens,
+                                    "safeTransferFrom",
+                                    trader.address,
+                                    counterparty.address,
+                                    getPositionForCollection(getCollectionId(condition.id, partition[1])),
+                                    collateralTokenCount,
+                                    "0x",
+                                );
+                            });
+
+                            context("when trader splits to a deeper position with another condition", function () {
+                                const partition2 = [0b0001, 0b0010, 0b1100];
+                                const deepSplitAmount = ethers.utils.parseEther("4");
+
+                                let conditionId2: string;
+                                let parentCollectionId: string;
+                                let deepSplitTx: ContractTransaction;
+
+                                beforeEach(async function () {
+                                    conditionId2 = conditions[1].id;
+                                    parentCollectionId = getCollectionId(condition.id, positionIndexSet);
+                                    deepSplitTx = await doSplit(
+                                        conditionId2,
+                                        partition2,
+                                        deepSplitAmount,
+                                        parentCollectionId,
+                                    );
+                                });
+
+                                it("combines collection IDs", async function () {
+                                    for (const indexSet of partition2) {
+                                        expect(
+                                            await conditionalTokens.getCollectionId(
+                                                parentCollectionId,
+                                                conditionId2,
+                                                indexSet,
+                                            ),
+                                        ).to.equal(
+                                            combineCollectionIds([
+                                                parentCollectionId,
+                                                getCollectionId(conditionId2, indexSet),
+                                            ]),
+                                        );
+                                    }
+                                });
+
+                                it("emits PositionSplit event", async function () {
+                                    await expect(deepSplitTx)
+                                        .to.emit(conditionalTokens, "PositionSplit")
+                                        .withArgs(
+                                            trader.address,
+                                            getExpectedEventCollateralToken(),
+                                            parentCollectionId,
+                                            conditionId2,
+                                            partition2,
+                                            deepSplitAmount,
+                                        );
+                                });
+
+                                it("burns value in the parent position", async function () {
+                                    expect(
+                                        await conditionalTokens.balanceOf(
+                                            trader.address,
+                                            getPositionForCollection(parentCollectionId),
+                                        ),
+                                    ).to.equal(collateralTokenCount.sub(deepSplitAmount));
+                                });
+
+                                it("mints values in the child positions", async function () {
+                                    for (const indexSet of partition2) {
+                                        const positionId = getPositionForCollection(
+                                            combineCollectionIds([
+                                                parentCollectionId,
+                                                getCollectionId(conditionId2, indexSet),
+                                            ]),
+                                        );
+
+                                        expect(await conditionalTokens.balanceOf(trader.address, positionId)).to.equal(
+                                            deepSplitAmount,
+                                        );
+                                    }
+                                });
+                            });
+
+                            context("with valid report", function () {
+                                let reportTx: ContractTransaction;
+
+                                beforeEach(async function () {
+                                    reportTx = await conditionalTokens
+                                        .connect(oracle)
+                                        .reportPayouts(questionId, finalReport);
+                                });
+
+                                it("should emit ConditionResolution event", async function () {
+                                    await expect(reportTx)
+                                        .to.emit(conditionalTokens, "ConditionResolution")
+                                        .withArgs(
+                                            condition.id,
+                                            oracle.address,
+                                            questionId,
+                                            outcomeSlotCount,
+                                            finalReport,
+                                        );
+                                });
+
+                                it("should reflect report via payoutNumerators", async function () {
+                                    for (let i = 0; i < finalReport.length; i++) {
+                                        expect(await conditionalTokens.payoutNumerators(condition.id, i)).to.equal(
+                                            finalReport[i],
+                                        );
+                                    }
+                                });
+
+                                it("should not allow an update to the report", async function () {
+                                    const badUpdateReport = finalReport.map((x, i) => (i === 1 ? x : 0));
+                                    await expect(
+                                        conditionalTokens.connect(oracle).reportPayouts(questionId, badUpdateReport),
+                                    ).to.be.revertedWith("payout denominator already set");
+                                });
+
+                                context("with valid redemption", function () {
+                                    const payout = collateralTokenCount
+                                        .mul(
+                                            finalReport.reduce(
+                                                (acc, term, i) => (positionIndexSet & (1 << i) ? acc + term : acc),
+                                                0,
+                                            ),
+                                        )
+                                        .div(payoutDenominator);
+
+                                    let redeemTx: ContractTransaction;
+
+                                    beforeEach(async function () {
+                                        redeemTx = await doRedeem(condition.id, [positionIndexSet]);
+                                    });
+
+                                    it("should emit PayoutRedemption event", async function () {
+                                        await expect(redeemTx)
+                                            .to.emit(conditionalTokens, "PayoutRedemption")
+                                            .withArgs(
+                                                trader.address,
+                                                getExpectedEventCollateralToken(),
+                                                NULL_BYTES32,
+                                                condition.id,
+                                                [positionIndexSet],
+                                                payout,
+                                            );
+                                    });
+                                });
+                            });
+                        });
+                    });
+            }
+
+            context("with an ERC-20 collateral allowance", function () {
+                let collateralToken: MockCoin;
+
+                shouldWorkWithSplittingAndMerging({
+                    async prepareTokens() {
+                        collateralToken = (await (
+                            await ethers.getContractFactory("MockCoin", minter)
+                        ).deploy()) as MockCoin;
+                        await collateralToken.mint(trader.address, collateralTokenCount);
+                        await trader.execCall(
+                            collateralToken,
+                            "approve",
+                            conditionalTokens.address,
+                            collateralTokenCount,
+                        );
+                    },
+                    async doSplit(conditionId, partition, amount, parentCollectionId) {
+                        return await trader.execCall(
+                            conditionalTokens,
+                            "splitPosition",
+                            collateralToken.address,
+                            parentCollectionId || NULL_BYTES32,
+                            conditionId,
+                            partition,
+                            amount,
+                        );
+                    },
+                    async doMerge(conditionId, partition, amount, parentCollectionId) {
+                        return await trader.execCall(
+                            conditionalTokens,
+                            "mergePositions",
+                            collateralToken.address,
+                            parentCollectionId || NULL_BYTES32,
+                            conditionId,
+                            partition,
+                            amount,
+                        );
+                    },
+                    async doRedeem(conditionId, indexSets, parentCollectionId) {
+                        return await trader.execCall(
+                            conditionalTokens,
+                            "redeemPositions",
+                            collateralToken.address,
+                            parentCollectionId || NULL_BYTES32,
+                            conditionId,
+                            indexSets,
+                        );
+                    },
+                    async collateralBalanceOf(address) {
+                        return await collateralToken.balanceOf(address);
+                    },
+                    getPositionForCollection(collectionId) {
+                        return getPositionId(collateralToken.address, collectionId);
+                    },
+                    getExpectedEventCollateralToken() {
+                        return collateralToken.address;
+                    },
+                    deeperTests: true,
+                });
+            });
+        }
+
+        context("with an EOA", function () {
+            const trader = {} as SmartAccount;
+            before(function () {
+                Object.assign(trader, eoaAccount(eoaTrader));
+            });
+
+            shouldSplitAndMergePositions(trader);
+        });
+
+        context("with a Forwarder", function () {
+            const trader = {} as SmartAccount;
+            before(async function () {
+                Object.assign(trader, await deployForwarder(fwdExecutor));
+            });
+
+            shouldSplitAndMergePositions(trader);
+        });
+
+        context("with a Gnosis Safe", function () {
+            const trader = {} as SmartAccount;
+            before(async function () {
+                Object.assign(trader, await deploySafe(safeExecutor));
+            });
+
+            shouldSplitAndMergePositions(trader);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const idHelpers = require("../utils/id-helpers");
+const { getCollectionId, combineCollectionIds } = idHelpers(ethers);
+// The nested collections of the golden vectors, edge cases included, are
+// checked against the contract along with the random cases.
+const { nestedCollections } = require("./vectors/id-vectors.json");
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+const ONE = BigInt(1);
+
+const caseCount = Number(process.env.DIFFERENTIAL_CASES || 2000);
+const batchSize = 100;
+
+// Inputs are derived from their index, so every run checks the same cases.
+function random(label, i) {
+  const { keccak256, defaultAbiCoder } = ethers.utils;
+  return keccak256(defaultAbiCoder.encode(["string", "uint"], [label, i]));
+}
+
+function randomIndexSet(label, i) {
+  const r = BigInt(random(label, i));
+  switch (i % 5) {
+    case 0:
+      return (r % BigInt(255)) + ONE;
+    case 1:
+      return ONE << r % BigInt(256);
+    case 2:
+      // full index sets of conditions with up to 256 outcome slots
+      return (ONE << ((r % BigInt(255)) + BigInt(2))) - ONE;
+    default:
+      return r;
+  }
+}
+
+function randomParent(i, depth) {
+  return combineCollectionIds(
+    Array.from({ length: depth }, (_, j) =>
+      getCollectionId(
+        random("parentCondition", i * 16 + j),
+        randomIndexSet("parentIndexSet", i * 16 + j)
+      )
+    )
+  );
+}
+
+function randomCases(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    parentCollectionId: i % 4 === 0 ? NULL_BYTES32 : randomParent(i, i % 4),
+    conditionId: random("condition", i),
+    indexSet: randomIndexSet("indexSet", i)
+  }));
+}
+
+// The reference result is what a backend computes by combining the parent
+// with the collection for the condition and index set.
+function expectMatches(helpers, cases) {
+  for (const {
+    parentCollectionId,
+    conditionId,
+    indexSet,
+    collectionId
+  } of cases)
+    expect(
+      helpers.combineCollectionIds([
+        parentCollectionId,
+        helpers.getCollectionId(conditionId, indexSet.toString())
+      ]),
+      `parent ${parentCollectionId} condition ${conditionId} index set ${indexSet}`
+    ).to.equal(collectionId);
+}
+
+describe("CTHelpers differential", function() {
+  this.timeout(0);
+
+  before(async function() {
+    const CTHelpersExposer = await ethers.getContractFactory(
+      "CTHelpersExposer"
+    );
+    this.ctHelpers = await CTHelpersExposer.deploy();
+
+    this.withContractResults = async cases => {
+      const results = [];
+      for (let i = 0; i < cases.length; i += batchSize) {
+        const batch = cases.slice(i, i + batchSize);
+        const collectionIds = await this.ctHelpers.getCollectionIds(
+          batch.map(({ parentCollectionId }) => parentCollectionId),
+          batch.map(({ conditionId }) => conditionId),
+          batch.map(({ indexSet }) => indexSet.toString())
+        );
+        batch.forEach((testCase, j) =>
+          results.push(
+            Object.assign({}, testCase, { collectionId: collectionIds[j] })
+          )
+        );
+      }
+      return results;
+    };
+
+    const vectorCases = nestedCollections.map(vector =>
+      Object.assign({}, vector, { indexSet: BigInt(vector.indexSet) })
+    );
+    this.cases = await this.withContractResults(
+      vectorCases.concat(randomCases(caseCount))
+    );
+  });
+
+  it("agrees with single getCollectionId calls", async function() {
+    for (const testCase of this.cases.slice(0, 10))
+      expect(
+        await this.ctHelpers.getCollectionId(
+          testCase.parentCollectionId,
+          testCase.conditionId,
+          testCase.indexSet.toString()
+        )
+      ).to.equal(testCase.collectionId);
+  });
+
+  it("gets the edge cases right", function() {
+    const [identity, doubling] = ["identity", "doubling"].map(name =>
+      this.cases.find(testCase => testCase.name === name)
+    );
+    expect(identity.collectionId).to.equal(NULL_BYTES32);
+    expect(doubling.collectionId).to.equal(
+      combineCollectionIds([
+        doubling.parentCollectionId,
+        doubling.parentCollectionId
+      ])
+    );
+  });
+
+  it("matches the BigInt backend", function() {
+    expectMatches(idHelpers(ethers), this.cases);
+  });
+
+  it("matches the web3 backend", function() {
+    expectMatches(idHelpers(require("web3-utils")), this.cases);
+  });
+
+  it("matches the golden vectors", function() {
+    expect(
+      this.cases
+        .slice(0, nestedCollections.length)
+        .map(({ collectionId }) => collectionId)
+    ).to.deep.equal(nestedCollections.map(({ collectionId }) => collectionId));
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  getDeployment,
+  getDeployments,
+  addresses
+} = require("../utils/deployments");
+
+describe("deployments", function() {
+  it("merges networks.json and hardhat-deploy records", function() {
+    expect(getDeployments().map(({ chainId }) => chainId)).to.deep.equal([
+      1,
+      4,
+      42,
+      100,
+      80085
+    ]);
+
+    const mainnet = getDeployment(1);
+    expect(mainnet).to.include({
+      name: "mainnet",
+      address: "0xC59b0e4De5F1248C1140964E0fF287B192407E0C",
+      blockNumber: null,
+      solcInputHash: null
+    });
+    expect(mainnet.sources).to.deep.equal(["networks.json"]);
+    expect(mainnet.abi).to.deep.equal(getDeployment("kovan").abi);
+
+    const berachain = getDeployment("berachain");
+    expect(berachain).to.include({
+      chainId: 80085,
+      address: addresses.berachain,
+      blockNumber: 1711406,
+      solcInputHash: "b275e73da346a546198422fac8076da5"
+    });
+    expect(berachain.sources).to.deep.equal(["deployments/berachain"]);
+    expect(getDeployment("80085")).to.equal(berachain);
+  });
+
+  it("throws for unknown chains", function() {
+    expect(() => getDeployment(1337)).to.throw(
+      "no ConditionalTokens deployment for 1337"
+    );
+    expect(() => getDeployment("goerli")).to.throw(
+      "no ConditionalTokens deployment for goerli"
+    );
+  });
+
+  describe("with both sources for a chain", function() {
+    before(function() {
+      this.root = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      const hardhatDir = path.join(this.root, "deployments", "kovan");
+      fs.mkdirSync(hardhatDir, { recursive: true });
+      fs.writeFileSync(path.join(hardhatDir, ".chainId"), "42");
+      fs.writeFileSync(
+        path.join(hardhatDir, "ConditionalTokens.json"),
+        JSON.stringify({
+          address: "0xD9C25C3F9489c4Cf9889E8De869CBC3a2C046696",
+          abi: [],
+          transactionHash: `0x${"11".repeat(32)}`,
+          receipt: { blockNumber: 100 },
+          solcInputHash: "abc"
+        })
+      );
+      fs.writeFileSync(
+        path.join(this.root, "networks.json"),
+        JSON.stringify({
+          ConditionalTokens: {
+            42: {
+              address: "0xd9c25c3f9489c4cf9889e8de869cbc3a2c046696",
+              transactionHash: `0x${"22".repeat(32)}`
+            }
+          }
+        })
+      );
+    });
+
+    after(function() {
+      fs.rmSync(this.root, { recursive: true, force: true });
+    });
+
+    it("prefers hardhat-deploy and flags conflicts", function() {
+      const kovan = getDeployment(42, { root: this.root });
+      expect(kovan).to.include({
+        name: "kovan",
+        transactionHash: `0x${"11".repeat(32)}`,
+        blockNumber: 100
+      });
+      expect(kovan.sources).to.deep.equal([
+        "networks.json",
+        "deployments/kovan"
+      ]);
+      // addresses only differ in case, which is no conflict
+      expect(kovan.conflicts).to.deep.equal([
+        {
+          field: "transactionHash",
+          networksJson: `0x${"22".repeat(32)}`,
+          deployments: `0x${"11".repeat(32)}`
+        }
+      ]);
+      expect(() =>
+        getDeployment("kovan", { root: this.root, strict: true })
+      ).to.throw("conflicting ConditionalTokens deployments for kovan");
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+
+const {
+  CREATE2_FACTORY,
+  bytecodeStatus,
+  compareBytecode,
+  normalizeSalt,
+  getDeterministicAddress,
+  verifyDeployedBytecode
+} = require("../utils/deterministic-deployment")(ethers);
+
+// Presigned transaction deploying the factory, from
+// https://github.com/Arachnid/deterministic-deployment-proxy
+const FACTORY_DEPLOYER = "0x3fab184622dc19b6109349b94811493bf2a45362";
+const FACTORY_DEPLOYMENT_TX =
+  "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222";
+
+describe("deterministic deployment", function() {
+  // 0.5.x metadata: a165627a7a72305820 <32 byte swarm hash> 0029
+  const code = "0x6080604052";
+  const metadata = hash => `a165627a7a72305820${hash.repeat(32)}0029`;
+
+  it("compares bytecode ignoring metadata", function() {
+    expect(compareBytecode("0x", code + metadata("aa"))).to.equal(
+      bytecodeStatus.NO_CODE
+    );
+    expect(
+      compareBytecode(
+        code + metadata("aa"),
+        code.toUpperCase() + metadata("aa")
+      )
+    ).to.equal(bytecodeStatus.IDENTICAL);
+    expect(
+      compareBytecode(code + metadata("aa"), code + metadata("bb"))
+    ).to.equal(bytecodeStatus.METADATA_DIFFERS);
+    expect(
+      compareBytecode(`${code}00${metadata("aa")}`, code + metadata("aa"))
+    ).to.equal(bytecodeStatus.DIFFERENT);
+  });
+
+  it("pads salts like hardhat-deploy", function() {
+    expect(normalizeSalt(true)).to.equal(ethers.constants.HashZero);
+    expect(normalizeSalt("0x01")).to.equal(ethers.utils.hexZeroPad("0x01", 32));
+  });
+
+  it("predicts the address of ConditionalTokens", async function() {
+    const [funder] = await ethers.getSigners();
+    if ((await ethers.provider.getCode(CREATE2_FACTORY)) === "0x") {
+      await funder.sendTransaction({
+        to: FACTORY_DEPLOYER,
+        value: ethers.utils.parseEther("0.01")
+      });
+      await ethers.provider.sendTransaction(FACTORY_DEPLOYMENT_TX);
+    }
+
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const salt = "0x1234";
+    const address = getDeterministicAddress({
+      initCode: ConditionalTokens.bytecode,
+      salt
+    });
+    const { deployedBytecode } = await artifacts.readArtifact(
+      "ConditionalTokens"
+    );
+    expect(
+      await verifyDeployedBytecode(ethers.provider, address, deployedBytecode)
+    ).to.equal(bytecodeStatus.NO_CODE);
+
+    await funder.sendTransaction({
+      to: CREATE2_FACTORY,
+      data: ethers.utils.hexConcat([
+        normalizeSalt(salt),
+        ConditionalTokens.bytecode
+      ])
+    });
+    expect(
+      await verifyDeployedBytecode(ethers.provider, address, deployedBytecode)
+    ).to.equal(bytecodeStatus.IDENTICAL);
+    expect(
+      await ConditionalTokens.attach(address).getOutcomeSlotCount(
+        ethers.constants.HashZero
+      )
+    ).to.equal(0);
+  });
+});
+
+describe("deploy script", function() {
+  const options = ["DETERMINISTIC_DEPLOYMENT", "DEPLOYMENT_SALT", "DRY_RUN"];
+
+  // Runs deploy/ through hardhat-deploy with the given environment, keeping
+  // what it logs out of the test output.
+  async function runDeployScript(env) {
+    const saved = options.map(name => [name, process.env[name]]);
+    const log = console.log;
+    Object.assign(process.env, env);
+    console.log = () => {};
+    try {
+      return await deployments.run(undefined, {
+        writeDeploymentsToFiles: false
+      });
+    } finally {
+      console.log = log;
+      for (const [name, value] of saved)
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+  }
+
+  async function predictAddress(salt) {
+    const { bytecode } = await deployments.getArtifact("ConditionalTokens");
+    return getDeterministicAddress({ initCode: bytecode, salt });
+  }
+
+  it("deploys at the predicted address, after a dry run deploys nothing", async function() {
+    const salt = "0x5678";
+    const address = await predictAddress(salt);
+    const { deployedBytecode } = await deployments.getArtifact(
+      "ConditionalTokens"
+    );
+    const env = { DETERMINISTIC_DEPLOYMENT: "true", DEPLOYMENT_SALT: salt };
+
+    const dryRun = await runDeployScript(
+      Object.assign({ DRY_RUN: "true" }, env)
+    );
+    expect(dryRun).to.not.have.property("ConditionalTokens");
+    expect(
+      await verifyDeployedBytecode(ethers.provider, address, deployedBytecode)
+    ).to.equal(bytecodeStatus.NO_CODE);
+
+    const { ConditionalTokens } = await runDeployScript(env);
+    expect(ConditionalTokens.address).to.equal(address);
+    expect(
+      await verifyDeployedBytecode(ethers.provider, address, deployedBytecode)
+    ).to.equal(bytecodeStatus.IDENTICAL);
+
+    // Checking the deployed code again is all a dry run does now.
+    await runDeployScript(Object.assign({ DRY_RUN: "true" }, env));
+  });
+
+  it("refuses to build on code which is not ConditionalTokens", async function() {
+    const salt = "0x9abc";
+    const address = await predictAddress(salt);
+    await ethers.provider.send("hardhat_setCode", [address, "0x6080604052"]);
+
+    for (const DRY_RUN of ["true", "false"]) {
+      let error;
+      try {
+        await runDeployScript({
+          DETERMINISTIC_DEPLOYMENT: "true",
+          DEPLOYMENT_SALT: salt,
+          DRY_RUN
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an("error");
+      expect(error.message).to.include(
+        `code at ${address} does not match the ConditionalTokens artifact`
+      );
+    }
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  decodeCollectionId,
+  subtractCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("id-helpers with ethers", function() {
+  const { hexlify, randomBytes } = ethers.utils;
+  const randomHex = length => hexlify(randomBytes(length));
+
+  before(async function() {
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    this.conditionalTokens = await ConditionalTokens.deploy();
+  });
+
+  it("falls back on the installed ethers when given no utils", function() {
+    const conditionId = randomHex(32);
+    expect(
+      require("../utils/id-helpers")().getCollectionId(conditionId, 3)
+    ).to.equal(getCollectionId(conditionId, 3));
+  });
+
+  it("computes condition IDs like the contract", async function() {
+    const oracle = ethers.utils.getAddress(randomHex(20));
+    const questionId = randomHex(32);
+    for (const outcomeSlotCount of [2, 3, 256]) {
+      expect(
+        await this.conditionalTokens.getConditionId(
+          oracle,
+          questionId,
+          outcomeSlotCount
+        )
+      ).to.equal(getConditionId(oracle, questionId, outcomeSlotCount));
+    }
+  });
+
+  it("computes collection IDs like the contract", async function() {
+    const conditionId = randomHex(32);
+    for (const indexSet of [1, 2, 5, 0xff]) {
+      expect(
+        await this.conditionalTokens.getCollectionId(
+          NULL_BYTES32,
+          conditionId,
+          indexSet
+        )
+      ).to.equal(getCollectionId(conditionId, indexSet));
+    }
+  });
+
+  it("combines collection IDs like the contract", async function() {
+    const parentCollectionId = getCollectionId(randomHex(32), 0b01);
+    const conditionId = randomHex(32);
+    for (const indexSet of [0b001, 0b010, 0b100]) {
+      expect(
+        await this.conditionalTokens.getCollectionId(
+          parentCollectionId,
+          conditionId,
+          indexSet
+        )
+      ).to.equal(
+        combineCollectionIds([
+          parentCollectionId,
+          getCollectionId(conditionId, indexSet)
+        ])
+      );
+    }
+  });
+
+  it("treats the null collection ID as the identity", function() {
+    const collectionId = getCollectionId(randomHex(32), 1);
+    expect(combineCollectionIds([])).to.equal(NULL_BYTES32);
+    expect(combineCollectionIds([NULL_BYTES32, collectionId])).to.equal(
+      collectionId
+    );
+    expect(combineCollectionIds([collectionId, NULL_BYTES32])).to.equal(
+      collectionId
+    );
+  });
+
+  it("decodes collection IDs into curve points", function() {
+    const { P } = require("../utils/alt-bn128");
+    const collectionId = getCollectionId(randomHex(32), 1);
+    const { x, y, isIdentity } = decodeCollectionId(collectionId);
+    expect(isIdentity).to.be.false;
+    expect((y * y) % P).to.equal((x * x * x + BigInt(3)) % P);
+    expect(decodeCollectionId(NULL_BYTES32).isIdentity).to.be.true;
+    expect(() => decodeCollectionId(`0x${"f".repeat(64)}`)).to.throw(
+      "got invalid collection ID"
+    );
+  });
+
+  it("rejects collection IDs with coordinates beyond the field on both backends", function() {
+    const { P } = require("../utils/alt-bn128");
+    const oddToggle = BigInt(1) << BigInt(254);
+    let x, parity;
+    do {
+      const collectionId = BigInt(getCollectionId(randomHex(32), 1));
+      parity = collectionId & oddToggle;
+      x = collectionId ^ parity;
+    } while (x + P >= oddToggle);
+    const nonCanonical = `0x${((x + P) | parity)
+      .toString(16)
+      .padStart(64, "0")}`;
+
+    for (const backend of [ethers, require("web3-utils")]) {
+      const helpers = require("../utils/id-helpers")(backend);
+      expect(() => helpers.decodeCollectionId(nonCanonical)).to.throw(
+        "got invalid collection ID"
+      );
+      expect(() =>
+        helpers.combineCollectionIds([nonCanonical, NULL_BYTES32])
+      ).to.throw("got invalid collection ID");
+    }
+  });
+
+  it("peels a condition off a collection ID from the contract", async function() {
+    const parentCollectionId = getCollectionId(randomHex(32), 0b10);
+    const conditionId = randomHex(32);
+    const collectionId = await this.conditionalTokens.getCollectionId(
+      parentCollectionId,
+      conditionId,
+      0b01
+    );
+    expect(
+      subtractCollectionIds(collectionId, getCollectionId(conditionId, 0b01))
+    ).to.equal(parentCollectionId);
+    expect(subtractCollectionIds(collectionId, parentCollectionId)).to.equal(
+      getCollectionId(conditionId, 0b01)
+    );
+    expect(subtractCollectionIds(collectionId, collectionId)).to.equal(
+      NULL_BYTES32
+    );
+  });
+
+  it("computes position IDs like the contract", async function() {
+    const collateralToken = ethers.utils.getAddress(randomHex(20));
+    const collectionId = getCollectionId(randomHex(32), 1);
+    expect(
+      await this.conditionalTokens.getPositionId(collateralToken, collectionId)
+    ).to.equal(getPositionId(collateralToken, collectionId));
+  });
+});
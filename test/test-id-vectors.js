@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const idHelpers = require("../utils/id-helpers");
+const {
+  VECTORS_VERSION,
+  generateVectors,
+  verifyVectors
+} = require("../utils/id-vectors")(ethers);
+const vectors = require("./vectors/id-vectors.json");
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("ID vectors", function() {
+  it("are up to date with the generator", function() {
+    // regenerate with `hardhat vectors:export` when this fails
+    expect(generateVectors({ seed: vectors.seed })).to.deep.equal(vectors);
+  });
+
+  it("list the same combination for every order of its collections", function() {
+    const results = new Map();
+    for (const { collectionIds, collectionId } of vectors.combinations) {
+      const key = collectionIds
+        .slice()
+        .sort()
+        .join();
+      if (results.has(key)) expect(collectionId).to.equal(results.get(key));
+      results.set(key, collectionId);
+    }
+    expect(results.size).to.be.below(vectors.combinations.length);
+  });
+
+  it("cover the identity collection", function() {
+    expect(
+      vectors.combinations.filter(
+        ({ collectionIds, collectionId }) =>
+          collectionIds.length > 0 &&
+          !collectionIds.includes(NULL_BYTES32) &&
+          collectionId === NULL_BYTES32
+      )
+    ).to.have.lengthOf(1);
+  });
+
+  it("pass for both ID helper backends", async function() {
+    for (const impl of [idHelpers(ethers), idHelpers(require("web3-utils"))]) {
+      const { passed, checked } = await verifyVectors(impl, vectors);
+      expect(passed).to.be.true;
+      expect(checked).to.deep.equal({
+        conditions: vectors.conditions.length,
+        collections: vectors.collections.length,
+        combinations: vectors.combinations.length,
+        positions: vectors.positions.length,
+        nestedCollections: vectors.nestedCollections.length
+      });
+    }
+  });
+
+  it("pass for the contract", async function() {
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const conditionalTokens = await ConditionalTokens.deploy();
+    const { passed, checked } = await verifyVectors(
+      {
+        getConditionId: conditionalTokens.getConditionId,
+        getCollectionId: (conditionId, indexSet) =>
+          conditionalTokens.getCollectionId(
+            NULL_BYTES32,
+            conditionId,
+            indexSet
+          ),
+        getPositionId: conditionalTokens.getPositionId
+      },
+      vectors
+    );
+    expect(passed).to.be.true;
+    expect(checked).to.have.all.keys("conditions", "collections", "positions");
+  });
+
+  it("report what an implementation gets wrong", async function() {
+    const { getConditionId, combineCollectionIds } = idHelpers(ethers);
+    const { passed, checked, failures } = await verifyVectors(
+      {
+        getConditionId: (oracle, questionId, outcomeSlotCount) =>
+          getConditionId(oracle, questionId, Number(outcomeSlotCount) + 1),
+        combineCollectionIds: collectionIds => {
+          if (collectionIds.length === 0) throw new Error("nothing to combine");
+          return combineCollectionIds(collectionIds);
+        }
+      },
+      vectors
+    );
+    expect(passed).to.be.false;
+    expect(checked).to.have.all.keys("conditions", "combinations");
+    expect(failures).to.have.lengthOf(vectors.conditions.length + 1);
+    expect(failures[0]).to.include({ section: "conditions", index: 0 });
+    expect(failures[vectors.conditions.length]).to.deep.equal({
+      section: "combinations",
+      index: 0,
+      vector: vectors.combinations[0],
+      error: "nothing to combine"
+    });
+  });
+
+  it("reject vectors of other versions", async function() {
+    try {
+      await verifyVectors(
+        idHelpers(ethers),
+        Object.assign({}, vectors, { version: VECTORS_VERSION + 1 })
+      );
+    } catch (e) {
+      expect(e.message).to.equal(
+        `unsupported vectors version ${VECTORS_VERSION + 1}`
+      );
+      return;
+    }
+    expect.fail("expected rejection");
+  });
+});
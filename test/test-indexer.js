@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const { ConditionalTokensIndexer } = require("../utils/indexer")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("ConditionalTokensIndexer", function() {
+  const { parseEther, hexlify, randomBytes } = ethers.utils;
+
+  beforeEach(async function() {
+    [, this.oracle, this.trader, this.counterparty] = await ethers.getSigners();
+
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = (await ConditionalTokens.deploy()).connect(
+      this.trader
+    );
+    this.fromBlock = this.conditionalTokens.deployTransaction.blockNumber;
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, parseEther("10"));
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, parseEther("10"));
+
+    this.conditions = [];
+    for (const outcomeSlotCount of [2, 3]) {
+      const questionId = hexlify(randomBytes(32));
+      await this.conditionalTokens.prepareCondition(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+      this.conditions.push({
+        questionId,
+        outcomeSlotCount,
+        conditionId: getConditionId(
+          this.oracle.address,
+          questionId,
+          outcomeSlotCount
+        )
+      });
+    }
+
+    const [first, second] = this.conditions;
+    const collateral = this.collateralToken.address;
+    await this.conditionalTokens.splitPosition(
+      collateral,
+      NULL_BYTES32,
+      first.conditionId,
+      [0b01, 0b10],
+      parseEther("6")
+    );
+    this.parentCollectionId = getCollectionId(first.conditionId, 0b01);
+    await this.conditionalTokens.splitPosition(
+      collateral,
+      this.parentCollectionId,
+      second.conditionId,
+      [0b001, 0b110],
+      parseEther("2")
+    );
+    await this.conditionalTokens.mergePositions(
+      collateral,
+      NULL_BYTES32,
+      first.conditionId,
+      [0b01, 0b10],
+      parseEther("1")
+    );
+    await this.conditionalTokens.safeTransferFrom(
+      this.trader.address,
+      this.counterparty.address,
+      getPositionId(collateral, getCollectionId(first.conditionId, 0b10)),
+      parseEther("1"),
+      "0x"
+    );
+    await this.conditionalTokens
+      .connect(this.oracle)
+      .reportPayouts(first.questionId, [1, 3]);
+    await this.conditionalTokens.redeemPositions(
+      collateral,
+      NULL_BYTES32,
+      first.conditionId,
+      [0b10]
+    );
+
+    this.positionIds = [
+      getCollectionId(first.conditionId, 0b01),
+      getCollectionId(first.conditionId, 0b10),
+      combineCollectionIds([
+        this.parentCollectionId,
+        getCollectionId(second.conditionId, 0b001)
+      ]),
+      combineCollectionIds([
+        this.parentCollectionId,
+        getCollectionId(second.conditionId, 0b110)
+      ])
+    ].map(collectionId => getPositionId(collateral, collectionId));
+
+    this.expectStoreToMatchChain = async store => {
+      for (const account of [this.trader, this.counterparty]) {
+        for (const positionId of this.positionIds) {
+          expect(store.balanceOf(account.address, positionId)).to.equal(
+            (
+              await this.conditionalTokens.balanceOf(
+                account.address,
+                positionId
+              )
+            ).toBigInt()
+          );
+        }
+      }
+      expect(store.getCollateralLocked(first.conditionId, collateral)).to.equal(
+        (
+          await this.collateralToken.balanceOf(this.conditionalTokens.address)
+        ).toBigInt()
+      );
+      expect(store.getCondition(first.conditionId)).to.include({
+        outcomeSlotCount: 2,
+        resolved: true,
+        payoutDenominator: BigInt(4)
+      });
+      expect(store.getCondition(second.conditionId)).to.include({
+        outcomeSlotCount: 3,
+        resolved: false
+      });
+      expect(
+        store.getConditions({ oracle: this.oracle.address, resolved: false })
+      ).to.have.lengthOf(1);
+      expect(store.getSplits()).to.deep.equal([
+        {
+          collateralToken: collateral.toLowerCase(),
+          parentCollectionId: NULL_BYTES32,
+          conditionId: first.conditionId,
+          indexSets: [BigInt(0b01), BigInt(0b10)]
+        },
+        {
+          collateralToken: collateral.toLowerCase(),
+          parentCollectionId: this.parentCollectionId,
+          conditionId: second.conditionId,
+          indexSets: [BigInt(0b001), BigInt(0b110)]
+        }
+      ]);
+      expect(store.getSplitIndexSets(3)).to.deep.equal([
+        {
+          collateralToken: collateral.toLowerCase(),
+          parentCollectionId: this.parentCollectionId,
+          conditionId: second.conditionId,
+          indexSet: BigInt(0b110)
+        }
+      ]);
+    };
+  });
+
+  it("rebuilds state from logs", async function() {
+    const indexer = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address,
+      fromBlock: this.fromBlock
+    });
+    await this.expectStoreToMatchChain(await indexer.sync());
+  });
+
+  it("resumes from a checkpoint", async function() {
+    const checkpoints = [];
+    const indexer = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address,
+      fromBlock: this.fromBlock,
+      batchSize: 3,
+      onCheckpoint: checkpoint => checkpoints.push(checkpoint)
+    });
+    await indexer.sync({ toBlock: this.fromBlock + 5 });
+    expect(checkpoints).to.have.lengthOf(2);
+
+    const resumed = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address,
+      checkpoint: JSON.parse(JSON.stringify(checkpoints[1]))
+    });
+    expect(resumed.nextBlock).to.equal(this.fromBlock + 6);
+    await this.expectStoreToMatchChain(await resumed.sync());
+  });
+
+  it("refuses to resume from another contract's checkpoint", function() {
+    const indexer = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address
+    });
+    expect(
+      () =>
+        new ConditionalTokensIndexer({
+          provider: ethers.provider,
+          address: this.collateralToken.address,
+          checkpoint: indexer.checkpoint()
+        })
+    ).to.throw("checkpoint is for");
+  });
+});
@@ -0,0 +1,400 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fc = require("fast-check");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const { computeRedemption } = require("../utils/redemption")(ethers);
+const {
+  getFullIndexSet,
+  validatePartition
+} = require("../utils/partition-helpers");
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+// Failing cases are shrunk by fast-check and reported with the seed, which
+// can be passed back through FUZZ_SEED to replay them.
+const fuzzOptions = Object.assign(
+  { numRuns: Number(process.env.FUZZ_RUNS || 20) },
+  process.env.FUZZ_SEED != null && { seed: Number(process.env.FUZZ_SEED) }
+);
+
+const outcomeSlotCountArb = fc.integer({ min: 2, max: 256 });
+
+// Assigns every outcome slot to one of up to four groups, each group being
+// an index set. Leaving out the last group makes a partition of a subset of
+// the outcome slots. The mutations turn it into an invalid partition.
+function partitionArb(outcomeSlotCount) {
+  return fc
+    .record({
+      groups: fc.array(fc.integer({ min: 0, max: 3 }), {
+        minLength: outcomeSlotCount,
+        maxLength: outcomeSlotCount
+      }),
+      partial: fc.boolean(),
+      mutation: fc.constantFrom("none", "none", "none", "overlap", "full")
+    })
+    .map(({ groups, partial, mutation }) => {
+      let partition = [ZERO, ZERO, ZERO, ZERO];
+      groups.forEach((group, slot) => {
+        partition[group] |= ONE << BigInt(slot);
+      });
+      partition = partition.filter(indexSet => indexSet !== ZERO);
+      if (partial) partition = partition.slice(0, -1);
+      if (mutation === "overlap" && partition.length > 0)
+        partition.push(partition[0]);
+      if (mutation === "full")
+        partition.push(getFullIndexSet(outcomeSlotCount));
+      return partition;
+    });
+}
+
+function validPartitionArb(outcomeSlotCount) {
+  return partitionArb(outcomeSlotCount).filter(
+    partition => validatePartition(partition, outcomeSlotCount).valid
+  );
+}
+
+function operationArb(outcomeSlotCount) {
+  return fc.record({
+    method: fc.constantFrom("splitPosition", "mergePositions"),
+    partition: partitionArb(outcomeSlotCount),
+    amount: fc.integer({ min: 1, max: 1000 }).map(BigInt)
+  });
+}
+
+function payoutsArb(outcomeSlotCount) {
+  return fc
+    .array(fc.integer({ min: 0, max: 100 }), {
+      minLength: outcomeSlotCount,
+      maxLength: outcomeSlotCount
+    })
+    .filter(payouts => payouts.some(payout => payout > 0));
+}
+
+const scenarioArb = outcomeSlotCountArb.chain(outcomeSlotCount =>
+  fc.record({
+    outcomeSlotCount: fc.constant(outcomeSlotCount),
+    operations: fc.array(operationArb(outcomeSlotCount), { maxLength: 8 }),
+    payouts: payoutsArb(outcomeSlotCount)
+  })
+);
+
+const identityArb = fc
+  .tuple(outcomeSlotCountArb, fc.option(fc.integer({ min: 2, max: 8 })))
+  .chain(([outcomeSlotCount, parentOutcomeSlotCount]) =>
+    fc.record({
+      outcomeSlotCount: fc.constant(outcomeSlotCount),
+      partition: validPartitionArb(outcomeSlotCount),
+      amount: fc.integer({ min: 1, max: 1000 }).map(BigInt),
+      // Splits and merges happen under a collection of another condition
+      // when this is set.
+      parent:
+        parentOutcomeSlotCount == null
+          ? fc.constant(null)
+          : fc.record({
+              outcomeSlotCount: fc.constant(parentOutcomeSlotCount),
+              indexSet: fc.integer({
+                min: 1,
+                max: 2 ** parentOutcomeSlotCount - 2
+              })
+            })
+    })
+  );
+
+describe("ConditionalTokens invariants", function() {
+  this.timeout(0);
+
+  before(async function() {
+    [, this.oracle, this.trader] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = await ConditionalTokens.deploy();
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, 1e9);
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, 1e9);
+
+    // Every run starts from this state, which keeps failures reproducible.
+    this.runFromSnapshot = async run => {
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      try {
+        await run();
+      } finally {
+        await ethers.provider.send("evm_revert", [snapshot]);
+      }
+    };
+
+    this.prepare = async (questionId, outcomeSlotCount) => {
+      await this.conditionalTokens.prepareCondition(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+      return getConditionId(this.oracle.address, questionId, outcomeSlotCount);
+    };
+
+    this.send = (method, conditionId, partition, amount, parent) =>
+      this.conditionalTokens
+        .connect(this.trader)
+        [method](
+          this.collateralToken.address,
+          parent || NULL_BYTES32,
+          conditionId,
+          partition.map(String),
+          amount
+        );
+
+    this.redeem = (conditionId, indexSets) =>
+      this.conditionalTokens
+        .connect(this.trader)
+        .redeemPositions(
+          this.collateralToken.address,
+          NULL_BYTES32,
+          conditionId,
+          indexSets.map(String)
+        );
+
+    this.lockedCollateral = async () =>
+      (
+        await this.collateralToken.balanceOf(this.conditionalTokens.address)
+      ).toBigInt();
+
+    this.balancesOf = async (conditionId, indexSets, parent) => {
+      const positionIds = indexSets.map(indexSet =>
+        getPositionId(
+          this.collateralToken.address,
+          combineCollectionIds([
+            parent || NULL_BYTES32,
+            getCollectionId(conditionId, indexSet)
+          ])
+        )
+      );
+      const balances = await this.conditionalTokens.balanceOfBatch(
+        positionIds.map(() => this.trader.address),
+        positionIds
+      );
+      return balances.map(balance => balance.toBigInt());
+    };
+  });
+
+  // Sends the operations one by one, checking that each reverts exactly when
+  // a model of the trader's balances says it should, and returns the model.
+  async function runOperations(
+    context,
+    conditionId,
+    outcomeSlotCount,
+    operations
+  ) {
+    const fullIndexSet = getFullIndexSet(outcomeSlotCount);
+    const balances = new Map();
+    const balanceOf = indexSet => balances.get(indexSet) || ZERO;
+
+    for (const { method, partition, amount } of operations) {
+      const tx = context.send(method, conditionId, partition, amount);
+      const validation = validatePartition(partition, outcomeSlotCount);
+      if (!validation.valid) {
+        await expect(tx).to.be.revertedWith(validation.reason);
+        continue;
+      }
+
+      const union = partition.reduce((acc, indexSet) => acc | indexSet);
+      const [from, to] =
+        method === "splitPosition"
+          ? [[union], partition]
+          : [partition, [union]];
+      const covered = from.every(
+        indexSet => indexSet === fullIndexSet || balanceOf(indexSet) >= amount
+      );
+      if (!covered) {
+        await expect(tx).to.be.reverted;
+        continue;
+      }
+
+      await (await tx).wait();
+      for (const indexSet of from)
+        if (indexSet !== fullIndexSet)
+          balances.set(indexSet, balanceOf(indexSet) - amount);
+      for (const indexSet of to)
+        if (indexSet !== fullIndexSet)
+          balances.set(indexSet, balanceOf(indexSet) + amount);
+    }
+    return balances;
+  }
+
+  // Every outcome slot has to be backed by exactly the collateral held by
+  // the contract, counting all positions whose index set contains the slot.
+  async function expectFullSetsCovered(
+    context,
+    conditionId,
+    outcomeSlotCount,
+    indexSets
+  ) {
+    const balances = await context.balancesOf(conditionId, indexSets);
+    const locked = await context.lockedCollateral();
+    for (let slot = 0; slot < outcomeSlotCount; slot++) {
+      const bit = ONE << BigInt(slot);
+      const covered = indexSets.reduce(
+        (acc, indexSet, i) =>
+          (indexSet & bit) !== ZERO ? acc + balances[i] : acc,
+        ZERO
+      );
+      expect(covered, `collateral backing outcome slot ${slot}`).to.equal(
+        locked
+      );
+    }
+  }
+
+  it("keeps every outcome slot backed by the collateral it holds", async function() {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, ({ outcomeSlotCount, operations }) =>
+        this.runFromSnapshot(async () => {
+          const conditionId = await this.prepare(
+            NULL_BYTES32,
+            outcomeSlotCount
+          );
+          const balances = await runOperations(
+            this,
+            conditionId,
+            outcomeSlotCount,
+            operations
+          );
+          await expectFullSetsCovered(
+            this,
+            conditionId,
+            outcomeSlotCount,
+            Array.from(balances.keys())
+          );
+        })
+      ),
+      fuzzOptions
+    );
+  });
+
+  it("merges back exactly what was split, also under parent collections", async function() {
+    await fc.assert(
+      fc.asyncProperty(
+        identityArb,
+        ({ outcomeSlotCount, partition, amount, parent }) =>
+          this.runFromSnapshot(async () => {
+            let parentCollectionId = NULL_BYTES32;
+            if (parent != null) {
+              const parentConditionId = await this.prepare(
+                `0x${"1".repeat(64)}`,
+                parent.outcomeSlotCount
+              );
+              const indexSet = BigInt(parent.indexSet);
+              await this.send(
+                "splitPosition",
+                parentConditionId,
+                [indexSet, getFullIndexSet(parent.outcomeSlotCount) ^ indexSet],
+                amount
+              );
+              parentCollectionId = getCollectionId(parentConditionId, indexSet);
+            }
+
+            const conditionId = await this.prepare(
+              NULL_BYTES32,
+              outcomeSlotCount
+            );
+            // A partition of only some outcome slots is split off the
+            // position of their union, which has to be held first.
+            const union = partition.reduce((acc, indexSet) => acc | indexSet);
+            const rest = getFullIndexSet(outcomeSlotCount) ^ union;
+            if (rest !== ZERO)
+              await this.send(
+                "splitPosition",
+                conditionId,
+                [union, rest],
+                amount,
+                parentCollectionId
+              );
+
+            const indexSets = partition.concat(union, rest);
+            const before = await this.balancesOf(
+              conditionId,
+              indexSets,
+              parentCollectionId
+            );
+            const lockedBefore = await this.lockedCollateral();
+
+            await (
+              await this.send(
+                "splitPosition",
+                conditionId,
+                partition,
+                amount,
+                parentCollectionId
+              )
+            ).wait();
+            await (
+              await this.send(
+                "mergePositions",
+                conditionId,
+                partition,
+                amount,
+                parentCollectionId
+              )
+            ).wait();
+
+            expect(
+              await this.balancesOf(conditionId, indexSets, parentCollectionId)
+            ).to.deep.equal(before);
+            expect(await this.lockedCollateral()).to.equal(lockedBefore);
+          })
+      ),
+      fuzzOptions
+    );
+  });
+
+  it("never redeems more collateral than was deposited", async function() {
+    await fc.assert(
+      fc.asyncProperty(
+        scenarioArb,
+        ({ outcomeSlotCount, operations, payouts }) =>
+          this.runFromSnapshot(async () => {
+            const conditionId = await this.prepare(
+              NULL_BYTES32,
+              outcomeSlotCount
+            );
+            const balances = await runOperations(
+              this,
+              conditionId,
+              outcomeSlotCount,
+              operations
+            );
+            await this.conditionalTokens
+              .connect(this.oracle)
+              .reportPayouts(NULL_BYTES32, payouts);
+
+            const indexSets = Array.from(balances.keys());
+            const deposited = await this.lockedCollateral();
+            const { payout } = computeRedemption({
+              payoutNumerators: payouts,
+              payoutDenominator: payouts.reduce((acc, payout) => acc + payout),
+              balances: indexSets.map(indexSet => balances.get(indexSet)),
+              indexSets,
+              collateralToken: this.collateralToken.address,
+              parentCollectionId: NULL_BYTES32
+            });
+
+            await (await this.redeem(conditionId, indexSets)).wait();
+            const paid = deposited - (await this.lockedCollateral());
+            expect(paid).to.equal(payout);
+            expect(paid <= deposited, `paid ${paid} of ${deposited}`).to.be
+              .true;
+          })
+      ),
+      fuzzOptions
+    );
+  });
+});
@@ -0,0 +1,315 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const {
+  FEE_DENOMINATOR,
+  LmsrMarketMaker,
+  ConstantProductMarketMaker,
+  replay
+} = require("../utils/market-maker")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const UNIT = BigInt(10) ** BigInt(18);
+
+// What the fixed product market maker contracts hand out for an investment
+function calcBuyAmount(poolBalances, investment, outcomeIndex) {
+  const ceilDiv = (a, b) => (a + b - ONE) / b;
+  let endingOutcomeBalance = poolBalances[outcomeIndex] * UNIT;
+  poolBalances.forEach((balance, i) => {
+    if (i !== outcomeIndex)
+      endingOutcomeBalance = ceilDiv(
+        endingOutcomeBalance * balance,
+        balance + investment
+      );
+  });
+  return (
+    poolBalances[outcomeIndex] +
+    investment -
+    ceilDiv(endingOutcomeBalance, UNIT)
+  );
+}
+
+describe("market-maker", function() {
+  const { hexlify, randomBytes, getAddress } = ethers.utils;
+  const collateralToken = getAddress(hexlify(randomBytes(20)));
+  const conditionId = getConditionId(
+    collateralToken,
+    hexlify(randomBytes(32)),
+    3
+  );
+  const options = {
+    collateralToken,
+    conditionId,
+    outcomeSlotCount: 3,
+    funding: UNIT * BigInt(100)
+  };
+  const trades = [
+    { side: "buy", outcomeIndex: 0, amount: UNIT * BigInt(30) },
+    { side: "buy", outcomeIndex: 1, amount: UNIT * BigInt(5) },
+    { side: "sell", outcomeIndex: 0, amount: UNIT * BigInt(10) },
+    { side: "buy", outcomeIndex: 2, amount: UNIT * BigInt(50) },
+    { side: "sell", outcomeIndex: 2, amount: UNIT * BigInt(50) }
+  ];
+
+  it("holds inventory under the IDs of the outcome positions", function() {
+    const marketMaker = new ConstantProductMarketMaker(options);
+    expect(marketMaker.positionIds).to.deep.equal(
+      [1, 2, 4].map(indexSet =>
+        BigInt(
+          getPositionId(collateralToken, getCollectionId(conditionId, indexSet))
+        ).toString()
+      )
+    );
+    for (const positionId of marketMaker.positionIds)
+      expect(marketMaker.balanceOf(positionId)).to.equal(options.funding);
+    expect(marketMaker.fundingCalls).to.deep.equal([
+      {
+        method: "splitPosition",
+        params: {
+          collateralToken,
+          parentCollectionId: NULL_BYTES32,
+          conditionId,
+          partition: [1, 2, 4].map(BigInt),
+          amount: options.funding
+        }
+      }
+    ]);
+  });
+
+  describe("LMSR", function() {
+    it("starts at uniform prices which follow demand", function() {
+      const marketMaker = new LmsrMarketMaker(options);
+      for (const price of marketMaker.prices())
+        expect(price).to.be.closeTo(1 / 3, 1e-12);
+      marketMaker.buy(0, UNIT * BigInt(10));
+      const [a, b, c] = marketMaker.prices();
+      expect(a).to.be.above(1 / 3);
+      expect(b).to.equal(c);
+      expect(a + b + c).to.be.closeTo(1, 1e-12);
+    });
+
+    it("loses at most its funding", function() {
+      const marketMaker = new LmsrMarketMaker(options);
+      let paid = ZERO;
+      for (let i = 0; i < 10; i++)
+        paid += marketMaker.buy(0, UNIT * BigInt(100)).cost;
+      // outcome 0 pays out 1000 units
+      expect(options.funding + paid - UNIT * BigInt(1000) >= ZERO).to.be.true;
+      expect(marketMaker.collateral >= ZERO).to.be.true;
+    });
+
+    it("splits only what its inventory lacks and merges complete sets", function() {
+      const marketMaker = new LmsrMarketMaker(options);
+      const bought = marketMaker.buy(1, UNIT);
+      expect(bought.calls.map(({ method }) => method)).to.deep.equal([
+        "splitPosition"
+      ]);
+      expect(marketMaker.inventory).to.deep.equal([UNIT, ZERO, UNIT]);
+
+      const sold = marketMaker.sell(1, UNIT);
+      expect(sold.calls).to.deep.equal([
+        {
+          method: "mergePositions",
+          params: Object.assign({}, bought.calls[0].params, { amount: UNIT })
+        }
+      ]);
+      expect(marketMaker.inventory).to.deep.equal([ZERO, ZERO, ZERO]);
+    });
+
+    it("never pays back more than it was paid", function() {
+      const marketMaker = new LmsrMarketMaker(options);
+      const { cost } = marketMaker.buy(2, UNIT * BigInt(7));
+      expect(marketMaker.quoteSell(2, UNIT * BigInt(7)) <= cost).to.be.true;
+    });
+
+    it("rounds tiny trades against large funding in its favour", function() {
+      const marketMaker = new LmsrMarketMaker(
+        Object.assign({}, options, {
+          outcomeSlotCount: 2,
+          funding: UNIT * BigInt(1000)
+        })
+      );
+      // b = 1000e18 / ln 2 rounded down
+      expect(marketMaker.liquidity).to.equal(BigInt("1442695040888963407359"));
+      // exactly 0.5
+      expect(marketMaker.quoteBuy(0, 1)).to.equal(ONE);
+      expect(marketMaker.quoteSell(0, 1)).to.equal(ZERO);
+      marketMaker.buy(0, UNIT);
+      // exactly 499826.71 and 500173.29
+      expect(marketMaker.quoteBuy(1, 1e6)).to.equal(BigInt(499827));
+      expect(marketMaker.quoteSell(0, 1e6)).to.equal(BigInt(500173));
+    });
+  });
+
+  describe("constant product", function() {
+    it("prices like the fixed product market maker contracts", function() {
+      const marketMaker = new ConstantProductMarketMaker(options);
+      for (const investment of [UNIT, UNIT * BigInt(42), BigInt(12345)]) {
+        const amount = calcBuyAmount(marketMaker.inventory, investment, 1);
+        const cost = marketMaker.quoteBuy(1, amount);
+        expect(cost <= investment).to.be.true;
+        expect(calcBuyAmount(marketMaker.inventory, cost - ONE, 1) < amount).to
+          .be.true;
+      }
+    });
+
+    it("keeps the product of its balances", function() {
+      const marketMaker = new ConstantProductMarketMaker(options);
+      const product = () => marketMaker.inventory.reduce((a, b) => a * b);
+      let before = product();
+      for (const { side, outcomeIndex, amount } of trades) {
+        marketMaker[side](outcomeIndex, amount);
+        expect(product() >= before).to.be.true;
+        before = product();
+      }
+    });
+
+    it("charges fees on top", function() {
+      const fee = FEE_DENOMINATOR / BigInt(100);
+      const withFee = new ConstantProductMarketMaker(
+        Object.assign({ fee }, options)
+      );
+      const withoutFee = new ConstantProductMarketMaker(options);
+      const cost = withoutFee.quoteBuy(0, UNIT);
+      const charged = (cost + BigInt(99)) / BigInt(100);
+      expect(withFee.quoteBuy(0, UNIT) === cost + charged).to.be.true;
+      expect(() => withFee.buy(0, UNIT, { maxCost: cost })).to.throw(
+        "exceeds maximum"
+      );
+      const { calls } = withFee.buy(0, UNIT);
+      expect(calls[0].params.amount === cost).to.be.true;
+      expect(withFee.collateral === charged).to.be.true;
+    });
+  });
+
+  describe("replay", function() {
+    it("is deterministic and leaves the market maker alone", function() {
+      for (const MarketMaker of [LmsrMarketMaker, ConstantProductMarketMaker]) {
+        const marketMaker = new MarketMaker(options);
+        const before = marketMaker.clone();
+        const first = replay(marketMaker, trades);
+        expect(replay(marketMaker, trades)).to.deep.equal(first);
+        expect(marketMaker).to.deep.equal(before);
+        expect(first.results.filter(({ error }) => error != null)).to.be.empty;
+      }
+    });
+
+    it("records trades which fail", function() {
+      const marketMaker = new LmsrMarketMaker(options);
+      const { results } = replay(marketMaker, [
+        { side: "buy", outcomeIndex: 0, amount: UNIT, maxCost: ONE },
+        { side: "hold", outcomeIndex: 0, amount: UNIT },
+        { side: "buy", outcomeIndex: 0, amount: UNIT }
+      ]);
+      expect(results.map(({ error }) => error)).to.deep.equal([
+        `cost ${marketMaker.quoteBuy(0, UNIT)} exceeds maximum 1`,
+        "got invalid trade side hold",
+        undefined
+      ]);
+    });
+
+    it("matches the events of the calls sent", async function() {
+      const [, trader, oracle] = await ethers.getSigners();
+      const [maker] = await ethers.getSigners();
+      const ConditionalTokens = await ethers.getContractFactory(
+        "ConditionalTokens"
+      );
+      const MockCoin = await ethers.getContractFactory("MockCoin");
+      const conditionalTokens = await ConditionalTokens.deploy();
+      const coin = await MockCoin.deploy();
+      const questionId = hexlify(randomBytes(32));
+      await conditionalTokens.prepareCondition(oracle.address, questionId, 3);
+      await coin.mint(maker.address, options.funding);
+      await coin.mint(trader.address, options.funding);
+      await coin.approve(
+        conditionalTokens.address,
+        options.funding * BigInt(2)
+      );
+
+      const marketOptions = Object.assign({}, options, {
+        collateralToken: coin.address,
+        conditionId: getConditionId(oracle.address, questionId, 3)
+      });
+      const marketMaker = new ConstantProductMarketMaker(marketOptions);
+      const send = async ({ method, params }) =>
+        (
+          await conditionalTokens[method](
+            params.collateralToken,
+            params.parentCollectionId,
+            params.conditionId,
+            params.partition.map(String),
+            params.amount.toString()
+          )
+        ).wait();
+      for (const call of marketMaker.fundingCalls) await send(call);
+      const fromBlock = await ethers.provider.getBlockNumber();
+
+      const { results, mismatches } = replay(marketMaker, trades);
+      expect(mismatches).to.be.empty;
+      for (const {
+        side,
+        outcomeIndex,
+        amount,
+        cost,
+        proceeds,
+        calls
+      } of results) {
+        const positionId = marketMaker.positionIds[outcomeIndex];
+        if (side === "buy") {
+          await coin.connect(trader).transfer(maker.address, cost);
+          for (const call of calls) await send(call);
+          await conditionalTokens.safeTransferFrom(
+            maker.address,
+            trader.address,
+            positionId,
+            amount,
+            "0x"
+          );
+        } else {
+          await conditionalTokens
+            .connect(trader)
+            .safeTransferFrom(
+              trader.address,
+              maker.address,
+              positionId,
+              amount,
+              "0x"
+            );
+          for (const call of calls) await send(call);
+          await coin.transfer(trader.address, proceeds);
+        }
+      }
+
+      const events = (
+        await conditionalTokens.queryFilter("*", fromBlock + 1)
+      ).filter(
+        ({ event, args }) =>
+          ["PositionSplit", "PositionsMerge"].includes(event) &&
+          args.stakeholder === maker.address
+      );
+      const replayed = replay(marketMaker, trades, { events });
+      expect(replayed.mismatches).to.be.empty;
+      const { inventory, collateral } = replayed.marketMaker;
+      for (let i = 0; i < 3; i++)
+        expect(
+          await conditionalTokens.balanceOf(
+            maker.address,
+            marketMaker.positionIds[i]
+          )
+        ).to.equal(inventory[i]);
+      expect(await coin.balanceOf(maker.address)).to.equal(collateral);
+
+      const lmsr = new LmsrMarketMaker(marketOptions);
+      expect(replay(lmsr, trades, { events }).mismatches).to.have.length.above(
+        0
+      );
+    });
+  });
+});
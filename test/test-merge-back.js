@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { getConditionId, getCollectionId } = require("../utils/id-helpers")(
+  ethers
+);
+const { findMerges, mergeBack } = require("../utils/merge-back")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+const [A, B, C] = [0b001, 0b010, 0b100].map(BigInt);
+const [HI, LO] = [0b01, 0b10].map(BigInt);
+
+describe("merge-back", function() {
+  const { hexlify, randomBytes, getAddress } = ethers.utils;
+  const collateralToken = getAddress(hexlify(randomBytes(20)));
+  const choice = getConditionId(collateralToken, hexlify(randomBytes(32)), 3);
+  const score = getConditionId(collateralToken, hexlify(randomBytes(32)), 2);
+  const conditions = [
+    { conditionId: choice, outcomeSlotCount: 3 },
+    { conditionId: score, outcomeSlotCount: 2 }
+  ];
+  const find = balances =>
+    findMerges({
+      collateralToken,
+      conditions,
+      balances: balances.map(([indexSets, balance]) => ({
+        indexSets: indexSets.map(([conditionId, indexSet]) => ({
+          conditionId,
+          indexSet
+        })),
+        balance
+      }))
+    });
+
+  it("merges as much of a full set as is held", function() {
+    const { merges, collateral, parentCollections } = find([
+      [[[choice, A]], 5],
+      [[[choice, B]], 7],
+      [[[choice, C]], 9],
+      [[[score, HI]], 3]
+    ]);
+    expect(merges).to.deep.equal([
+      {
+        method: "mergePositions",
+        params: {
+          collateralToken,
+          parentCollectionId: NULL_BYTES32,
+          conditionId: choice,
+          partition: [A, B, C],
+          amount: BigInt(5)
+        },
+        collectionIds: [A, B, C].map(indexSet =>
+          getCollectionId(choice, indexSet)
+        )
+      }
+    ]);
+    expect(collateral).to.equal(BigInt(5));
+    expect(parentCollections).to.be.empty;
+  });
+
+  it("merges nested positions first", function() {
+    const { merges, collateral, parentCollections } = find([
+      [[[choice, B]], 10],
+      [[[choice, C]], 10],
+      [
+        [
+          [choice, A],
+          [score, HI]
+        ],
+        4
+      ],
+      [
+        [
+          [choice, A],
+          [score, LO]
+        ],
+        6
+      ]
+    ]);
+    expect(
+      merges.map(({ params }) => [
+        params.parentCollectionId,
+        params.conditionId,
+        params.amount
+      ])
+    ).to.deep.equal([
+      [getCollectionId(choice, A), score, BigInt(4)],
+      [NULL_BYTES32, choice, BigInt(4)]
+    ]);
+    expect(collateral).to.equal(BigInt(4));
+    expect(parentCollections).to.deep.equal([
+      { collectionId: getCollectionId(choice, A), amount: BigInt(4) }
+    ]);
+  });
+
+  it("prefers the partition which frees the most", function() {
+    const { merges, collateral } = find([
+      [[[choice, A]], 2],
+      [[[choice, B]], 2],
+      [[[choice, C]], 9],
+      [[[choice, A | B]], 8]
+    ]);
+    expect(
+      merges.map(({ params }) => [params.partition, params.amount])
+    ).to.deep.equal([
+      [[A | B, C], BigInt(8)],
+      [[A, B, C], BigInt(1)]
+    ]);
+    expect(collateral).to.equal(BigInt(9));
+  });
+
+  it("finds nothing without full sets", function() {
+    expect(
+      find([
+        [[[choice, A]], 5],
+        [[[choice, B | C]], 0],
+        [[[score, LO]], 5]
+      ]).merges
+    ).to.be.empty;
+  });
+
+  it("reads balances and sends the merges", async function() {
+    const [oracle, trader] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    const conditionalTokens = (await ConditionalTokens.deploy()).connect(
+      trader
+    );
+    const coin = await MockCoin.deploy();
+    await coin.mint(trader.address, 100);
+    await coin.connect(trader).approve(conditionalTokens.address, 100);
+
+    const conditionIds = [];
+    for (const outcomeSlotCount of [3, 2]) {
+      const questionId = hexlify(randomBytes(32));
+      await conditionalTokens.prepareCondition(
+        oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+      conditionIds.push(
+        getConditionId(oracle.address, questionId, outcomeSlotCount)
+      );
+    }
+    const [first, second] = conditionIds;
+    await conditionalTokens.splitPosition(
+      coin.address,
+      NULL_BYTES32,
+      first,
+      [1, 2, 4],
+      30
+    );
+    await conditionalTokens.splitPosition(
+      coin.address,
+      getCollectionId(first, A),
+      second,
+      [1, 2],
+      10
+    );
+
+    const options = {
+      address: conditionalTokens.address,
+      account: trader.address,
+      collateral: coin.address,
+      conditions: conditionIds
+    };
+    const found = await mergeBack(ethers.provider, options);
+    expect(found.merges).to.have.lengthOf(2);
+    expect(found.collateral).to.equal(BigInt(30));
+    expect(await coin.balanceOf(trader.address)).to.equal(70);
+
+    const { transactions } = await mergeBack(
+      ethers.provider,
+      Object.assign({ signer: trader }, options)
+    );
+    expect(transactions).to.have.lengthOf(2);
+    expect(await coin.balanceOf(trader.address)).to.equal(100);
+    expect((await mergeBack(ethers.provider, options)).merges).to.be.empty;
+  });
+});
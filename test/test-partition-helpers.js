@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+
+const {
+  validatePartition,
+  isFullPartition,
+  complementIndexSet,
+  outcomesToIndexSet,
+  indexSetToOutcomes
+} = require("../utils/partition-helpers");
+
+describe("partition-helpers", function() {
+  describe("validatePartition", function() {
+    // mirrors the "should not split if..." cases of the ConditionalTokens tests
+    const outcomeSlotCount = 2;
+
+    it("should not split if given index sets aren't disjoint", function() {
+      expect(validatePartition([0b11, 0b10], outcomeSlotCount)).to.include({
+        valid: false,
+        reason: "got invalid index set",
+        index: 0
+      });
+      expect(validatePartition([0b01, 0b01], outcomeSlotCount)).to.include({
+        valid: false,
+        reason: "partition not disjoint",
+        index: 1
+      });
+    });
+
+    it("should not split if partitioning more than condition's outcome slots", function() {
+      expect(
+        validatePartition([0b001, 0b010, 0b100], outcomeSlotCount)
+      ).to.include({
+        valid: false,
+        reason: "got invalid index set",
+        index: 2
+      });
+    });
+
+    it("should not split if given a singleton partition", function() {
+      expect(validatePartition([0b11], outcomeSlotCount)).to.include({
+        valid: false,
+        reason: "got empty or singleton partition"
+      });
+    });
+
+    it("should not split if given an incomplete singleton partition", function() {
+      expect(validatePartition([0b01], outcomeSlotCount)).to.include({
+        valid: false,
+        reason: "got empty or singleton partition"
+      });
+    });
+
+    it("should not split on unprepared conditions", function() {
+      expect(validatePartition([0b01, 0b10], 0)).to.include({
+        valid: false,
+        reason: "condition not prepared yet"
+      });
+    });
+
+    it("should accept full and partial partitions", function() {
+      expect(validatePartition([0b01, 0b10], outcomeSlotCount)).to.deep.equal({
+        valid: true,
+        full: true
+      });
+      expect(validatePartition([0b0001, 0b0010, 0b1100], 4)).to.deep.equal({
+        valid: true,
+        full: true
+      });
+      expect(validatePartition([0b0001, 0b0100], 4)).to.deep.equal({
+        valid: true,
+        full: false
+      });
+    });
+
+    it("should handle conditions with 256 outcome slots", function() {
+      const high = BigInt(1) << BigInt(255);
+      expect(isFullPartition([high, high - BigInt(1)], 256)).to.be.true;
+    });
+  });
+
+  it("computes complements of index sets", function() {
+    expect(complementIndexSet(0b0110, 4)).to.equal(BigInt(0b1001));
+    expect(complementIndexSet([0b0001, 0b0100], 4)).to.equal(BigInt(0b1010));
+    expect(() => complementIndexSet([0b0011, 0b0010], 4)).to.throw(
+      "partition not disjoint"
+    );
+    expect(() => complementIndexSet(0b10000, 4)).to.throw(
+      "got invalid index set"
+    );
+  });
+
+  it("converts between outcome slot indices and index sets", function() {
+    expect(outcomesToIndexSet([0, 2])).to.equal(BigInt(0b101));
+    expect(indexSetToOutcomes(0b101)).to.deep.equal([0, 2]);
+    expect(indexSetToOutcomes(outcomesToIndexSet([255]))).to.deep.equal([255]);
+    expect(() => outcomesToIndexSet([256])).to.throw(
+      "got invalid outcome slot index"
+    );
+  });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  validatePayouts,
+  toNumerators,
+  categoricalPayouts,
+  multiWinnerPayouts,
+  scalarPayouts,
+  invalidPayouts,
+  checkPayoutsForCondition
+} = require("../utils/payout-vectors");
+
+const toNumbers = payouts => payouts.map(Number);
+
+describe("payout-vectors", function() {
+  describe("validatePayouts", function() {
+    // mirrors the reportPayouts checks of the ConditionalTokens contract
+    it("should not report payouts for too few or the wrong number of slots", function() {
+      expect(validatePayouts([1], 1)).to.include({
+        valid: false,
+        reason: "there should be more than one outcome slot"
+      });
+      expect(validatePayouts([1, 0], 3)).to.include({
+        valid: false,
+        reason: "condition not prepared or found"
+      });
+    });
+
+    it("should not report all zeroes or overflowing payouts", function() {
+      expect(validatePayouts([0, 0, 0], 3)).to.include({
+        valid: false,
+        reason: "payout is all zeroes"
+      });
+      const half = BigInt(2) ** BigInt(255);
+      expect(validatePayouts([half, half], 2)).to.include({
+        valid: false,
+        reason: "SafeMath: addition overflow",
+        index: 1
+      });
+      expect(validatePayouts([1, -1], 2)).to.include({
+        valid: false,
+        code: "INVALID_NUMERATOR",
+        index: 1
+      });
+    });
+
+    it("returns the payout denominator of valid payouts", function() {
+      expect(validatePayouts([3, "1", BigInt(2)], 3)).to.deep.equal({
+        valid: true,
+        payoutDenominator: BigInt(6)
+      });
+    });
+  });
+
+  it("builds categorical and invalid payouts", function() {
+    expect(toNumbers(categoricalPayouts(1, 3))).to.deep.equal([0, 1, 0]);
+    expect(toNumbers(invalidPayouts(4))).to.deep.equal([1, 1, 1, 1]);
+    expect(() => categoricalPayouts(3, 3)).to.throw(
+      "got invalid outcome slot index 3"
+    );
+    expect(() => invalidPayouts(1)).to.throw(
+      "there should be more than one outcome slot"
+    );
+  });
+
+  it("splits payouts between multiple winners", function() {
+    expect(toNumbers(multiWinnerPayouts([0, 2], 4))).to.deep.equal([
+      1,
+      0,
+      1,
+      0
+    ]);
+    expect(
+      toNumbers(
+        multiWinnerPayouts(
+          [
+            { outcomeIndex: 1, weight: 0.25 },
+            { outcomeIndex: 2, weight: "0.5" }
+          ],
+          3
+        )
+      )
+    ).to.deep.equal([0, 1, 2]);
+    expect(() => multiWinnerPayouts([1, 1], 3)).to.throw(
+      "got outcome slot index 1 twice"
+    );
+    expect(() => multiWinnerPayouts([], 3)).to.throw("got no winners");
+  });
+
+  it("maps scalar values onto the ends of the range", function() {
+    // the example of the developer guide
+    expect(
+      toNumbers(scalarPayouts({ low: 0, high: 1000, value: 100 }))
+    ).to.deep.equal([9, 1]);
+    expect(
+      toNumbers(scalarPayouts({ low: "-1.5", high: 1.5, value: "0.001" }))
+    ).to.deep.equal([1499, 1501]);
+    expect(
+      toNumbers(scalarPayouts({ low: 0, high: 1000, value: 2000 }))
+    ).to.deep.equal([0, 1]);
+    expect(
+      toNumbers(scalarPayouts({ low: 0, high: 1000, value: -5 }))
+    ).to.deep.equal([1, 0]);
+    expect(() => scalarPayouts({ low: 1, high: 1, value: 1 })).to.throw(
+      "the low end should be below the high end"
+    );
+  });
+
+  it("scales numerators to a given payout denominator", function() {
+    expect(
+      toNumbers(toNumerators([1, 1, 1], { payoutDenominator: 100 }))
+    ).to.deep.equal([34, 33, 33]);
+    expect(
+      toNumbers(
+        scalarPayouts(
+          { low: 0, high: 3, value: 2 },
+          { payoutDenominator: 1000 }
+        )
+      )
+    ).to.deep.equal([333, 667]);
+    expect(
+      toNumbers(
+        multiWinnerPayouts([0, 1, 2], 4, {
+          payoutDenominator: BigInt(10) ** BigInt(18)
+        })
+      ).reduce((a, b) => a + b)
+    ).to.equal(1e18);
+    expect(toNumerators(["1e-30", "2e-30"])).to.deep.equal([
+      BigInt(1),
+      BigInt(2)
+    ]);
+  });
+
+  it("checks payouts against a prepared condition", async function() {
+    const [, oracle] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const conditionalTokens = await ConditionalTokens.deploy();
+    const questionId = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    await conditionalTokens.prepareCondition(oracle.address, questionId, 2);
+    const conditionId = await conditionalTokens.getConditionId(
+      oracle.address,
+      questionId,
+      2
+    );
+
+    const payouts = scalarPayouts({ low: 0, high: 1000, value: 100 });
+    expect(
+      await checkPayoutsForCondition(conditionalTokens, conditionId, [1, 1, 1])
+    ).to.include({ reason: "condition not prepared or found" });
+    expect(
+      await checkPayoutsForCondition(conditionalTokens, conditionId, payouts)
+    ).to.include({ valid: true });
+
+    await conditionalTokens
+      .connect(oracle)
+      .reportPayouts(questionId, payouts.map(String));
+    expect(await conditionalTokens.payoutNumerators(conditionId, 0)).to.equal(
+      9
+    );
+    expect(await conditionalTokens.payoutDenominator(conditionId)).to.equal(10);
+    expect(
+      await checkPayoutsForCondition(conditionalTokens, conditionId, payouts)
+    ).to.include({ reason: "payout denominator already set" });
+  });
+});
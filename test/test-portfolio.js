@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const {
+  valuePortfolio,
+  getRealizedPnl,
+  getPayoutRange
+} = require("../utils/portfolio")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+const [A, B, C] = [0b001, 0b010, 0b100].map(BigInt);
+const [YES, NO] = [0b01, 0b10].map(BigInt);
+
+describe("portfolio", function() {
+  const { hexlify, randomBytes } = ethers.utils;
+
+  beforeEach(async function() {
+    const [account, oracle] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = await ConditionalTokens.deploy();
+    this.coin = await MockCoin.deploy();
+    this.account = account;
+    this.oracle = oracle;
+
+    // Who wins, and under A whether the margin is big
+    this.winnerQuestion = hexlify(randomBytes(32));
+    this.marginQuestion = hexlify(randomBytes(32));
+    this.winner = getConditionId(oracle.address, this.winnerQuestion, 3);
+    this.margin = getConditionId(oracle.address, this.marginQuestion, 2);
+    await this.conditionalTokens.prepareCondition(
+      oracle.address,
+      this.winnerQuestion,
+      3
+    );
+    await this.conditionalTokens.prepareCondition(
+      oracle.address,
+      this.marginQuestion,
+      2
+    );
+    this.conditions = [
+      { conditionId: this.winner, outcomeSlotCount: 3 },
+      { conditionId: this.margin, outcomeSlotCount: 2 }
+    ];
+
+    await this.coin.mint(account.address, 100);
+    await this.coin.approve(this.conditionalTokens.address, 100);
+    await this.conditionalTokens.splitPosition(
+      this.coin.address,
+      NULL_BYTES32,
+      this.winner,
+      [A, B, C].map(String),
+      100
+    );
+    await this.conditionalTokens.splitPosition(
+      this.coin.address,
+      getCollectionId(this.winner, A),
+      this.margin,
+      [YES, NO].map(String),
+      100
+    );
+
+    const position = (...indexSets) =>
+      indexSets.map(([conditionId, indexSet]) => ({ conditionId, indexSet }));
+    this.positions = [
+      { indexSets: position([this.winner, B]), balance: 100 },
+      { indexSets: position([this.winner, C]), balance: 100 },
+      {
+        indexSets: position([this.winner, A], [this.margin, YES]),
+        balance: 100
+      },
+      {
+        indexSets: position([this.winner, A], [this.margin, NO]),
+        balance: 100
+      }
+    ];
+    this.positionIds = this.positions.map(({ indexSets }) =>
+      BigInt(
+        getPositionId(
+          this.coin.address,
+          combineCollectionIds(
+            indexSets.map(({ conditionId, indexSet }) =>
+              getCollectionId(conditionId, indexSet)
+            )
+          )
+        )
+      ).toString()
+    );
+    // Bought at a markup
+    this.costBasis = {
+      [this.positionIds[0]]: 30,
+      [this.positionIds[1]]: 30,
+      [this.positionIds[2]]: 35,
+      [this.positionIds[3]]: 25
+    };
+  });
+
+  describe("valuePortfolio", function() {
+    it("marks positions to market, nested ones at conditional prices", function() {
+      const { positions, value, cost, unrealizedPnl } = valuePortfolio({
+        collateralToken: this.coin.address,
+        conditions: this.conditions,
+        positions: this.positions,
+        prices: {
+          [this.winner]: [0.5, 0.3, "0.2"],
+          [this.margin]: [0.6, 0.4]
+        },
+        costBasis: this.costBasis
+      });
+      expect(positions.map(({ positionId }) => positionId)).to.deep.equal(
+        this.positionIds
+      );
+      expect(positions.map(({ value }) => Number(value))).to.deep.equal([
+        30,
+        20,
+        30,
+        20
+      ]);
+      expect(
+        positions.map(({ unrealizedPnl }) => Number(unrealizedPnl))
+      ).to.deep.equal([0, -10, -5, -5]);
+      expect(value === BigInt(100)).to.be.true;
+      expect(cost === BigInt(120)).to.be.true;
+      expect(unrealizedPnl === BigInt(-20)).to.be.true;
+    });
+
+    it("values resolved conditions at their payouts", async function() {
+      await this.conditionalTokens
+        .connect(this.oracle)
+        .reportPayouts(this.marginQuestion, [3, 1]);
+      const { positions, value } = valuePortfolio({
+        collateralToken: this.coin.address,
+        conditions: [
+          this.conditions[0],
+          {
+            conditionId: this.margin,
+            outcomeSlotCount: 2,
+            payoutNumerators: [3, 1]
+          }
+        ],
+        positions: this.positions.concat({ indexSets: [], balance: 7 }),
+        prices: { [this.winner]: [0.5, 0.3, 0.2] }
+      });
+      expect(positions.map(({ value }) => Number(value))).to.deep.equal([
+        30,
+        20,
+        37,
+        12,
+        7
+      ]);
+      expect(positions[4].positionId).to.be.null;
+      expect(value === BigInt(106)).to.be.true;
+    });
+
+    it("needs prices for unresolved conditions", function() {
+      expect(() =>
+        valuePortfolio({
+          collateralToken: this.coin.address,
+          conditions: this.conditions,
+          positions: this.positions,
+          prices: { [this.winner]: [0.5, 0.3, 0.2] }
+        })
+      ).to.throw(`no prices for unresolved condition ${this.margin}`);
+      expect(() =>
+        valuePortfolio({
+          collateralToken: this.coin.address,
+          conditions: this.conditions,
+          positions: this.positions,
+          prices: { [this.winner]: [0.5, 0.5], [this.margin]: [0.5, 0.5] }
+        })
+      ).to.throw("got 2 prices for condition");
+    });
+  });
+
+  describe("getRealizedPnl", function() {
+    it("realizes redemptions into collateral and carries nested costs over", async function() {
+      const { conditionalTokens, coin, oracle } = this;
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await conditionalTokens
+        .connect(oracle)
+        .reportPayouts(this.marginQuestion, [3, 1]);
+      await conditionalTokens.redeemPositions(
+        coin.address,
+        getCollectionId(this.winner, A),
+        this.margin,
+        [YES, NO].map(String)
+      );
+      const parentPositionId = BigInt(
+        getPositionId(coin.address, getCollectionId(this.winner, A))
+      ).toString();
+
+      const redemptionsOf = async () =>
+        conditionalTokens.queryFilter(
+          conditionalTokens.filters.PayoutRedemption(this.account.address),
+          fromBlock + 1
+        );
+      const nested = getRealizedPnl({
+        collateralToken: coin.address,
+        events: await redemptionsOf(),
+        costBasis: this.costBasis
+      });
+      expect(nested.realizedPnl === BigInt(0)).to.be.true;
+      expect(nested.redemptions).to.have.length(1);
+      expect(nested.redemptions[0].payoutPositionId).to.equal(parentPositionId);
+      expect(nested.redemptions[0].realizedPnl).to.be.null;
+      expect(nested.redemptions[0].payout === BigInt(100)).to.be.true;
+      expect(nested.costBasis).to.deep.equal({
+        [this.positionIds[0]]: BigInt(30),
+        [this.positionIds[1]]: BigInt(30),
+        [parentPositionId]: BigInt(60)
+      });
+
+      const { unrealizedPnl } = valuePortfolio({
+        collateralToken: coin.address,
+        conditions: this.conditions,
+        positions: [A, B, C].map(indexSet => ({
+          indexSets: [{ conditionId: this.winner, indexSet }],
+          balance: 100
+        })),
+        prices: { [this.winner]: [0.5, 0.3, 0.2] },
+        costBasis: nested.costBasis
+      });
+      expect(unrealizedPnl === BigInt(-20)).to.be.true;
+
+      await conditionalTokens
+        .connect(oracle)
+        .reportPayouts(this.winnerQuestion, [1, 0, 0]);
+      await conditionalTokens.redeemPositions(
+        coin.address,
+        NULL_BYTES32,
+        this.winner,
+        [A, B, C].map(String)
+      );
+      const { realizedPnl, redemptions, costBasis } = getRealizedPnl({
+        collateralToken: coin.address,
+        events: await redemptionsOf(),
+        costBasis: this.costBasis
+      });
+      expect(redemptions[1].cost === BigInt(120)).to.be.true;
+      expect(redemptions[1].payout === BigInt(100)).to.be.true;
+      expect(realizedPnl === BigInt(-20)).to.be.true;
+      expect(costBasis).to.deep.equal({});
+      expect(await coin.balanceOf(this.account.address)).to.equal(100);
+    });
+
+    it("skips redemptions of other collateral", function() {
+      const { realizedPnl, redemptions } = getRealizedPnl({
+        collateralToken: this.coin.address,
+        events: [
+          {
+            args: {
+              collateralToken: ethers.constants.AddressZero,
+              parentCollectionId: NULL_BYTES32,
+              conditionId: this.winner,
+              indexSets: [A],
+              payout: 5
+            }
+          }
+        ]
+      });
+      expect(realizedPnl === BigInt(0)).to.be.true;
+      expect(redemptions).to.be.empty;
+    });
+  });
+
+  describe("getPayoutRange", function() {
+    it("finds the worst and best combination of outcomes", function() {
+      const positions = this.positions.slice();
+      positions[3] = Object.assign({}, positions[3], { balance: 60 });
+      const { worstCase, bestCase } = getPayoutRange({
+        conditions: this.conditions,
+        positions
+      });
+      expect(worstCase.payout === BigInt(60)).to.be.true;
+      expect(worstCase.outcomes).to.deep.equal([
+        { conditionId: this.winner, outcomeIndex: 0 },
+        { conditionId: this.margin, outcomeIndex: 1 }
+      ]);
+      expect(bestCase.payout === BigInt(100)).to.be.true;
+
+      const resolved = getPayoutRange({
+        conditions: [
+          this.conditions[0],
+          {
+            conditionId: this.margin,
+            outcomeSlotCount: 2,
+            payoutNumerators: [3, 1]
+          }
+        ],
+        positions
+      });
+      expect(resolved.worstCase.payout === BigInt(90)).to.be.true;
+      expect(resolved.worstCase.outcomes).to.deep.equal([
+        { conditionId: this.winner, outcomeIndex: 0 }
+      ]);
+    });
+
+    it("refuses too many combinations", function() {
+      expect(() =>
+        getPayoutRange({
+          conditions: this.conditions,
+          positions: this.positions,
+          maxScenarios: 5
+        })
+      ).to.throw("6 combinations of outcomes is more than the maximum of 5");
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { getConditionId } = require("../utils/id-helpers")(ethers);
+const { getPositionBalances } = require("../utils/position-balances")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+// Counts the calls made, and refuses those with more calldata than the cap
+// with the error from refuse
+class CappedProvider extends ethers.providers.Web3Provider {
+  constructor(provider, maxCalldataSize = Infinity) {
+    super(provider);
+    this.maxCalldataSize = maxCalldataSize;
+    this.calls = [];
+  }
+
+  async call(transaction, blockTag) {
+    transaction = await ethers.utils.resolveProperties(transaction);
+    this.calls.push(transaction);
+    if (ethers.utils.hexDataLength(transaction.data) > this.maxCalldataSize)
+      throw this.refuse();
+    return super.call(transaction, blockTag);
+  }
+
+  refuse() {
+    return new Error("call data too large");
+  }
+}
+
+describe("position-balances", function() {
+  before(async function() {
+    [this.oracle, this.trader, this.other] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    const Multicall = await ethers.getContractFactory("Multicall");
+    this.conditionalTokens = await ConditionalTokens.deploy();
+    this.collateralToken = await MockCoin.deploy();
+    this.multicall = await Multicall.deploy();
+
+    this.conditions = [];
+    for (const [questionId, outcomeSlotCount] of [
+      [`0x${"1".repeat(64)}`, 3],
+      [`0x${"2".repeat(64)}`, 2]
+    ]) {
+      await this.conditionalTokens.prepareCondition(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+      this.conditions.push({
+        conditionId: getConditionId(
+          this.oracle.address,
+          questionId,
+          outcomeSlotCount
+        ),
+        outcomeSlotCount
+      });
+    }
+    const [first, second] = this.conditions.map(
+      ({ conditionId }) => conditionId
+    );
+
+    await this.collateralToken.mint(this.trader.address, 100);
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, 100);
+    const trader = this.conditionalTokens.connect(this.trader);
+    await trader.splitPosition(
+      this.collateralToken.address,
+      NULL_BYTES32,
+      first,
+      [1, 2, 4],
+      100
+    );
+    await trader.splitPosition(
+      this.collateralToken.address,
+      this.conditionalTokens.getCollectionId(NULL_BYTES32, first, 1),
+      second,
+      [1, 2],
+      40
+    );
+
+    this.provider = ({ maxCalldataSize } = {}) =>
+      new CappedProvider(network.provider, maxCalldataSize);
+
+    this.read = (provider, options) =>
+      getPositionBalances(
+        provider,
+        Object.assign(
+          {
+            address: this.conditionalTokens.address,
+            owners: [this.trader.address, this.other.address],
+            collateral: this.collateralToken.address,
+            conditions: this.conditions,
+            multicall: this.multicall.address
+          },
+          options
+        )
+      );
+  });
+
+  it("nests balances by owner, condition and outcomes", async function() {
+    const [first, second] = this.conditions.map(
+      ({ conditionId }) => conditionId
+    );
+    const balances = await this.read(ethers.provider, { depth: 2 });
+
+    expect(balances).to.have.all.keys(this.trader.address, this.other.address);
+    const trader = balances[this.trader.address];
+    expect(trader).to.have.all.keys(first, second);
+    expect(trader[first]).to.have.all.keys("0", "1", "0|1", "2", "0|2", "1|2");
+    expect(trader[first]["0"].balance).to.equal(BigInt(60));
+    expect(trader[first]["1"].balance).to.equal(BigInt(100));
+    expect(trader[first]["0|1"].balance).to.equal(BigInt(0));
+    expect(trader[first]["0"].children[second]["0"].balance).to.equal(
+      BigInt(40)
+    );
+    expect(trader[first]["1"].children[second]["1"].balance).to.equal(
+      BigInt(0)
+    );
+    expect(trader[second]["0"].children).to.be.empty;
+
+    const { indexSet, positionId } = trader[first]["0|2"];
+    expect(indexSet).to.equal(BigInt(5));
+    expect(positionId).to.match(/^\d+$/);
+    expect(
+      await this.conditionalTokens.balanceOf(this.trader.address, positionId)
+    ).to.equal(0);
+    expect(balances[this.other.address][first]["0"].balance).to.equal(
+      BigInt(0)
+    );
+  });
+
+  it("only combines conditions up to the given depth", async function() {
+    const [first, second] = this.conditions.map(
+      ({ conditionId }) => conditionId
+    );
+    const trader = (await this.read(ethers.provider))[this.trader.address];
+    expect(trader[first]["0"].balance).to.equal(BigInt(60));
+    expect(trader[first]["0"].children).to.be.empty;
+    expect(trader[second]["0"].balance).to.equal(BigInt(0));
+  });
+
+  it("reads outcome slot counts of conditions given by ID", async function() {
+    const [first] = this.conditions.map(({ conditionId }) => conditionId);
+    const trader = (await this.read(ethers.provider, { conditions: [first] }))[
+      this.trader.address
+    ];
+    expect(trader[first]).to.have.all.keys("0", "1", "0|1", "2", "0|2", "1|2");
+
+    try {
+      await this.read(ethers.provider, { conditions: [NULL_BYTES32] });
+    } catch (e) {
+      expect(e.message).to.equal(`condition ${NULL_BYTES32} not prepared yet`);
+      return;
+    }
+    expect.fail("expected rejection");
+  });
+
+  it("splits reads into calls within the limits", async function() {
+    const expected = await this.read(ethers.provider, { depth: 2 });
+    // 6 + 2 + 6 * 2 positions for each of the two owners
+    const provider = this.provider();
+    expect(
+      await this.read(provider, { depth: 2, maxCalldataSize: 64 * 8 })
+    ).to.deep.equal(expected);
+    expect(provider.calls).to.have.lengthOf(40 / 8);
+
+    const gasLimited = this.provider();
+    await this.read(gasLimited, { depth: 2, maxCallGas: 3000 * 16 });
+    expect(gasLimited.calls).to.have.lengthOf(Math.ceil(40 / 16));
+  });
+
+  it("falls back to multicall when the node refuses a call", async function() {
+    const expected = await this.read(ethers.provider, { depth: 2 });
+    const provider = this.provider({ maxCalldataSize: 2048 });
+    expect(
+      await this.read(provider, { depth: 2, multicallBatchSize: 4 })
+    ).to.deep.equal(expected);
+    expect(
+      provider.calls.filter(({ to }) => to === this.multicall.address)
+    ).to.have.lengthOf(40 / 4);
+  });
+
+  it("passes on reverts instead of falling back to multicall", async function() {
+    // balanceOfBatch reverts on the zero address, and so would Multicall
+    const provider = this.provider();
+    let error;
+    try {
+      await this.read(provider, { owners: [ethers.constants.AddressZero] });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.exist;
+    expect(error.message).to.not.include("multicall");
+    expect(provider.calls.filter(({ to }) => to === this.multicall.address)).to
+      .be.empty;
+  });
+
+  it("passes on timeouts instead of falling back to multicall", async function() {
+    const provider = this.provider({ maxCalldataSize: 2048 });
+    // what ethers throws when the node does not answer in time
+    provider.refuse = () =>
+      Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+    let error;
+    try {
+      await this.read(provider, { depth: 2 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.exist;
+    expect(error.code).to.equal("TIMEOUT");
+    expect(provider.calls.filter(({ to }) => to === this.multicall.address)).to
+      .be.empty;
+  });
+
+  it("fails without a multicall contract to fall back to", async function() {
+    const provider = this.provider({ maxCalldataSize: 2048 });
+    // Multicall3 isn't deployed on the hardhat network
+    for (const [multicall, message] of [
+      [undefined, /^no multicall contract at 0xcA11.*: call data too large$/],
+      [null, /^call data too large$/]
+    ]) {
+      let error;
+      try {
+        await this.read(provider, { depth: 2, multicall });
+      } catch (e) {
+        error = e;
+      }
+      expect(error, `multicall ${multicall}`).to.exist;
+      expect(error.message).to.match(message);
+    }
+  });
+});
@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const { ConditionalTokensIndexer } = require("../utils/indexer")(ethers);
+const { QuestionRegistry } = require("../utils/question-registry")(ethers);
+const { PositionDescriber } = require("../utils/position-describer")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("PositionDescriber", function() {
+  beforeEach(async function() {
+    [this.oracle, this.trader] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = (await ConditionalTokens.deploy()).connect(
+      this.trader
+    );
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, 200);
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, 200);
+
+    this.registry = new QuestionRegistry("questions.json");
+    const { chainId } = await ethers.provider.getNetwork();
+    [this.first, this.second] = [
+      { text: "Q1", outcomes: ["A", "B", "C"] },
+      { text: "Q2", outcomes: ["Yes", "No"] }
+    ].map(question => {
+      const { questionId, outcomes } = this.registry.add(question);
+      const conditionId = getConditionId(
+        this.oracle.address,
+        questionId,
+        outcomes.length
+      );
+      this.registry.addCondition(questionId, {
+        chainId,
+        oracle: this.oracle.address,
+        conditionId
+      });
+      return { questionId, outcomeSlotCount: outcomes.length, conditionId };
+    });
+    for (const { questionId, outcomeSlotCount } of [this.first, this.second])
+      await this.conditionalTokens.prepareCondition(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+
+    const collateral = this.collateralToken.address;
+    await this.conditionalTokens.splitPosition(
+      collateral,
+      NULL_BYTES32,
+      this.first.conditionId,
+      [0b011, 0b100],
+      100
+    );
+    this.parentCollectionId = getCollectionId(this.first.conditionId, 0b011);
+    await this.conditionalTokens.splitPosition(
+      collateral,
+      this.parentCollectionId,
+      this.second.conditionId,
+      [0b01, 0b10],
+      40
+    );
+    this.positionId = getPositionId(
+      collateral,
+      combineCollectionIds([
+        this.parentCollectionId,
+        getCollectionId(this.second.conditionId, 0b01)
+      ])
+    );
+
+    this.indexer = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address,
+      fromBlock: this.conditionalTokens.deployTransaction.blockNumber
+    });
+    await this.indexer.sync();
+  });
+
+  it("labels positions with their questions and outcomes", async function() {
+    const describer = new PositionDescriber({
+      store: this.indexer.store,
+      registry: this.registry,
+      tokenSymbols: { [this.collateralToken.address]: "USDC" }
+    });
+    const description = await describer.describePosition(this.positionId);
+    expect(description.label).to.equal("USDC: (A|B) on Q1 ∧ (Yes) on Q2");
+    expect(description).to.include({
+      positionId: BigInt(this.positionId).toString(),
+      collateralToken: this.collateralToken.address,
+      collateralSymbol: "USDC"
+    });
+    expect(description.conditions).to.deep.equal([
+      {
+        conditionId: this.first.conditionId,
+        questionId: this.first.questionId,
+        outcomeSlotCount: 3,
+        indexSet: BigInt(0b011),
+        outcomeIndices: [0, 1],
+        question: "Q1",
+        outcomes: ["A", "B"]
+      },
+      {
+        conditionId: this.second.conditionId,
+        questionId: this.second.questionId,
+        outcomeSlotCount: 2,
+        indexSet: BigInt(0b01),
+        outcomeIndices: [0],
+        question: "Q2",
+        outcomes: ["Yes"]
+      }
+    ]);
+
+    const parent = await describer.describePosition(
+      getPositionId(this.collateralToken.address, this.parentCollectionId)
+    );
+    expect(parent.label).to.equal("USDC: (A|B) on Q1");
+  });
+
+  it("falls back to outcome indices, condition IDs and addresses", async function() {
+    // MockCoin has no symbol
+    const describer = new PositionDescriber({
+      store: this.indexer.store,
+      provider: ethers.provider
+    });
+    const { label } = await describer.describePosition(this.positionId);
+    expect(label).to.equal(
+      `${this.collateralToken.address}: (0|1) on ${this.first.conditionId} ∧ (0) on ${this.second.conditionId}`
+    );
+  });
+
+  it("describes positions merged from part of a partition", async function() {
+    const collateral = this.collateralToken.address;
+    await this.conditionalTokens.splitPosition(
+      collateral,
+      NULL_BYTES32,
+      this.first.conditionId,
+      [0b001, 0b010, 0b100],
+      10
+    );
+    await this.conditionalTokens.mergePositions(
+      collateral,
+      NULL_BYTES32,
+      this.first.conditionId,
+      [0b010, 0b100],
+      10
+    );
+    await this.indexer.sync();
+
+    const describer = new PositionDescriber({
+      store: this.indexer.store,
+      registry: this.registry,
+      tokenSymbols: { [collateral]: "USDC" }
+    });
+    const { label } = await describer.describePosition(
+      getPositionId(collateral, getCollectionId(this.first.conditionId, 0b110))
+    );
+    expect(label).to.equal("USDC: (B|C) on Q1");
+  });
+
+  it("caches positions and only reads new splits", async function() {
+    let read = 0;
+    const store = this.indexer.store;
+    const describer = new PositionDescriber({
+      store: {
+        getSplitIndexSets: start => {
+          const added = store.getSplitIndexSets(start);
+          read += added.length;
+          return added;
+        },
+        getCondition: conditionId => store.getCondition(conditionId)
+      },
+      tokenSymbols: { [this.collateralToken.address]: "USDC" }
+    });
+    let chains = 0;
+    const getChain = describer.getChain.bind(describer);
+    describer.getChain = positionId => {
+      chains++;
+      return getChain(positionId);
+    };
+
+    const description = await describer.describePosition(this.positionId);
+    expect(await describer.describePosition(this.positionId)).to.deep.equal(
+      description
+    );
+    expect([read, chains]).to.deep.equal([4, 1]);
+
+    const positionId = getPositionId(
+      this.collateralToken.address,
+      combineCollectionIds([
+        getCollectionId(this.first.conditionId, 0b100),
+        getCollectionId(this.second.conditionId, 0b10)
+      ])
+    );
+    expect(await describer.describePosition(positionId)).to.be.null;
+    expect(await describer.describePosition(positionId)).to.be.null;
+    expect([read, chains]).to.deep.equal([4, 2]);
+
+    await this.conditionalTokens.splitPosition(
+      this.collateralToken.address,
+      getCollectionId(this.first.conditionId, 0b100),
+      this.second.conditionId,
+      [0b01, 0b10],
+      10
+    );
+    await this.indexer.sync();
+    expect((await describer.describePosition(positionId)).label).to.equal(
+      `USDC: (2) on ${this.first.conditionId} ∧ (1) on ${this.second.conditionId}`
+    );
+    expect([read, chains]).to.deep.equal([6, 3]);
+  });
+
+  it("picks up questions added to the registry", async function() {
+    const registry = new QuestionRegistry("questions.json");
+    const describer = new PositionDescriber({
+      store: this.indexer.store,
+      registry,
+      tokenSymbols: { [this.collateralToken.address]: "USDC" }
+    });
+    expect((await describer.describePosition(this.positionId)).label).to.equal(
+      `USDC: (0|1) on ${this.first.conditionId} ∧ (0) on ${this.second.conditionId}`
+    );
+
+    registry.add({ text: "Q1", outcomes: ["A", "B", "C"] });
+    expect((await describer.describePosition(this.positionId)).label).to.equal(
+      `USDC: (A|B) on Q1 ∧ (0) on ${this.second.conditionId}`
+    );
+  });
+
+  it("describes what it can of positions under unknown collections", async function() {
+    // As if the indexer had started after the split into the parent collection
+    const store = this.indexer.store;
+    const nested = ({ parentCollectionId }) =>
+      parentCollectionId !== NULL_BYTES32;
+    let splitIndexSets = store.getSplitIndexSets().filter(nested);
+    const describer = new PositionDescriber({
+      store: {
+        getSplitIndexSets: start => splitIndexSets.slice(start),
+        getCondition: conditionId => store.getCondition(conditionId)
+      },
+      registry: this.registry,
+      tokenSymbols: { [this.collateralToken.address]: "USDC" }
+    });
+
+    const description = await describer.describePosition(this.positionId);
+    expect(description.unknownCollectionId).to.equal(this.parentCollectionId);
+    expect(
+      description.conditions.map(({ question }) => question)
+    ).to.deep.equal(["Q2"]);
+    expect(description.label).to.equal(
+      `USDC: unknown collection ${this.parentCollectionId} ∧ (Yes) on Q2`
+    );
+
+    splitIndexSets = splitIndexSets.concat(
+      store.getSplitIndexSets().filter(split => !nested(split))
+    );
+    const { label, unknownCollectionId } = await describer.describePosition(
+      this.positionId
+    );
+    expect(unknownCollectionId).to.be.null;
+    expect(label).to.equal("USDC: (A|B) on Q1 ∧ (Yes) on Q2");
+  });
+});
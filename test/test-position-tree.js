@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const {
+  enumeratePositions,
+  flattenPositions
+} = require("../utils/position-tree")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("position-tree", function() {
+  const { hexlify, randomBytes, getAddress } = ethers.utils;
+  const randomHex = length => hexlify(randomBytes(length));
+
+  const oracle = getAddress(randomHex(20));
+  const collateralToken = getAddress(randomHex(20));
+  const conditions = [3, 2].map(outcomeSlotCount => ({
+    conditionId: getConditionId(oracle, randomHex(32), outcomeSlotCount),
+    outcomeSlotCount
+  }));
+
+  it("enumerates every collection reachable from collateral", function() {
+    const positions = flattenPositions(
+      enumeratePositions({ collateralToken, conditions })
+    );
+    // 6 index sets for the first condition, 2 for the second, and 6 * 2 combined
+    expect(positions).to.have.lengthOf(6 + 2 + 6 * 2);
+    expect(
+      new Set(positions.map(({ positionId }) => positionId)).size
+    ).to.equal(positions.length);
+    expect(positions.filter(({ atomic }) => atomic)).to.have.lengthOf(3 * 2);
+  });
+
+  it("tags positions with their parent collection and index sets", function() {
+    const positions = flattenPositions(
+      enumeratePositions({ collateralToken, conditions })
+    );
+    for (const position of positions) {
+      const expectedCollectionId = combineCollectionIds(
+        position.indexSets.map(({ conditionId, indexSet }) =>
+          getCollectionId(conditionId, indexSet)
+        )
+      );
+      expect(position.collectionId).to.equal(expectedCollectionId);
+      expect(position.positionId).to.equal(
+        getPositionId(collateralToken, expectedCollectionId)
+      );
+      expect(position.parentCollectionId).to.equal(
+        position.indexSets.length === 1
+          ? NULL_BYTES32
+          : combineCollectionIds(
+              position.indexSets
+                .slice(0, -1)
+                .map(({ conditionId, indexSet }) =>
+                  getCollectionId(conditionId, indexSet)
+                )
+            )
+      );
+    }
+  });
+
+  it("only uses the given partitions", function() {
+    const positions = enumeratePositions({
+      collateralToken,
+      conditions,
+      partitions: [[0b011, 0b100], null]
+    });
+    expect(positions.map(({ indexSet }) => indexSet)).to.deep.equal(
+      [0b011, 0b100, 0b01, 0b10].map(BigInt)
+    );
+    expect(positions[0].children).to.have.lengthOf(2);
+    expect(positions[2].children).to.be.empty;
+  });
+
+  it("stops combining conditions at the given depth", function() {
+    const positions = enumeratePositions({
+      collateralToken,
+      conditions,
+      depth: 1
+    });
+    expect(positions).to.have.lengthOf(6 + 2);
+    expect(flattenPositions(positions)).to.have.lengthOf(6 + 2);
+  });
+
+  it("enumerates the same positions with web3 utils", function() {
+    const web3Positions = flattenPositions(
+      require("../utils/position-tree")(
+        require("web3-utils")
+      ).enumeratePositions({ collateralToken, conditions })
+    );
+    const positions = flattenPositions(
+      enumeratePositions({ collateralToken, conditions })
+    );
+    expect(web3Positions).to.have.lengthOf(positions.length);
+    web3Positions.forEach((position, i) => {
+      expect(BigInt(position.collectionId)).to.equal(
+        BigInt(positions[i].collectionId)
+      );
+      expect(BigInt(position.positionId)).to.equal(
+        BigInt(positions[i].positionId)
+      );
+    });
+  });
+
+  it("refuses to enumerate every index set of a big condition", function() {
+    expect(() =>
+      enumeratePositions({
+        collateralToken,
+        conditions: [{ conditionId: randomHex(32), outcomeSlotCount: 256 }]
+      })
+    ).to.throw("too many outcome slots");
+  });
+
+  it("rejects duplicate conditions", function() {
+    expect(() =>
+      enumeratePositions({
+        collateralToken,
+        conditions: [conditions[0], conditions[0]]
+      })
+    ).to.throw("got duplicate condition");
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const {
+  getQuestionId,
+  buildPayouts,
+  QuestionRegistry
+} = require("../utils/question-registry")(ethers);
+
+describe("question registry", function() {
+  const question = { text: "Will it rain?", outcomes: ["Yes", "No", "Maybe"] };
+
+  beforeEach(function() {
+    this.file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "questions-")),
+      "questions.json"
+    );
+  });
+
+  it("derives question IDs from the question", function() {
+    const questionId = getQuestionId(question);
+    expect(questionId).to.equal(
+      ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+          ["string", "string[]", "uint256"],
+          [question.text, question.outcomes, 0]
+        )
+      )
+    );
+    expect(getQuestionId(Object.assign({ nonce: 1 }, question))).to.not.equal(
+      questionId
+    );
+  });
+
+  it("keeps questions and their conditions in a file", function() {
+    const registry = QuestionRegistry.load(this.file);
+    const { questionId } = registry.add(question);
+    expect(() => registry.add(question)).to.throw("already in the registry");
+    registry.addCondition(questionId, {
+      chainId: 1,
+      oracle: ethers.constants.AddressZero,
+      conditionId: ethers.constants.HashZero
+    });
+    registry.save();
+
+    const loaded = QuestionRegistry.load(this.file);
+    expect(
+      loaded.get(questionId.toUpperCase().replace("0X", "0x"))
+    ).to.deep.equal(registry.get(questionId));
+    expect(loaded.get(questionId).conditions).to.have.lengthOf(1);
+    expect(() => loaded.get(ethers.constants.HashZero)).to.throw(
+      "is not in the registry"
+    );
+  });
+
+  it("rejects malformed questions", function() {
+    const registry = new QuestionRegistry(this.file);
+    expect(() => registry.add({ text: "", outcomes: ["Yes", "No"] })).to.throw(
+      "question text must not be empty"
+    );
+    expect(() => registry.add({ text: "?", outcomes: ["Yes"] })).to.throw(
+      "there should be more than one outcome slot"
+    );
+    expect(() =>
+      registry.add({ text: "?", outcomes: ["Yes", "Yes"] })
+    ).to.throw("got duplicate outcome");
+  });
+
+  it("builds payout vectors", function() {
+    expect(buildPayouts(question, { winners: ["No"] })).to.deep.equal(
+      [0, 1, 0].map(BigInt)
+    );
+    expect(buildPayouts(question, { winners: ["Yes", "Maybe"] })).to.deep.equal(
+      [1, 0, 1].map(BigInt)
+    );
+    expect(buildPayouts(question, { payouts: ["3", 1, 0] })).to.deep.equal(
+      [3, 1, 0].map(BigInt)
+    );
+    expect(() => buildPayouts(question, { payouts: [1, 0] })).to.throw(
+      "got 2 payouts for 3 outcomes"
+    );
+    expect(() => buildPayouts(question, { payouts: [0, 0, 0] })).to.throw(
+      "payout is all zeroes"
+    );
+    expect(() => buildPayouts(question, { payouts: [1, -1, 0] })).to.throw(
+      "got invalid payout numerator"
+    );
+    expect(() => buildPayouts(question, { winners: ["Never"] })).to.throw(
+      "got unknown outcome Never"
+    );
+    expect(buildPayouts(question, { invalid: true })).to.deep.equal(
+      [1, 1, 1].map(BigInt)
+    );
+    expect(
+      buildPayouts(
+        { outcomeSlotCount: 2 },
+        { scalar: { low: 0, high: 1000, value: 100 } }
+      )
+    ).to.deep.equal([9, 1].map(BigInt));
+    expect(() =>
+      buildPayouts(question, { scalar: { low: 0, high: 1, value: 1 } })
+    ).to.throw("got scalar answer for 3 outcomes instead of 2");
+    expect(() => buildPayouts(question, {})).to.throw(
+      "one of payouts, winners, scalar or invalid is needed"
+    );
+    expect(() =>
+      buildPayouts(question, { winners: ["Yes"], invalid: true })
+    ).to.throw("one of payouts, winners, scalar or invalid is needed");
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const { computeRedemption } = require("../utils/redemption")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+describe("computeRedemption", function() {
+  const { parseEther, hexlify, randomBytes } = ethers.utils;
+  const randomHex = length => hexlify(randomBytes(length));
+
+  it("rounds down each index set's payout separately", function() {
+    const { payout, redemptions } = computeRedemption({
+      payoutNumerators: [1, 1, 1],
+      payoutDenominator: 3,
+      balances: [2, 2],
+      indexSets: [0b001, 0b010]
+    });
+    expect(redemptions.map(({ payout }) => payout)).to.deep.equal([
+      BigInt(0),
+      BigInt(0)
+    ]);
+    expect(payout).to.equal(BigInt(0));
+  });
+
+  it("only pays once for a repeated index set", function() {
+    const { payout } = computeRedemption({
+      payoutNumerators: [1, 0],
+      payoutDenominator: 1,
+      balances: [5, 5],
+      indexSets: [0b01, 0b01]
+    });
+    expect(payout).to.equal(BigInt(5));
+  });
+
+  it("rejects what the contract rejects", function() {
+    const params = {
+      payoutNumerators: [1, 0],
+      payoutDenominator: 1,
+      balances: [1],
+      indexSets: [0b01]
+    };
+    expect(() =>
+      computeRedemption(Object.assign({}, params, { payoutDenominator: 0 }))
+    ).to.throw("result for condition not received yet");
+    expect(() =>
+      computeRedemption(Object.assign({}, params, { indexSets: [0b11] }))
+    ).to.throw("got invalid index set");
+  });
+
+  describe("against ConditionalTokens", function() {
+    beforeEach(async function() {
+      [
+        ,
+        this.oracle,
+        this.trader,
+        this.counterparty
+      ] = await ethers.getSigners();
+
+      const ConditionalTokens = await ethers.getContractFactory(
+        "ConditionalTokens"
+      );
+      const MockCoin = await ethers.getContractFactory("MockCoin");
+      this.conditionalTokens = (await ConditionalTokens.deploy()).connect(
+        this.trader
+      );
+      this.collateralToken = await MockCoin.deploy();
+      await this.collateralToken.mint(this.trader.address, parseEther("10"));
+      await this.collateralToken
+        .connect(this.trader)
+        .approve(this.conditionalTokens.address, parseEther("10"));
+
+      this.prepareCondition = async outcomeSlotCount => {
+        const questionId = randomHex(32);
+        await this.conditionalTokens.prepareCondition(
+          this.oracle.address,
+          questionId,
+          outcomeSlotCount
+        );
+        return {
+          questionId,
+          conditionId: getConditionId(
+            this.oracle.address,
+            questionId,
+            outcomeSlotCount
+          )
+        };
+      };
+      this.balanceOf = collectionId =>
+        this.conditionalTokens.balanceOf(
+          this.trader.address,
+          getPositionId(this.collateralToken.address, collectionId)
+        );
+    });
+
+    it("should credit payout as collateral", async function() {
+      const splitAmount = parseEther("4");
+      const transferAmount = parseEther("1");
+      const payoutNumerators = [3, 7];
+      const partition = [0b01, 0b10];
+      const { questionId, conditionId } = await this.prepareCondition(2);
+
+      await this.conditionalTokens.splitPosition(
+        this.collateralToken.address,
+        NULL_BYTES32,
+        conditionId,
+        partition,
+        splitAmount
+      );
+      await this.conditionalTokens.safeTransferFrom(
+        this.trader.address,
+        this.counterparty.address,
+        getPositionId(
+          this.collateralToken.address,
+          getCollectionId(conditionId, partition[0])
+        ),
+        transferAmount,
+        "0x"
+      );
+      await this.conditionalTokens
+        .connect(this.oracle)
+        .reportPayouts(questionId, payoutNumerators);
+
+      const balances = await Promise.all(
+        partition.map(indexSet =>
+          this.balanceOf(getCollectionId(conditionId, indexSet))
+        )
+      );
+      const { payout, payoutPositionId } = computeRedemption({
+        payoutNumerators,
+        payoutDenominator: await this.conditionalTokens.payoutDenominator(
+          conditionId
+        ),
+        balances,
+        indexSets: partition
+      });
+      expect(payoutPositionId).to.be.null;
+
+      const before = await this.collateralToken.balanceOf(this.trader.address);
+      await expect(
+        this.conditionalTokens.redeemPositions(
+          this.collateralToken.address,
+          NULL_BYTES32,
+          conditionId,
+          partition
+        )
+      )
+        .to.emit(this.conditionalTokens, "PayoutRedemption")
+        .withArgs(
+          this.trader.address,
+          this.collateralToken.address,
+          NULL_BYTES32,
+          conditionId,
+          partition,
+          payout
+        );
+      expect(
+        await this.collateralToken.balanceOf(this.trader.address)
+      ).to.equal(before.add(payout));
+    });
+
+    it("should credit payout of nested positions to the parent position", async function() {
+      const { conditionId: parentConditionId } = await this.prepareCondition(4);
+      const { questionId, conditionId } = await this.prepareCondition(4);
+      const finalReport = [0, 33, 289, 678];
+      const indexSets = [0b0001, 0b0010, 0b1100];
+      const parentCollectionId = getCollectionId(parentConditionId, 0b0111);
+
+      await this.conditionalTokens.splitPosition(
+        this.collateralToken.address,
+        NULL_BYTES32,
+        parentConditionId,
+        [0b0111, 0b1000],
+        parseEther("10")
+      );
+      await this.conditionalTokens.splitPosition(
+        this.collateralToken.address,
+        parentCollectionId,
+        conditionId,
+        indexSets,
+        parseEther("4")
+      );
+      await this.conditionalTokens
+        .connect(this.oracle)
+        .reportPayouts(questionId, finalReport);
+
+      const balances = await Promise.all(
+        indexSets.map(indexSet =>
+          this.balanceOf(
+            combineCollectionIds([
+              parentCollectionId,
+              getCollectionId(conditionId, indexSet)
+            ])
+          )
+        )
+      );
+      const { payout, payoutPositionId } = computeRedemption({
+        payoutNumerators: finalReport,
+        payoutDenominator: await this.conditionalTokens.payoutDenominator(
+          conditionId
+        ),
+        balances,
+        indexSets,
+        collateralToken: this.collateralToken.address,
+        parentCollectionId
+      });
+      expect(payoutPositionId).to.equal(
+        getPositionId(this.collateralToken.address, parentCollectionId)
+      );
+
+      const before = await this.balanceOf(parentCollectionId);
+      await this.conditionalTokens.redeemPositions(
+        this.collateralToken.address,
+        parentCollectionId,
+        conditionId,
+        indexSets
+      );
+      expect(await this.balanceOf(parentCollectionId)).to.equal(
+        before.add(payout)
+      );
+    });
+  });
+});
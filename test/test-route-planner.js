@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getConditionId,
+  getCollectionId,
+  combineCollectionIds,
+  getPositionId
+} = require("../utils/id-helpers")(ethers);
+const { planRoute } = require("../utils/route-planner")(ethers);
+const { ConditionalTokensSimulator } = require("../utils/simulator")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+// The choice and score conditions of the diagrams in the docs
+const [A, B, C] = [0b001, 0b010, 0b100].map(BigInt);
+const [HI, LO] = [0b01, 0b10].map(BigInt);
+
+describe("planRoute", function() {
+  beforeEach(async function() {
+    [this.oracle, this.trader] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = (await ConditionalTokens.deploy()).connect(
+      this.trader
+    );
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, 1000);
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, 1000);
+
+    const [choice, score] = [
+      [`0x${"1".repeat(64)}`, 3],
+      [`0x${"2".repeat(64)}`, 2]
+    ].map(([questionId, outcomeSlotCount]) => ({
+      questionId,
+      outcomeSlotCount,
+      conditionId: getConditionId(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      )
+    }));
+    for (const { questionId, outcomeSlotCount } of [choice, score])
+      await this.conditionalTokens.prepareCondition(
+        this.oracle.address,
+        questionId,
+        outcomeSlotCount
+      );
+    this.choice = choice.conditionId;
+    this.score = score.conditionId;
+    this.conditions = [choice, score];
+
+    this.plan = (holdings, targets) =>
+      planRoute({
+        collateralToken: this.collateralToken.address,
+        conditions: this.conditions,
+        holdings,
+        targets
+      });
+    this.collateral = [{ indexSets: [], balance: 1000 }];
+    // What the account holds after a plan has been executed
+    this.holdingsAfter = ({ balances }) =>
+      balances.map(({ indexSets, balance }) => ({ indexSets, balance }));
+
+    this.positionId = indexSets =>
+      getPositionId(
+        this.collateralToken.address,
+        combineCollectionIds(
+          indexSets.map(({ conditionId, indexSet }) =>
+            getCollectionId(conditionId, indexSet)
+          )
+        )
+      );
+
+    // Sends the planned calls and checks that the contract ends up with the
+    // balances the plan predicts.
+    this.execute = async ({ calls, balances }) => {
+      for (const { method, params } of calls)
+        await (
+          await this.conditionalTokens[method](
+            ...Object.values(params).map(param =>
+              Array.isArray(param) ? param.map(String) : String(param)
+            )
+          )
+        ).wait();
+      for (const { indexSets, positionId, balance } of balances)
+        expect(
+          indexSets.length === 0
+            ? await this.collateralToken.balanceOf(this.trader.address)
+            : await this.conditionalTokens.balanceOf(
+                this.trader.address,
+                positionId
+              ),
+          `balance of ${positionId || "collateral"}`
+        ).to.equal(balance);
+    };
+  });
+
+  it("splits collateral down to a deep position", async function() {
+    const target = [
+      { conditionId: this.choice, indexSet: A },
+      { conditionId: this.score, indexSet: HI }
+    ];
+    const plan = this.plan(this.collateral, [
+      { indexSets: target, amount: 10 }
+    ]);
+    expect(plan.calls.map(({ method }) => method)).to.deep.equal([
+      "splitPosition",
+      "splitPosition"
+    ]);
+    const [first, second] = plan.calls;
+    expect(first.params.parentCollectionId).to.equal(NULL_BYTES32);
+    expect(second.params.parentCollectionId).to.equal(first.collectionIds[0]);
+    expect(second.collectionIds).to.include(
+      combineCollectionIds(
+        target.map(({ conditionId, indexSet }) =>
+          getCollectionId(conditionId, indexSet)
+        )
+      )
+    );
+
+    await this.execute(plan);
+    expect(
+      await this.conditionalTokens.balanceOf(
+        this.trader.address,
+        this.positionId(target)
+      )
+    ).to.equal(10);
+  });
+
+  it("merges a deep position back into collateral", async function() {
+    const deep = this.plan(this.collateral, [
+      {
+        indexSets: [
+          { conditionId: this.choice, indexSet: A },
+          { conditionId: this.score, indexSet: HI }
+        ],
+        amount: 10
+      }
+    ]);
+    await this.execute(deep);
+
+    const back = this.plan(this.holdingsAfter(deep), [
+      { indexSets: [], amount: 1000 }
+    ]);
+    expect(back.calls.map(({ method }) => method)).to.deep.equal([
+      "mergePositions",
+      "mergePositions"
+    ]);
+    await this.execute(back);
+  });
+
+  it("splits once for sibling targets", async function() {
+    const plan = this.plan(
+      this.collateral,
+      [A, B, C].map(indexSet => ({
+        indexSets: [{ conditionId: this.choice, indexSet }],
+        amount: 5
+      }))
+    );
+    expect(plan.calls).to.have.lengthOf(1);
+    expect(plan.calls[0].params.partition).to.deep.equal([A, B, C]);
+    await this.execute(plan);
+  });
+
+  it("uses held positions before collateral", async function() {
+    const held = this.plan(this.collateral, [
+      {
+        indexSets: [{ conditionId: this.choice, indexSet: A | B }],
+        amount: 8
+      },
+      { indexSets: [{ conditionId: this.score, indexSet: LO }], amount: 8 }
+    ]);
+    await this.execute(held);
+    const holdings = this.holdingsAfter(held);
+
+    // (A|B) splits into (A) and (B) without touching the collateral
+    const split = this.plan(holdings, [
+      { indexSets: [{ conditionId: this.choice, indexSet: A }], amount: 8 }
+    ]);
+    expect(split.calls).to.have.lengthOf(1);
+    expect(split.calls[0].params).to.deep.include({
+      parentCollectionId: NULL_BYTES32,
+      partition: [A, B]
+    });
+
+    // (LO) splits on the choice condition, like in the docs
+    const deep = this.plan(holdings, [
+      {
+        indexSets: [
+          { conditionId: this.choice, indexSet: A | B },
+          { conditionId: this.score, indexSet: LO }
+        ],
+        amount: 8
+      }
+    ]);
+    expect(deep.calls).to.have.lengthOf(1);
+    expect(deep.calls[0].params).to.deep.include({
+      parentCollectionId: getCollectionId(this.score, LO),
+      conditionId: this.choice,
+      partition: [A | B, C]
+    });
+    await this.execute(deep);
+  });
+
+  it("merges a grid of positions back into collateral", async function() {
+    const grid = [];
+    for (const choice of [A, B | C])
+      for (const score of [HI, LO])
+        grid.push([
+          { conditionId: this.choice, indexSet: choice },
+          { conditionId: this.score, indexSet: score }
+        ]);
+    const held = this.plan(
+      this.collateral,
+      grid.map(indexSets => ({ indexSets, amount: 5 }))
+    );
+    await this.execute(held);
+    const holdings = this.holdingsAfter(held).filter(
+      ({ indexSets }) => indexSets.length > 0
+    );
+    expect(holdings).to.have.lengthOf(4);
+    // Nothing but the grid is held
+    await this.collateralToken
+      .connect(this.trader)
+      .transfer(
+        this.oracle.address,
+        await this.collateralToken.balanceOf(this.trader.address)
+      );
+
+    const plan = this.plan(holdings, [{ indexSets: [], amount: 5 }]);
+    expect(plan.calls.map(({ method }) => method)).to.deep.equal([
+      "mergePositions",
+      "mergePositions",
+      "mergePositions"
+    ]);
+    expect(this.holdingsAfter(plan)).to.deep.equal([
+      { indexSets: [], balance: BigInt(5) }
+    ]);
+    await this.execute(plan);
+  });
+
+  it("merges held siblings into their union", async function() {
+    const held = this.plan(
+      this.collateral,
+      [A, B, C].map(indexSet => ({
+        indexSets: [{ conditionId: this.choice, indexSet }],
+        amount: 5
+      }))
+    );
+    await this.execute(held);
+    const plan = this.plan(this.holdingsAfter(held), [
+      {
+        indexSets: [{ conditionId: this.choice, indexSet: B | C }],
+        amount: 5
+      }
+    ]);
+    expect(plan.calls).to.have.lengthOf(1);
+    expect(plan.calls[0]).to.deep.include({ method: "mergePositions" });
+    expect(plan.calls[0].params.partition).to.deep.equal([B, C]);
+    await this.execute(plan);
+  });
+
+  it("redeems positions of resolved conditions", async function() {
+    const held = this.plan(
+      this.collateral,
+      [A, B].map(indexSet => ({
+        indexSets: [{ conditionId: this.choice, indexSet }],
+        amount: 10
+      }))
+    );
+    await this.execute(held);
+    // Without (C) the collateral can't be merged back
+    const [c] = held.calls[0].collectionIds.slice(-1);
+    await this.conditionalTokens.safeTransferFrom(
+      this.trader.address,
+      this.oracle.address,
+      getPositionId(this.collateralToken.address, c),
+      10,
+      "0x"
+    );
+    await this.conditionalTokens
+      .connect(this.oracle)
+      .reportPayouts(this.conditions[0].questionId, [1, 1, 0]);
+
+    const conditions = this.conditions;
+    this.conditions = [
+      Object.assign({}, conditions[0], { payoutNumerators: [1, 1, 0] }),
+      conditions[1]
+    ];
+    const plan = this.plan(
+      this.holdingsAfter(held).filter(
+        ({ indexSets }) => indexSets.length === 0 || indexSets[0].indexSet !== C
+      ),
+      [{ indexSets: [], amount: 1000 }]
+    );
+    expect(plan.calls).to.have.lengthOf(1);
+    expect(plan.calls[0]).to.deep.include({ method: "redeemPositions" });
+    expect(plan.calls[0].params.indexSets).to.deep.equal([A, B]);
+    await this.execute(plan);
+  });
+
+  it("agrees with the simulator", async function() {
+    const plan = this.plan(this.collateral, [
+      {
+        indexSets: [
+          { conditionId: this.choice, indexSet: B | C },
+          { conditionId: this.score, indexSet: LO }
+        ],
+        amount: 7
+      },
+      { indexSets: [{ conditionId: this.score, indexSet: HI }], amount: 3 }
+    ]);
+    const simulator = await ConditionalTokensSimulator.fromContract(
+      this.conditionalTokens,
+      { conditionIds: [this.choice, this.score] }
+    );
+    simulator.setCollateral(this.collateralToken.address, this.trader.address, {
+      balance: 1000,
+      allowance: 1000
+    });
+    for (const { method, params } of plan.calls)
+      expect(
+        simulator[method](
+          Object.assign({ from: this.trader.address }, params),
+          {
+            commit: true
+          }
+        )
+      ).to.include({ success: true });
+    for (const { positionId, balance } of plan.balances)
+      if (positionId != null)
+        expect(simulator.balanceOf(this.trader.address, positionId)).to.equal(
+          balance
+        );
+  });
+
+  it("refuses targets out of reach", function() {
+    expect(() =>
+      this.plan(
+        [],
+        [
+          {
+            indexSets: [{ conditionId: this.choice, indexSet: A }],
+            amount: 1001
+          }
+        ]
+      )
+    ).to.throw(`cannot reach ${A} on ${this.choice} from the holdings`);
+    expect(() =>
+      this.plan(
+        [],
+        [
+          {
+            indexSets: [{ conditionId: this.choice, indexSet: A | B | C }],
+            amount: 1
+          }
+        ]
+      )
+    ).to.throw("got invalid index set");
+  });
+});
@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { getConditionId, getCollectionId } = require("../utils/id-helpers")(
+  ethers
+);
+const { ConditionalTokensSimulator } = require("../utils/simulator")(ethers);
+const { ConditionalTokensIndexer } = require("../utils/indexer")(ethers);
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+// Each step is dry-run on the simulator and then sent to the contract,
+// which has to revert with the predicted reason or end up in the predicted state.
+describe("ConditionalTokensSimulator", function() {
+  const { hexlify, randomBytes, parseEther } = ethers.utils;
+
+  beforeEach(async function() {
+    [, this.oracle, this.trader] = await ethers.getSigners();
+    const ConditionalTokens = await ethers.getContractFactory(
+      "ConditionalTokens"
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.conditionalTokens = await ConditionalTokens.deploy();
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, parseEther("1"));
+    await this.collateralToken
+      .connect(this.trader)
+      .approve(this.conditionalTokens.address, parseEther("1"));
+
+    this.questionId = hexlify(randomBytes(32));
+    this.conditionId = getConditionId(this.oracle.address, this.questionId, 3);
+    await this.conditionalTokens.prepareCondition(
+      this.oracle.address,
+      this.questionId,
+      3
+    );
+
+    this.simulator = await ConditionalTokensSimulator.fromContract(
+      this.conditionalTokens,
+      { conditionIds: [this.conditionId] }
+    );
+    this.simulator.setCollateral(
+      this.collateralToken.address,
+      this.trader.address,
+      { balance: parseEther("1"), allowance: parseEther("1") }
+    );
+
+    this.step = async (signer, method, params, args) => {
+      const result = this.simulator[method](
+        Object.assign({ from: signer.address }, params),
+        { commit: true }
+      );
+      const tx = this.conditionalTokens.connect(signer)[method](...args);
+      if (!result.success) {
+        // MockCoin reverts with its own reason instead of returning false
+        if (result.reason === "could not receive collateral tokens")
+          await expect(tx).to.be.reverted;
+        else await expect(tx).to.be.revertedWith(result.reason);
+        return result;
+      }
+      await (await tx).wait();
+      for (const { account, positionId } of result.balanceDeltas) {
+        expect(
+          this.simulator.balanceOf(account, positionId),
+          `${method} balance of ${positionId}`
+        ).to.equal(
+          (
+            await this.conditionalTokens.balanceOf(account, positionId)
+          ).toBigInt()
+        );
+      }
+      const { balance } = this.simulator.getCollateral(
+        this.collateralToken.address,
+        this.trader.address
+      );
+      expect(balance).to.equal(
+        (await this.collateralToken.balanceOf(this.trader.address)).toBigInt()
+      );
+      return result;
+    };
+
+    this.split = (partition, amount, parentCollectionId = NULL_BYTES32) =>
+      this.step(
+        this.trader,
+        "splitPosition",
+        {
+          collateralToken: this.collateralToken.address,
+          parentCollectionId,
+          conditionId: this.conditionId,
+          partition,
+          amount
+        },
+        [
+          this.collateralToken.address,
+          parentCollectionId,
+          this.conditionId,
+          partition,
+          amount
+        ]
+      );
+    this.merge = (partition, amount) =>
+      this.step(
+        this.trader,
+        "mergePositions",
+        {
+          collateralToken: this.collateralToken.address,
+          parentCollectionId: NULL_BYTES32,
+          conditionId: this.conditionId,
+          partition,
+          amount
+        },
+        [
+          this.collateralToken.address,
+          NULL_BYTES32,
+          this.conditionId,
+          partition,
+          amount
+        ]
+      );
+    this.redeem = indexSets =>
+      this.step(
+        this.trader,
+        "redeemPositions",
+        {
+          collateralToken: this.collateralToken.address,
+          parentCollectionId: NULL_BYTES32,
+          conditionId: this.conditionId,
+          indexSets
+        },
+        [
+          this.collateralToken.address,
+          NULL_BYTES32,
+          this.conditionId,
+          indexSets
+        ]
+      );
+    this.report = (signer, payouts) =>
+      this.step(
+        signer,
+        "reportPayouts",
+        { questionId: this.questionId, payouts },
+        [this.questionId, payouts]
+      );
+  });
+
+  it("predicts reverts and balance changes", async function() {
+    expect(await this.split([0b011, 0b010], 10)).to.deep.equal({
+      success: false,
+      reason: "partition not disjoint"
+    });
+    expect((await this.split([0b111], 10)).reason).to.equal(
+      "got empty or singleton partition"
+    );
+    expect((await this.split([0b1000, 0b0111], 10)).reason).to.equal(
+      "got invalid index set"
+    );
+    expect((await this.split([0b001, 0b110], parseEther("2"))).reason).to.equal(
+      "could not receive collateral tokens"
+    );
+    expect(
+      (await this.split([0b01, 0b10], 1, `0x${"ff".repeat(32)}`)).reason
+    ).to.equal("ecadd failed");
+    expect(
+      (await this.split([0b01, 0b10], 1, `0x${"0".repeat(63)}4`)).reason
+    ).to.equal("invalid parent collection ID");
+
+    const split = await this.split([0b001, 0b010, 0b100], 10);
+    expect(split.success).to.be.true;
+    expect(split.balanceDeltas).to.have.lengthOf(3);
+    expect(split.collateralDeltas).to.deep.equal([
+      {
+        account: this.trader.address.toLowerCase(),
+        collateralToken: this.collateralToken.address.toLowerCase(),
+        delta: BigInt(-10)
+      }
+    ]);
+    expect((await this.merge([0b001, 0b010], 5)).success).to.be.true;
+    expect((await this.split([0b001, 0b010], 10)).reason).to.equal(
+      "SafeMath: subtraction overflow"
+    );
+    expect((await this.merge([0b011, 0b100], 5)).success).to.be.true;
+
+    expect((await this.redeem([0b001])).reason).to.equal(
+      "result for condition not received yet"
+    );
+    expect((await this.report(this.trader, [1, 0, 1])).reason).to.equal(
+      "condition not prepared or found"
+    );
+    expect((await this.report(this.oracle, [0, 0, 0])).reason).to.equal(
+      "payout is all zeroes"
+    );
+    expect((await this.report(this.oracle, [1, 0, 1])).success).to.be.true;
+    expect((await this.report(this.oracle, [1, 0, 1])).reason).to.equal(
+      "payout denominator already set"
+    );
+
+    const redemption = await this.redeem([0b001, 0b010, 0b100]);
+    // each index set pays 5 / 2 rounded down
+    expect(redemption.payout).to.equal(BigInt(4));
+  });
+
+  it("reads the parity of a parent from either of its top bits", async function() {
+    const { keccak256, hexZeroPad } = ethers.utils;
+    const ODD_BIT = BigInt(1) << BigInt(254);
+    // a condition whose first outcome has a collection ID with an odd y
+    let questionId, conditionId, parent;
+    for (let i = 0; parent == null || (parent & ODD_BIT) === BigInt(0); i++) {
+      questionId = keccak256(hexZeroPad(hexlify(i), 32));
+      conditionId = getConditionId(this.oracle.address, questionId, 2);
+      parent = BigInt(getCollectionId(conditionId, 0b01));
+    }
+    await this.conditionalTokens.prepareCondition(
+      this.oracle.address,
+      questionId,
+      2
+    );
+    this.simulator.setCondition(conditionId, { outcomeSlotCount: 2 });
+    await this.step(
+      this.trader,
+      "splitPosition",
+      {
+        collateralToken: this.collateralToken.address,
+        parentCollectionId: NULL_BYTES32,
+        conditionId,
+        partition: [0b01, 0b10],
+        amount: 10
+      },
+      [this.collateralToken.address, NULL_BYTES32, conditionId, [1, 2], 10]
+    );
+    const parentCollectionId = hexZeroPad(hexlify(parent), 32);
+    expect((await this.split([0b001, 0b110], 10, parentCollectionId)).success)
+      .to.be.true;
+
+    // the same parent with bit 255 instead of bit 254 set for the parity
+    const alias = hexZeroPad(
+      hexlify((parent ^ ODD_BIT) | (BigInt(1) << BigInt(255))),
+      32
+    );
+    const merge = await this.step(
+      this.trader,
+      "mergePositions",
+      {
+        collateralToken: this.collateralToken.address,
+        parentCollectionId: alias,
+        conditionId: this.conditionId,
+        partition: [0b001, 0b110],
+        amount: 10
+      },
+      [this.collateralToken.address, alias, this.conditionId, [1, 6], 10]
+    );
+    expect(merge.success).to.be.true;
+  });
+
+  it("does not change state without commit", function() {
+    const result = this.simulator.splitPosition({
+      from: this.trader.address,
+      collateralToken: this.collateralToken.address,
+      conditionId: this.conditionId,
+      partition: [0b001, 0b110],
+      amount: 10
+    });
+    expect(result.success).to.be.true;
+    for (const { account, positionId } of result.balanceDeltas)
+      expect(this.simulator.balanceOf(account, positionId)).to.equal(BigInt(0));
+  });
+
+  it("loads state from an indexer store", async function() {
+    await this.split([0b001, 0b010, 0b100], 10);
+    const indexer = new ConditionalTokensIndexer({
+      provider: ethers.provider,
+      address: this.conditionalTokens.address
+    });
+    const simulator = ConditionalTokensSimulator.fromStore(
+      await indexer.sync()
+    );
+    const merge = {
+      from: this.trader.address,
+      collateralToken: this.collateralToken.address,
+      conditionId: this.conditionId,
+      partition: [0b001, 0b010, 0b100]
+    };
+    expect(
+      simulator.mergePositions(Object.assign({ amount: 10 }, merge)).success
+    ).to.be.true;
+    expect(
+      simulator.mergePositions(Object.assign({ amount: 11 }, merge)).reason
+    ).to.equal("SafeMath: subtraction overflow");
+  });
+});
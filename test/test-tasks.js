@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+const { ethers, deployments } = hre;
+
+// Runs a whole market through the ct: and oracle: tasks on the hardhat network.
+describe("condition lifecycle tasks", function() {
+  before(function() {
+    this.log = console.log;
+    console.log = () => {};
+  });
+
+  after(function() {
+    console.log = this.log;
+  });
+
+  beforeEach(async function() {
+    await deployments.fixture();
+    [this.oracle, this.trader] = await ethers.getSigners();
+    this.conditionalTokens = await ethers.getContractAt(
+      "ConditionalTokens",
+      (await deployments.get("ConditionalTokens")).address
+    );
+    const MockCoin = await ethers.getContractFactory("MockCoin");
+    this.collateralToken = await MockCoin.deploy();
+    await this.collateralToken.mint(this.trader.address, 100);
+
+    this.registry = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "tasks-")),
+      "questions.json"
+    );
+    await hre.run("oracle:add-question", {
+      text: "Who wins?",
+      outcomes: "Home, Draw, Away",
+      registry: this.registry
+    });
+    [{ questionId: this.questionId }] = JSON.parse(
+      fs.readFileSync(this.registry, "utf8")
+    ).questions;
+    await hre.run("ct:prepare", {
+      question: this.questionId,
+      registry: this.registry
+    });
+    this.conditionId = await this.conditionalTokens.getConditionId(
+      this.oracle.address,
+      this.questionId,
+      3
+    );
+    this.positionParams = {
+      condition: this.conditionId,
+      collateral: this.collateralToken.address,
+      from: this.trader.address,
+      registry: this.registry
+    };
+    this.balanceOf = async indexSet =>
+      this.conditionalTokens.balanceOf(
+        this.trader.address,
+        await this.conditionalTokens.getPositionId(
+          this.collateralToken.address,
+          await this.conditionalTokens.getCollectionId(
+            ethers.constants.HashZero,
+            this.conditionId,
+            indexSet
+          )
+        )
+      );
+  });
+
+  it("splits, merges, reports and redeems by outcome label", async function() {
+    await hre.run(
+      "ct:split",
+      Object.assign(
+        { amount: "60", outcomes: "Home|Draw, Away" },
+        this.positionParams
+      )
+    );
+    expect(await this.balanceOf(0b011)).to.equal(60);
+    await hre.run(
+      "ct:split",
+      Object.assign(
+        { amount: "20", outcomes: "Home,Draw" },
+        this.positionParams
+      )
+    );
+    expect(await this.balanceOf(0b001)).to.equal(20);
+    expect(await this.balanceOf(0b011)).to.equal(40);
+
+    await hre.run(
+      "ct:merge",
+      Object.assign(
+        { amount: "10", outcomes: "Home,Draw" },
+        this.positionParams
+      )
+    );
+    expect(await this.balanceOf(0b011)).to.equal(50);
+    // merges the 10 full sets of atomic positions
+    await hre.run("ct:merge", this.positionParams);
+    expect(await this.balanceOf(0b001)).to.equal(0);
+    expect(await this.balanceOf(0b100)).to.equal(50);
+    expect(await this.collateralToken.balanceOf(this.trader.address)).to.equal(
+      50
+    );
+    await hre.run(
+      "ct:split",
+      Object.assign(
+        { amount: "50", outcomes: "Home,Draw" },
+        this.positionParams
+      )
+    );
+
+    try {
+      await hre.run("ct:report", {
+        question: this.questionId,
+        winners: "Away",
+        from: this.trader.address,
+        registry: this.registry
+      });
+      expect.fail("report from another account should have failed");
+    } catch (e) {
+      expect(e.message).to.contain("condition not prepared or found");
+    }
+    await hre.run("ct:report", {
+      question: this.questionId,
+      winners: "Draw",
+      registry: this.registry
+    });
+    expect(
+      await this.conditionalTokens.payoutDenominator(this.conditionId)
+    ).to.equal(1);
+
+    await hre.run("ct:redeem", this.positionParams);
+    expect(await this.collateralToken.balanceOf(this.trader.address)).to.equal(
+      100
+    );
+  });
+
+  it("reports invalid and scalar answers", async function() {
+    await hre.run("ct:report", {
+      question: this.questionId,
+      invalid: true,
+      registry: this.registry
+    });
+    expect(
+      await this.conditionalTokens.payoutDenominator(this.conditionId)
+    ).to.equal(3);
+
+    const questionId = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    await hre.run("ct:prepare", {
+      question: questionId,
+      outcomeSlotCount: 2,
+      registry: this.registry
+    });
+    await hre.run("ct:report", {
+      question: questionId,
+      scalar: "0, 1000, 100",
+      registry: this.registry
+    });
+    const conditionId = await this.conditionalTokens.getConditionId(
+      this.oracle.address,
+      questionId,
+      2
+    );
+    expect(
+      await Promise.all(
+        [0, 1].map(i => this.conditionalTokens.payoutNumerators(conditionId, i))
+      )
+    ).to.deep.equal([9, 1].map(ethers.BigNumber.from));
+  });
+
+  it("rejects unknown outcome labels", async function() {
+    try {
+      await hre.run(
+        "ct:split",
+        Object.assign(
+          { amount: "1", outcomes: "Home,Nobody" },
+          this.positionParams
+        )
+      );
+      expect.fail("split should have failed");
+    } catch (e) {
+      expect(e.message).to.equal("got unknown outcome Nobody");
+    }
+  });
+});
@@ -0,0 +1,110 @@
+// BigInt implementation of the ID helpers. Hashing is delegated to ethers v5,
+// everything else is done with native BigInts, so no BN.js or web3 is needed.
+// Prefer going through ./id-helpers, which picks this backend unless given
+// web3 utils.
+
+const { toBigInt, toHex32 } = require("./bigint");
+const {
+  P,
+  mod,
+  sqrtMod,
+  curveRHS,
+  negatePoint,
+  addPoints
+} = require("./alt-bn128");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const oddToggle = ONE << BigInt(254);
+const NULL_BYTES32 = toHex32(ZERO);
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { solidityKeccak256 } = ethers.utils || ethers;
+
+  function getConditionId(oracle, questionId, outcomeSlotCount) {
+    return solidityKeccak256(
+      ["address", "bytes32", "uint"],
+      [oracle, questionId, toBigInt(outcomeSlotCount).toString()]
+    );
+  }
+
+  function getCollectionId(conditionId, indexSet) {
+    const initHash = toBigInt(
+      solidityKeccak256(
+        ["bytes32", "uint"],
+        [conditionId, toBigInt(indexSet).toString()]
+      )
+    );
+    const odd = initHash >> BigInt(255) !== ZERO;
+
+    let x = mod(initHash);
+    let y, yy;
+    do {
+      x = mod(x + ONE);
+      yy = curveRHS(x);
+      y = sqrtMod(yy);
+    } while (mod(y * y) !== yy);
+
+    return toHex32(odd ? x ^ oddToggle : x);
+  }
+
+  function collectionIdToPoint(id) {
+    let x = toBigInt(id);
+    if (x === ZERO) return null;
+
+    const odd = (x & oddToggle) !== ZERO;
+    if (odd) x ^= oddToggle;
+    if (x >= P) throw new Error(`got invalid collection ID ${id}`);
+
+    const yy = curveRHS(x);
+    let y = sqrtMod(yy);
+    if (mod(y * y) !== yy) throw new Error(`got invalid collection ID ${id}`);
+    if (odd !== ((y & ONE) === ONE)) y = mod(-y);
+    return [x, y];
+  }
+
+  function pointToCollectionId(point) {
+    if (point == null) return NULL_BYTES32;
+    const [x, y] = point;
+    return toHex32((y & ONE) === ONE ? x ^ oddToggle : x);
+  }
+
+  function combineCollectionIds(collectionIds) {
+    return pointToCollectionId(
+      collectionIds.map(collectionIdToPoint).reduce(addPoints, null)
+    );
+  }
+
+  function decodeCollectionId(collectionId) {
+    const point = collectionIdToPoint(collectionId);
+    if (point == null) return { x: ZERO, y: ZERO, isIdentity: true };
+    const [x, y] = point;
+    return { x, y, isIdentity: false };
+  }
+
+  function subtractCollectionIds(collectionId, collectionIdToRemove) {
+    return pointToCollectionId(
+      addPoints(
+        collectionIdToPoint(collectionId),
+        negatePoint(collectionIdToPoint(collectionIdToRemove))
+      )
+    );
+  }
+
+  function getPositionId(collateralToken, collectionId) {
+    return solidityKeccak256(
+      ["address", "uint"],
+      [collateralToken, toBigInt(collectionId).toString()]
+    );
+  }
+
+  return {
+    getConditionId,
+    getCollectionId,
+    combineCollectionIds,
+    decodeCollectionId,
+    subtractCollectionIds,
+    getPositionId
+  };
+};
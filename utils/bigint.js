@@ -0,0 +1,28 @@
+// Small helpers for working with native BigInts regardless of whether values
+// come in as numbers, decimal/hex strings, BN.js instances or ethers BigNumbers.
+
+function toBigInt(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value))
+      throw new Error(`got unsafe integer ${value}`);
+    return BigInt(value);
+  }
+  if (typeof value === "string") return BigInt(value);
+  if (value != null && typeof value.toString === "function") {
+    // BN.js and ethers BigNumber both stringify to base 10 by default
+    return BigInt(value.toString());
+  }
+  throw new Error(`could not convert ${value} to BigInt`);
+}
+
+function toHex32(value) {
+  return `0x${toBigInt(value)
+    .toString(16)
+    .padStart(64, "0")}`;
+}
+
+module.exports = {
+  toBigInt,
+  toHex32
+};
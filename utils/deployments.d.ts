@@ -0,0 +1,40 @@
+// Type declarations for deployments.js
+
+import { JsonFragment } from "@ethersproject/abi";
+
+export type NetworkName = "mainnet" | "rinkeby" | "kovan" | "xdai" | "berachain";
+
+export interface DeploymentConflict {
+    field: "address" | "transactionHash";
+    networksJson: string;
+    deployments: string;
+}
+
+export interface Deployment {
+    chainId: number;
+    name: string | null;
+    address: string;
+    abi: JsonFragment[] | null;
+    transactionHash: string | null;
+    blockNumber: number | null;
+    solcInputHash: string | null;
+    /** Where the record came from: "networks.json" and/or "deployments/<network>". */
+    sources: string[];
+    conflicts: DeploymentConflict[];
+}
+
+export interface DeploymentsOptions {
+    /** Directory holding networks.json and deployments/. Defaults to this package. */
+    root?: string;
+}
+
+export const chainNames: { [chainId: number]: NetworkName };
+
+export function getDeployments(options?: DeploymentsOptions): Deployment[];
+
+export function getDeployment(
+    chainIdOrName: NetworkName | string | number,
+    options?: DeploymentsOptions & { strict?: boolean },
+): Deployment;
+
+export const addresses: Readonly<Record<NetworkName, string>>;
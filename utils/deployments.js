@@ -0,0 +1,162 @@
+// Looks up ConditionalTokens deployments by chain ID or network name. Addresses
+// come from two places: the legacy truffle networks.json, keyed by chain ID,
+// and the hardhat-deploy deployments/<network> directories. Both are merged
+// into one record per chain:
+//     const { getDeployment } = require("@gnosis.pm/conditional-tokens-contracts/utils/deployments")
+//     const { address, abi, blockNumber } = getDeployment("berachain")
+
+const fs = require("fs");
+const path = require("path");
+
+const CONTRACT_NAME = "ConditionalTokens";
+const DEFAULT_ROOT = path.join(__dirname, "..");
+
+// Names for the chains in networks.json, which only knows chain IDs.
+// hardhat-deploy names its directories after the network, so those
+// chains get their name from there.
+const chainNames = {
+  1: "mainnet",
+  4: "rinkeby",
+  42: "kovan",
+  100: "xdai",
+  80085: "berachain"
+};
+
+const cache = new Map();
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function readNetworksJson(root) {
+  const file = path.join(root, "networks.json");
+  if (!fs.existsSync(file)) return {};
+  return readJSON(file)[CONTRACT_NAME] || {};
+}
+
+function readHardhatDeployments(root) {
+  const dir = path.join(root, "deployments");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(
+      name =>
+        fs.existsSync(path.join(dir, name, ".chainId")) &&
+        fs.existsSync(path.join(dir, name, `${CONTRACT_NAME}.json`))
+    )
+    .map(name => ({
+      name,
+      chainId: Number(
+        fs.readFileSync(path.join(dir, name, ".chainId"), "utf8").trim()
+      ),
+      deployment: readJSON(path.join(dir, name, `${CONTRACT_NAME}.json`))
+    }));
+}
+
+function sameHex(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// When both sources know a chain, the hardhat-deploy record wins, since it is
+// the more recent of the two, and any disagreement is listed in conflicts.
+function mergeSources(chainId, truffle, hardhat) {
+  const conflicts = [];
+  if (truffle != null && hardhat != null) {
+    for (const field of ["address", "transactionHash"]) {
+      const a = truffle[field];
+      const b = hardhat.deployment[field];
+      if (a != null && b != null && !sameHex(a, b))
+        conflicts.push({
+          field,
+          networksJson: a,
+          deployments: b
+        });
+    }
+  }
+
+  const deployment = hardhat != null ? hardhat.deployment : null;
+  const receipt = deployment != null ? deployment.receipt : null;
+  const primary = deployment != null ? deployment : truffle;
+  return {
+    chainId,
+    name: hardhat != null ? hardhat.name : chainNames[chainId] || null,
+    address: primary.address,
+    abi: deployment != null ? deployment.abi : null,
+    transactionHash: primary.transactionHash || null,
+    blockNumber: receipt != null ? receipt.blockNumber : null,
+    solcInputHash: deployment != null ? deployment.solcInputHash || null : null,
+    sources: []
+      .concat(truffle != null ? "networks.json" : [])
+      .concat(hardhat != null ? `deployments/${hardhat.name}` : []),
+    conflicts
+  };
+}
+
+function loadDeployments(root) {
+  if (cache.has(root)) return cache.get(root);
+
+  const truffle = readNetworksJson(root);
+  const hardhat = readHardhatDeployments(root);
+  const chainIds = new Set(
+    Object.keys(truffle)
+      .map(Number)
+      .concat(hardhat.map(({ chainId }) => chainId))
+  );
+
+  const deployments = Array.from(chainIds)
+    .sort((a, b) => a - b)
+    .map(chainId =>
+      mergeSources(
+        chainId,
+        truffle[chainId],
+        hardhat.find(entry => entry.chainId === chainId)
+      )
+    );
+
+  // networks.json carries no ABI, but every deployment is of the same
+  // contract, so those records borrow the ABI of a hardhat-deploy one.
+  const { abi } = deployments.find(({ abi }) => abi != null) || {};
+  deployments.forEach(deployment => {
+    if (deployment.abi == null && abi != null) deployment.abi = abi;
+  });
+
+  cache.set(root, deployments);
+  return deployments;
+}
+
+// The root option points at another checkout of this package layout,
+// e.g. a project with its own networks.json and deployments directory.
+function getDeployments({ root = DEFAULT_ROOT } = {}) {
+  return loadDeployments(root);
+}
+
+// Throws if the chain has no deployment, or if strict is set and the two
+// sources disagree about it.
+function getDeployment(chainIdOrName, { root, strict = false } = {}) {
+  const deployment = getDeployments({ root }).find(
+    typeof chainIdOrName === "string" && !/^\d+$/.test(chainIdOrName)
+      ? ({ name }) => name === chainIdOrName
+      : ({ chainId }) => chainId === Number(chainIdOrName)
+  );
+  if (deployment == null)
+    throw new Error(`no ${CONTRACT_NAME} deployment for ${chainIdOrName}`);
+  if (strict && deployment.conflicts.length > 0)
+    throw new Error(
+      `conflicting ${CONTRACT_NAME} deployments for ${chainIdOrName}: ${deployment.conflicts
+        .map(({ field }) => field)
+        .join(", ")}`
+    );
+  return deployment;
+}
+
+const addresses = getDeployments().reduce((acc, { name, address }) => {
+  if (name != null) acc[name] = address;
+  return acc;
+}, {});
+
+module.exports = {
+  chainNames,
+  getDeployments,
+  getDeployment,
+  addresses
+};
@@ -0,0 +1,28 @@
+// Type declarations for deterministic-deployment.js
+
+type BytecodeStatus = "identical" | "metadata-differs" | "different" | "no-code";
+
+type Salt = string | boolean | undefined;
+
+interface CodeProvider {
+    getCode(address: string): Promise<string>;
+}
+
+interface DeterministicDeployment {
+    CREATE2_FACTORY: string;
+    bytecodeStatus: {
+        IDENTICAL: "identical";
+        METADATA_DIFFERS: "metadata-differs";
+        DIFFERENT: "different";
+        NO_CODE: "no-code";
+    };
+    stripMetadata(bytecode: string): string;
+    compareBytecode(actual: string, expected: string): BytecodeStatus;
+    normalizeSalt(salt: Salt): string;
+    getDeterministicAddress(options: { initCode: string; salt?: Salt; factory?: string }): string;
+    verifyDeployedBytecode(provider: CodeProvider, address: string, deployedBytecode: string): Promise<BytecodeStatus>;
+}
+
+declare function deterministicDeployment(ethers?: unknown): DeterministicDeployment;
+
+export = deterministicDeployment;
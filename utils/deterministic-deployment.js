@@ -0,0 +1,78 @@
+// Helpers for deploying ConditionalTokens to the same address on every chain
+// through the deterministic deployment proxy used by hardhat-deploy
+// (https://github.com/Arachnid/deterministic-deployment-proxy), and for
+// checking that the code found at such an address is the expected one.
+// Like the ID helpers, this can be supplied with an ethers instance:
+//     require("@gnosis.pm/conditional-tokens-contracts/utils/deterministic-deployment")(ethers)
+
+const CREATE2_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Possible results of compareBytecode
+const bytecodeStatus = {
+  IDENTICAL: "identical",
+  // Only the trailing CBOR-encoded metadata differs, which happens when the
+  // same code is compiled from sources with different comments or paths.
+  METADATA_DIFFERS: "metadata-differs",
+  DIFFERENT: "different",
+  NO_CODE: "no-code"
+};
+
+function normalizeHex(bytecode) {
+  const hex = bytecode.toLowerCase();
+  return hex.startsWith("0x") ? hex.slice(2) : hex;
+}
+
+// solc appends the length of the metadata as the last two bytes
+function stripMetadata(bytecode) {
+  const hex = normalizeHex(bytecode);
+  if (hex.length < 4) return hex;
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const end = hex.length - 4 - metadataLength * 2;
+  return end < 0 ? hex : hex.slice(0, end);
+}
+
+function compareBytecode(actual, expected) {
+  const actualHex = normalizeHex(actual);
+  if (actualHex.length === 0) return bytecodeStatus.NO_CODE;
+  const expectedHex = normalizeHex(expected);
+  if (actualHex === expectedHex) return bytecodeStatus.IDENTICAL;
+  if (stripMetadata(actualHex) === stripMetadata(expectedHex))
+    return bytecodeStatus.METADATA_DIFFERS;
+  return bytecodeStatus.DIFFERENT;
+}
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { getCreate2Address, hexlify, zeroPad, keccak256 } = ethers.utils;
+
+  // Same conversion as hardhat-deploy's deterministicDeployment option,
+  // where true stands for the zero salt.
+  function normalizeSalt(salt) {
+    if (salt == null || salt === true) return hexlify(zeroPad("0x", 32));
+    return hexlify(zeroPad(salt, 32));
+  }
+
+  function getDeterministicAddress({
+    initCode,
+    salt,
+    factory = CREATE2_FACTORY
+  }) {
+    return getCreate2Address(factory, normalizeSalt(salt), keccak256(initCode));
+  }
+
+  // Resolves to one of bytecodeStatus. Deployed code has to be compared
+  // with the artifact's deployedBytecode, not with its init code.
+  async function verifyDeployedBytecode(provider, address, deployedBytecode) {
+    return compareBytecode(await provider.getCode(address), deployedBytecode);
+  }
+
+  return {
+    CREATE2_FACTORY,
+    bytecodeStatus,
+    stripMetadata,
+    compareBytecode,
+    normalizeSalt,
+    getDeterministicAddress,
+    verifyDeployedBytecode
+  };
+};
@@ -0,0 +1,29 @@
+// Type declarations for id-helpers.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface CollectionPoint<N> {
+    x: N;
+    y: N;
+    isIdentity: boolean;
+}
+
+interface IdHelpers<N> {
+    getConditionId(oracle: string, questionId: string, outcomeSlotCount: Numberish): string;
+    getCollectionId(conditionId: string, indexSet: Numberish): string;
+    combineCollectionIds(collectionIds: string[]): string;
+    decodeCollectionId(collectionId: string): CollectionPoint<N>;
+    subtractCollectionIds(collectionId: string, collectionIdToRemove: string): string;
+    getPositionId(collateralToken: string, collectionId: string): string;
+}
+
+interface Web3Utils {
+    BN: unknown;
+    toBN(value: Numberish): unknown;
+    soliditySha3(...args: unknown[]): string | null;
+}
+
+declare function idHelpers(utils: Web3Utils): IdHelpers<unknown>;
+declare function idHelpers(ethers?: unknown): IdHelpers<bigint>;
+
+export = idHelpers;
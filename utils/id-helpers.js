@@ -1,7 +1,17 @@
 // To use this, just import this file and supply it with some web3 utils:
 //     require("@gnosis.pm/conditional-tokens-contracts/utils/id-helpers")(web3.utils)
+// or with ethers v5, or with nothing at all to fall back on the installed ethers:
+//     require("@gnosis.pm/conditional-tokens-contracts/utils/id-helpers")(ethers)
+//     require("@gnosis.pm/conditional-tokens-contracts/utils/id-helpers")()
+// Both backends produce identical IDs.
+
+module.exports = function(utils) {
+  if (utils != null && typeof utils.soliditySha3 === "function")
+    return web3IdHelpers(utils);
+  return require("./bigint-id-helpers")(utils);
+};
 
-module.exports = function({ BN, toBN, soliditySha3 }) {
+function web3IdHelpers({ BN, toBN, soliditySha3 }) {
   function getConditionId(oracle, questionId, outcomeSlotCount) {
     return soliditySha3(
       { t: "address", v: oracle },
@@ -18,7 +28,9 @@ module.exports = function({ BN, toBN, soliditySha3 }) {
   const zeroPRed = toBN(0).toRed(altBN128PRed);
   const onePRed = toBN(1).toRed(altBN128PRed);
   const twoPRed = toBN(2).toRed(altBN128PRed);
+  const threePRed = toBN(3).toRed(altBN128PRed);
   const fourPRed = toBN(4).toRed(altBN128PRed);
+  const eightPRed = toBN(8).toRed(altBN128PRed);
   const oddToggle = toBN(1).ushln(254);
 
   function getCollectionId(conditionId, indexSet) {
@@ -45,42 +57,49 @@ module.exports = function({ BN, toBN, soliditySha3 }) {
     return `0x${ecHash.toString(16, 64)}`;
   }
 
+  function collectionIdToPoint(id) {
+    let x = toBN(id);
+    if (x.eqn(0)) {
+      // a zero collection ID represents EC group identity
+      // which is the point at infinity
+      // satisfying projective equation
+      // Y^2 = X^3 + 3*Z^6, Z=0
+      return [onePRed, onePRed, zeroPRed];
+    }
+    const odd = x.and(oddToggle).eq(oddToggle);
+    if (odd) x.ixor(oddToggle);
+    // toRed would silently reduce x, accepting IDs the contract never makes
+    if (x.gte(altBN128P)) throw new Error(`got invalid collection ID ${id}`);
+    x = x.toRed(altBN128PRed);
+    let y, yy;
+    yy = x.redSqr();
+    yy = yy.redMul(x); // this might be a BN.js bug workaround
+    yy.redIAdd(altBN128B);
+    y = yy.redSqrt();
+    if (!y.redSqr().eq(yy)) throw new Error(`got invalid collection ID ${id}`);
+    if (odd !== y.isOdd()) y = y.redNeg();
+    return [x, y];
+  }
+
   function combineCollectionIds(collectionIds) {
     if (Array.isArray(collectionIds) && collectionIds.length === 0) {
       return `0x${"0".repeat(64)}`;
     }
 
-    const points = collectionIds.map(id => {
-      let x = toBN(id);
-      if (x.eqn(0)) {
-        // a zero collection ID represents EC group identity
-        // which is the point at infinity
-        // satisfying projective equation
-        // Y^2 = X^3 + 3*Z^6, Z=0
-        return [onePRed, onePRed, zeroPRed];
-      }
-      const odd = x.and(oddToggle).eq(oddToggle);
-      if (odd) x.ixor(oddToggle);
-      x = x.toRed(altBN128PRed);
-      let y, yy;
-      yy = x.redSqr();
-      yy = yy.redMul(x); // this might be a BN.js bug workaround
-      yy.redIAdd(altBN128B);
-      y = yy.redSqrt();
-      if (!y.redSqr().eq(yy))
-        throw new Error(`got invalid collection ID ${id}`);
-      if (odd !== y.isOdd()) y = y.redNeg();
-      return [x, y];
-    });
+    const points = collectionIds.map(collectionIdToPoint);
 
-    const [X, Y, Z] = points.reduce(([X1, Y1, Z1], [x2, y2]) => {
+    const [X, Y, Z] = points.reduce(([X1, Y1, Z1], [x2, y2, z2]) => {
       // https://www.hyperelliptic.org/EFD/g1p/auto-shortw-jacobian-0.html#addition-madd-2007-bl
       if (Z1 == null) {
         Z1 = onePRed;
       }
 
       if (Z1.eqn(0)) {
-        return [x2, y2];
+        return z2 == null ? [x2, y2] : [x2, y2, z2];
+      }
+
+      if (z2 != null && z2.eqn(0)) {
+        return [X1, Y1, Z1];
       }
 
       // source 2007 Bernstein--Lange
@@ -102,6 +121,37 @@ module.exports = function({ BN, toBN, soliditySha3 }) {
       const J = H.redMul(I);
       // compute r = 2 (S2-Y1)
       const r = twoPRed.redMul(S2.redSub(Y1));
+
+      if (H.eqn(0) && r.eqn(0)) {
+        // both points are the same, so the addition formula degenerates
+        // and we have to double instead, just like the ecadd precompile
+        // https://www.hyperelliptic.org/EFD/g1p/auto-shortw-jacobian-0.html#doubling-dbl-2009-l
+        // compute A = X1^2
+        const A = X1.redSqr();
+        // compute B = Y1^2
+        const B = Y1.redSqr();
+        // compute C = B^2
+        const C = B.redSqr();
+        // compute D = 2 ((X1+B)^2-A-C)
+        const D = twoPRed.redMul(
+          X1.redAdd(B)
+            .redSqr()
+            .redSub(A)
+            .redSub(C)
+        );
+        // compute E = 3 A
+        const E = threePRed.redMul(A);
+        // compute F = E^2
+        const F = E.redSqr();
+        // compute X3 = F-2 D
+        const X3 = F.redSub(twoPRed.redMul(D));
+        // compute Y3 = E (D-X3)-8 C
+        const Y3 = E.redMul(D.redSub(X3)).redSub(eightPRed.redMul(C));
+        // compute Z3 = 2 Y1 Z1
+        const Z3 = twoPRed.redMul(Y1).redMul(Z1);
+
+        return [X3, Y3, Z3];
+      }
       // compute V = X1 I
       const V = X1.redMul(I);
       // compute X3 = r^2-J-2 V
@@ -141,6 +191,19 @@ module.exports = function({ BN, toBN, soliditySha3 }) {
     return `0x${ecHash.toString(16, 64)}`;
   }
 
+  function decodeCollectionId(collectionId) {
+    const [x, y, z] = collectionIdToPoint(collectionId);
+    if (z != null) return { x: toBN(0), y: toBN(0), isIdentity: true };
+    return { x: x.fromRed(), y: y.fromRed(), isIdentity: false };
+  }
+
+  function subtractCollectionIds(collectionId, collectionIdToRemove) {
+    const x = toBN(collectionIdToRemove);
+    // negating a point flips the parity of its y-coordinate
+    if (!x.eqn(0)) x.ixor(oddToggle);
+    return combineCollectionIds([collectionId, `0x${x.toString(16, 64)}`]);
+  }
+
   function getPositionId(collateralToken, collectionId) {
     return soliditySha3(
       { t: "address", v: collateralToken },
@@ -152,6 +215,8 @@ module.exports = function({ BN, toBN, soliditySha3 }) {
     getConditionId,
     getCollectionId,
     combineCollectionIds,
+    decodeCollectionId,
+    subtractCollectionIds,
     getPositionId
   };
-};
+}
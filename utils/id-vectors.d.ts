@@ -0,0 +1,78 @@
+// Type declarations for id-vectors.js
+
+type Id = string | bigint | { toString(): string };
+type MaybePromise<T> = T | Promise<T>;
+
+interface ConditionVector {
+    oracle: string;
+    questionId: string;
+    outcomeSlotCount: string;
+    conditionId: string;
+}
+
+interface CollectionVector {
+    conditionId: string;
+    indexSet: string;
+    collectionId: string;
+}
+
+interface CombinationVector {
+    collectionIds: string[];
+    collectionId: string;
+}
+
+interface PositionVector {
+    collateralToken: string;
+    collectionId: string;
+    positionId: string;
+}
+
+interface NestedCollectionVector {
+    /** Set on the edge cases */
+    name?: string;
+    parentCollectionId: string;
+    conditionId: string;
+    indexSet: string;
+    collectionId: string;
+}
+
+interface IdVectors {
+    version: number;
+    seed: string;
+    conditions: ConditionVector[];
+    collections: CollectionVector[];
+    combinations: CombinationVector[];
+    positions: PositionVector[];
+    nestedCollections: NestedCollectionVector[];
+}
+
+type VectorSection = "conditions" | "collections" | "combinations" | "positions" | "nestedCollections";
+
+interface IdImplementation {
+    getConditionId?(oracle: string, questionId: string, outcomeSlotCount: string): MaybePromise<Id>;
+    getCollectionId?(conditionId: string, indexSet: string): MaybePromise<Id>;
+    combineCollectionIds?(collectionIds: string[]): MaybePromise<Id>;
+    getPositionId?(collateralToken: string, collectionId: string): MaybePromise<Id>;
+}
+
+interface VectorFailure {
+    section: VectorSection;
+    index: number;
+    vector: ConditionVector | CollectionVector | CombinationVector | PositionVector | NestedCollectionVector;
+    actual?: string;
+    error?: string;
+}
+
+interface IdVectorHelpers {
+    VECTORS_VERSION: number;
+    generateVectors(options?: { seed?: string; count?: number }): IdVectors;
+    writeVectors(file: string, vectors: IdVectors): void;
+    verifyVectors(
+        impl: IdImplementation,
+        vectors: IdVectors,
+    ): Promise<{ passed: boolean; checked: Partial<Record<VectorSection, number>>; failures: VectorFailure[] }>;
+}
+
+declare function idVectors(ethers?: unknown): IdVectorHelpers;
+
+export = idVectors;
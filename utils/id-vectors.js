@@ -0,0 +1,324 @@
+// Golden input/output vectors for the ID helpers, so that ports to other
+// languages can be checked against this implementation. Vectors are derived
+// from a seed, which makes regenerating them reproducible:
+//     const { generateVectors, verifyVectors } = require("@gnosis.pm/conditional-tokens-contracts/utils/id-vectors")()
+//     const { passed, failures } = await verifyVectors(myImplementation, require("./ids.json"))
+// Implementations only need the functions they want checked, and these may
+// return promises, so contracts can be checked too. Collections nested under
+// a parent are checked by combining the parent with getCollectionId, which is
+// what the contract's getCollectionId computes.
+
+const fs = require("fs");
+const { toBigInt, toHex32 } = require("./bigint");
+
+const VECTORS_VERSION = 2;
+const NULL_BYTES32 = toHex32(0);
+const MAX_UINT256 = (BigInt(1) << BigInt(256)) - BigInt(1);
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { keccak256, defaultAbiCoder, getAddress, hexDataSlice } = ethers.utils;
+  const {
+    getConditionId,
+    getCollectionId,
+    combineCollectionIds,
+    subtractCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(ethers);
+
+  function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.reduce(
+      (acc, item, i) =>
+        acc.concat(
+          permutations(items.filter((_, j) => j !== i)).map(rest =>
+            [item].concat(rest)
+          )
+        ),
+      []
+    );
+  }
+
+  // Every list of vectors starts with the edge cases, followed by count
+  // cases derived from the seed.
+  function generateVectors({ seed = "conditional-tokens", count = 8 } = {}) {
+    const random = (label, i) =>
+      keccak256(
+        defaultAbiCoder.encode(["string", "string", "uint"], [seed, label, i])
+      );
+
+    const conditions = [2, 3, 256]
+      .concat(
+        Array.from(
+          { length: count },
+          (_, i) =>
+            Number(BigInt(random("outcomeSlotCount", i)) % BigInt(255)) + 2
+        )
+      )
+      .map((outcomeSlotCount, i) => {
+        const oracle = getAddress(hexDataSlice(random("oracle", i), 12));
+        const questionId = random("questionId", i);
+        return {
+          oracle,
+          questionId,
+          outcomeSlotCount: outcomeSlotCount.toString(),
+          conditionId: getConditionId(oracle, questionId, outcomeSlotCount)
+        };
+      });
+
+    // The first and last outcome slots, and all but the first one
+    const collections = [];
+    for (const { conditionId, outcomeSlotCount } of conditions) {
+      const lastIndexSet =
+        BigInt(1) << (toBigInt(outcomeSlotCount) - BigInt(1));
+      const indexSets = new Set([
+        BigInt(1),
+        lastIndexSet,
+        lastIndexSet * BigInt(2) - BigInt(2)
+      ]);
+      for (const indexSet of indexSets)
+        collections.push({
+          conditionId,
+          indexSet: indexSet.toString(),
+          collectionId: getCollectionId(conditionId, indexSet)
+        });
+    }
+
+    // Combining is commutative, so every order of the same collections is
+    // listed with the same result.
+    const [a, b, c] = conditions
+      .slice(0, 3)
+      .map(({ conditionId }) =>
+        collections.find(collection => collection.conditionId === conditionId)
+      )
+      .map(({ collectionId }) => collectionId);
+    const combinations = [
+      [],
+      [NULL_BYTES32],
+      [NULL_BYTES32, a],
+      [a, subtractCollectionIds(NULL_BYTES32, a)],
+      [a, a]
+    ]
+      .concat(permutations([a, b]))
+      .concat(permutations([a, b, c]))
+      .concat(
+        Array.from({ length: count }, (_, i) =>
+          [0, 1, 2].map(
+            j =>
+              collections[
+                Number(
+                  BigInt(random("combination", i * 3 + j)) %
+                    BigInt(collections.length)
+                )
+              ].collectionId
+          )
+        ).reduce((acc, ids) => acc.concat(permutations(ids)), [])
+      )
+      .map(collectionIds => ({
+        collectionIds,
+        collectionId: combineCollectionIds(collectionIds)
+      }));
+
+    const positions = [NULL_BYTES32, a, combineCollectionIds([a, b])]
+      .concat(
+        Array.from(
+          { length: count },
+          (_, i) => collections[i % collections.length].collectionId
+        )
+      )
+      .map((collectionId, i) => {
+        const collateralToken = getAddress(
+          hexDataSlice(random("collateralToken", i), 12)
+        );
+        return {
+          collateralToken,
+          collectionId,
+          positionId: toBigInt(
+            getPositionId(collateralToken, collectionId)
+          ).toString()
+        };
+      });
+
+    // Sums of the parent and the collection which are the identity or a
+    // doubling are edge cases of the curve arithmetic, and so are deep
+    // parents, here combined from 16 collections.
+    const [first] = collections;
+    const randomIndexSet = i => {
+      const r = BigInt(random("nestedIndexSet", i));
+      switch (i % 3) {
+        case 0:
+          return (r % BigInt(255)) + BigInt(1);
+        case 1:
+          return BigInt(1) << r % BigInt(256);
+        default:
+          return r;
+      }
+    };
+    const nestedCollections = [
+      {
+        name: "zero condition and index set",
+        parentCollectionId: NULL_BYTES32,
+        conditionId: NULL_BYTES32,
+        indexSet: BigInt(0)
+      },
+      {
+        name: "max condition and index set",
+        parentCollectionId: NULL_BYTES32,
+        conditionId: toHex32(MAX_UINT256),
+        indexSet: MAX_UINT256
+      },
+      {
+        name: "identity",
+        parentCollectionId: subtractCollectionIds(NULL_BYTES32, a),
+        conditionId: first.conditionId,
+        indexSet: first.indexSet
+      },
+      {
+        name: "doubling",
+        parentCollectionId: a,
+        conditionId: first.conditionId,
+        indexSet: first.indexSet
+      },
+      {
+        name: "deep nesting",
+        parentCollectionId: combineCollectionIds(
+          collections.slice(0, 16).map(({ collectionId }) => collectionId)
+        ),
+        conditionId: conditions[1].conditionId,
+        indexSet: BigInt(2)
+      }
+    ]
+      .concat(
+        Array.from({ length: count }, (_, i) => ({
+          parentCollectionId:
+            i % 4 === 0
+              ? NULL_BYTES32
+              : combineCollectionIds(
+                  Array.from(
+                    { length: i % 4 },
+                    (_, j) =>
+                      collections[
+                        Number(
+                          BigInt(random("parent", i * 4 + j)) %
+                            BigInt(collections.length)
+                        )
+                      ].collectionId
+                  )
+                ),
+          conditionId: random("nestedCondition", i),
+          indexSet: randomIndexSet(i)
+        }))
+      )
+      .map(vector => {
+        const indexSet = vector.indexSet.toString();
+        return Object.assign({}, vector, {
+          indexSet,
+          collectionId: combineCollectionIds([
+            vector.parentCollectionId,
+            getCollectionId(vector.conditionId, indexSet)
+          ])
+        });
+      });
+
+    return {
+      version: VECTORS_VERSION,
+      seed,
+      conditions,
+      collections,
+      combinations,
+      positions,
+      nestedCollections
+    };
+  }
+
+  function writeVectors(file, vectors) {
+    fs.writeFileSync(file, `${JSON.stringify(vectors, null, 2)}\n`);
+  }
+
+  // IDs are compared as numbers, so implementations may return them in any
+  // case or as decimal strings.
+  function sameId(actual, expected) {
+    try {
+      return toBigInt(actual) === toBigInt(expected);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const checks = {
+    conditions: {
+      methods: ["getConditionId"],
+      run: (impl, { oracle, questionId, outcomeSlotCount }) =>
+        impl.getConditionId(oracle, questionId, outcomeSlotCount),
+      expected: ({ conditionId }) => conditionId
+    },
+    collections: {
+      methods: ["getCollectionId"],
+      run: (impl, { conditionId, indexSet }) =>
+        impl.getCollectionId(conditionId, indexSet),
+      expected: ({ collectionId }) => collectionId
+    },
+    combinations: {
+      methods: ["combineCollectionIds"],
+      run: (impl, { collectionIds }) =>
+        impl.combineCollectionIds(collectionIds),
+      expected: ({ collectionId }) => collectionId
+    },
+    positions: {
+      methods: ["getPositionId"],
+      run: (impl, { collateralToken, collectionId }) =>
+        impl.getPositionId(collateralToken, collectionId),
+      expected: ({ positionId }) => positionId
+    },
+    nestedCollections: {
+      methods: ["getCollectionId", "combineCollectionIds"],
+      run: async (impl, { parentCollectionId, conditionId, indexSet }) =>
+        impl.combineCollectionIds([
+          parentCollectionId,
+          await impl.getCollectionId(conditionId, indexSet)
+        ]),
+      expected: ({ collectionId }) => collectionId
+    }
+  };
+
+  // Resolves to the number of vectors checked per section, with sections
+  // the implementation lacks functions for being skipped, and the vectors
+  // it got wrong or threw on.
+  async function verifyVectors(impl, vectors) {
+    if (vectors.version !== VECTORS_VERSION)
+      throw new Error(`unsupported vectors version ${vectors.version}`);
+
+    const checked = {};
+    const failures = [];
+    for (const section of Object.keys(checks)) {
+      const { methods, run, expected } = checks[section];
+      if (methods.some(method => typeof impl[method] !== "function")) continue;
+      checked[section] = 0;
+      for (let index = 0; index < vectors[section].length; index++) {
+        const vector = vectors[section][index];
+        let actual, error;
+        try {
+          actual = await run(impl, vector);
+        } catch (e) {
+          error = e.message;
+        }
+        checked[section]++;
+        if (error != null || !sameId(actual, expected(vector)))
+          failures.push(
+            Object.assign(
+              { section, index, vector },
+              error != null ? { error } : { actual: String(actual) }
+            )
+          );
+      }
+    }
+    return { passed: failures.length === 0, checked, failures };
+  }
+
+  return {
+    VECTORS_VERSION,
+    generateVectors,
+    writeVectors,
+    verifyVectors
+  };
+};
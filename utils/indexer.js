@@ -0,0 +1,412 @@
+// Rebuilds condition and position state of a ConditionalTokens deployment
+// from its event logs. Works with any ethers v5 provider, e.g.:
+//     const { ConditionalTokensIndexer } = require("@gnosis.pm/conditional-tokens-contracts/utils/indexer")(ethers)
+//     const indexer = new ConditionalTokensIndexer({ provider, address, fromBlock })
+//     await indexer.sync()
+//     indexer.store.balanceOf(account, positionId)
+
+const { toBigInt } = require("./bigint");
+const { isFullPartition } = require("./partition-helpers");
+
+const ZERO = BigInt(0);
+const NULL_ADDRESS = `0x${"0".repeat(40)}`;
+
+const eventsAbi = [
+  "event ConditionPreparation(bytes32 indexed conditionId, address indexed oracle, bytes32 indexed questionId, uint outcomeSlotCount)",
+  "event ConditionResolution(bytes32 indexed conditionId, address indexed oracle, bytes32 indexed questionId, uint outcomeSlotCount, uint[] payoutNumerators)",
+  "event PositionSplit(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint[] partition, uint amount)",
+  "event PositionsMerge(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint[] partition, uint amount)",
+  "event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint[] indexSets, uint payout)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+];
+
+function isNullBytes32(value) {
+  return toBigInt(value) === ZERO;
+}
+
+function getIndexedCondition(store, conditionId) {
+  const condition = store.getCondition(conditionId);
+  if (condition == null)
+    throw new Error(
+      `condition ${conditionId} has not been indexed, start from an earlier block`
+    );
+  return condition;
+}
+
+// Keys are lowercased hex strings and amounts are BigInts throughout.
+// Everything in here can be round-tripped through toJSON/fromJSON.
+class ConditionalTokensStore {
+  constructor() {
+    this.conditions = new Map();
+    this.balances = new Map();
+    this.collateralLocked = new Map();
+    this.splits = new Map();
+    this.splitIndexSets = [];
+  }
+
+  getCondition(conditionId) {
+    return this.conditions.get(conditionId.toLowerCase()) || null;
+  }
+
+  getConditions({ oracle, resolved } = {}) {
+    return Array.from(this.conditions.values()).filter(
+      condition =>
+        (oracle == null || condition.oracle === oracle.toLowerCase()) &&
+        (resolved == null || condition.resolved === resolved)
+    );
+  }
+
+  balanceOf(account, positionId) {
+    const holders = this.balances.get(toBigInt(positionId).toString());
+    return (holders && holders.get(account.toLowerCase())) || ZERO;
+  }
+
+  // Returns a map from position IDs (as decimal strings) to nonzero balances
+  balancesOf(account) {
+    account = account.toLowerCase();
+    const result = new Map();
+    for (const [positionId, holders] of this.balances) {
+      const balance = holders.get(account);
+      if (balance != null && balance !== ZERO) result.set(positionId, balance);
+    }
+    return result;
+  }
+
+  holdersOf(positionId) {
+    return new Map(this.balances.get(toBigInt(positionId).toString()) || []);
+  }
+
+  // Collateral held by the contract on account of splits of the full set of
+  // outcomes of a condition, minus what has been merged or redeemed back.
+  getCollateralLocked(conditionId, collateralToken) {
+    const locked = this.collateralLocked.get(conditionId.toLowerCase());
+    if (collateralToken == null) return new Map(locked || []);
+    return (locked && locked.get(collateralToken.toLowerCase())) || ZERO;
+  }
+
+  // Lists every index set positions have been split or merged into, grouped
+  // by collateral token, parent collection and condition. Together with the
+  // ID helpers this tells which collection a position ID stands for.
+  getSplits() {
+    return Array.from(this.splits.values(), split =>
+      Object.assign({}, split, {
+        indexSets: Array.from(split.indexSets, BigInt)
+      })
+    );
+  }
+
+  // Lists the index sets of getSplits one at a time, in the order they were
+  // first seen. Pass the number already read to get only those seen since.
+  getSplitIndexSets(start = 0) {
+    return this.splitIndexSets.slice(start).map(({ split, indexSet }) => ({
+      collateralToken: split.collateralToken,
+      parentCollectionId: split.parentCollectionId,
+      conditionId: split.conditionId,
+      indexSet: BigInt(indexSet)
+    }));
+  }
+
+  _addBalance(account, positionId, amount) {
+    if (account === NULL_ADDRESS) return;
+    const key = positionId.toString();
+    if (!this.balances.has(key)) this.balances.set(key, new Map());
+    const holders = this.balances.get(key);
+    const balance = (holders.get(account) || ZERO) + amount;
+    if (balance === ZERO) holders.delete(account);
+    else holders.set(account, balance);
+  }
+
+  _addCollateralLocked(conditionId, collateralToken, amount) {
+    if (!this.collateralLocked.has(conditionId))
+      this.collateralLocked.set(conditionId, new Map());
+    const locked = this.collateralLocked.get(conditionId);
+    locked.set(collateralToken, (locked.get(collateralToken) || ZERO) + amount);
+  }
+
+  _addSplitIndexSets(
+    collateralToken,
+    parentCollectionId,
+    conditionId,
+    indexSets
+  ) {
+    const key = `${collateralToken}:${parentCollectionId}:${conditionId}`;
+    if (!this.splits.has(key))
+      this.splits.set(key, {
+        collateralToken,
+        parentCollectionId,
+        conditionId,
+        indexSets: new Set()
+      });
+    const split = this.splits.get(key);
+    for (const value of indexSets) {
+      const indexSet = value.toString();
+      if (split.indexSets.has(indexSet)) continue;
+      split.indexSets.add(indexSet);
+      this.splitIndexSets.push({ split, indexSet });
+    }
+  }
+
+  toJSON() {
+    return {
+      conditions: Array.from(this.conditions.values()).map(condition =>
+        Object.assign({}, condition, {
+          payoutNumerators:
+            condition.payoutNumerators &&
+            condition.payoutNumerators.map(String),
+          payoutDenominator: condition.payoutDenominator.toString()
+        })
+      ),
+      balances: Array.from(this.balances, ([positionId, holders]) => [
+        positionId,
+        Array.from(holders, ([account, balance]) => [
+          account,
+          balance.toString()
+        ])
+      ]),
+      collateralLocked: Array.from(
+        this.collateralLocked,
+        ([conditionId, locked]) => [
+          conditionId,
+          Array.from(locked, ([token, amount]) => [token, amount.toString()])
+        ]
+      ),
+      splits: Array.from(this.splits.values(), split =>
+        Object.assign({}, split, { indexSets: Array.from(split.indexSets) })
+      )
+    };
+  }
+
+  // Checkpoints taken before splits were tracked have none.
+  static fromJSON({ conditions, balances, collateralLocked, splits = [] }) {
+    const store = new ConditionalTokensStore();
+    for (const condition of conditions) {
+      store.conditions.set(
+        condition.conditionId,
+        Object.assign({}, condition, {
+          payoutNumerators:
+            condition.payoutNumerators &&
+            condition.payoutNumerators.map(BigInt),
+          payoutDenominator: BigInt(condition.payoutDenominator)
+        })
+      );
+    }
+    for (const [positionId, holders] of balances) {
+      store.balances.set(
+        positionId,
+        new Map(holders.map(([account, balance]) => [account, BigInt(balance)]))
+      );
+    }
+    for (const [conditionId, locked] of collateralLocked) {
+      store.collateralLocked.set(
+        conditionId,
+        new Map(locked.map(([token, amount]) => [token, BigInt(amount)]))
+      );
+    }
+    for (const split of splits)
+      store._addSplitIndexSets(
+        split.collateralToken,
+        split.parentCollectionId,
+        split.conditionId,
+        split.indexSets
+      );
+    return store;
+  }
+}
+
+const handlers = {
+  ConditionPreparation(
+    store,
+    { conditionId, oracle, questionId, outcomeSlotCount },
+    log
+  ) {
+    store.conditions.set(conditionId.toLowerCase(), {
+      conditionId: conditionId.toLowerCase(),
+      oracle: oracle.toLowerCase(),
+      questionId: questionId.toLowerCase(),
+      outcomeSlotCount: outcomeSlotCount.toNumber(),
+      preparedAtBlock: log.blockNumber,
+      resolved: false,
+      resolvedAtBlock: null,
+      payoutNumerators: null,
+      payoutDenominator: ZERO
+    });
+  },
+
+  ConditionResolution(store, { conditionId, payoutNumerators }, log) {
+    const condition = getIndexedCondition(store, conditionId);
+    condition.payoutNumerators = payoutNumerators.map(toBigInt);
+    condition.payoutDenominator = condition.payoutNumerators.reduce(
+      (a, b) => a + b,
+      ZERO
+    );
+    condition.resolved = true;
+    condition.resolvedAtBlock = log.blockNumber;
+  },
+
+  PositionSplit(store, event) {
+    handlers._fullSetChange(store, event, BigInt(1));
+    handlers._recordSplit(store, event);
+  },
+
+  PositionsMerge(store, event) {
+    handlers._fullSetChange(store, event, BigInt(-1));
+    handlers._recordSplit(store, event);
+  },
+
+  // Both the partition and its union are positions, unless the union is the
+  // full set, in which case it is the parent collection itself.
+  _recordSplit(
+    store,
+    { collateralToken, parentCollectionId, conditionId, partition }
+  ) {
+    const { outcomeSlotCount } = getIndexedCondition(store, conditionId);
+    const indexSets = partition.map(toBigInt);
+    if (!isFullPartition(indexSets, outcomeSlotCount))
+      indexSets.push(indexSets.reduce((a, b) => a | b));
+    store._addSplitIndexSets(
+      collateralToken.toLowerCase(),
+      parentCollectionId.toLowerCase(),
+      conditionId.toLowerCase(),
+      indexSets
+    );
+  },
+
+  // Only splits and merges of the full set of outcomes which aren't nested
+  // in a parent collection move collateral in or out of the contract.
+  _fullSetChange(
+    store,
+    { collateralToken, parentCollectionId, conditionId, partition, amount },
+    sign
+  ) {
+    if (!isNullBytes32(parentCollectionId)) return;
+    const { outcomeSlotCount } = getIndexedCondition(store, conditionId);
+    if (!isFullPartition(partition.map(toBigInt), outcomeSlotCount)) return;
+    store._addCollateralLocked(
+      conditionId.toLowerCase(),
+      collateralToken.toLowerCase(),
+      sign * toBigInt(amount)
+    );
+  },
+
+  PayoutRedemption(
+    store,
+    { collateralToken, parentCollectionId, conditionId, payout }
+  ) {
+    if (!isNullBytes32(parentCollectionId)) return;
+    store._addCollateralLocked(
+      conditionId.toLowerCase(),
+      collateralToken.toLowerCase(),
+      -toBigInt(payout)
+    );
+  },
+
+  TransferSingle(store, { from, to, id, value }) {
+    handlers._transfer(store, from, to, id, value);
+  },
+
+  // values clashes with Array.prototype.values on ethers' Result, so it can
+  // only be accessed by position
+  TransferBatch(store, [, from, to, ids, values]) {
+    ids.forEach((id, i) => handlers._transfer(store, from, to, id, values[i]));
+  },
+
+  _transfer(store, from, to, id, value) {
+    const positionId = toBigInt(id);
+    value = toBigInt(value);
+    store._addBalance(from.toLowerCase(), positionId, -value);
+    store._addBalance(to.toLowerCase(), positionId, value);
+  }
+};
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const iface = new ethers.utils.Interface(eventsAbi);
+
+  class ConditionalTokensIndexer {
+    // Pass the checkpoint returned by a previous indexer to resume from it.
+    constructor({
+      provider,
+      address,
+      fromBlock = 0,
+      confirmations = 0,
+      batchSize = 2000,
+      onCheckpoint,
+      checkpoint
+    }) {
+      this.provider = provider;
+      this.address = ethers.utils.getAddress(address);
+      this.confirmations = confirmations;
+      this.batchSize = batchSize;
+      this.onCheckpoint = onCheckpoint;
+
+      if (checkpoint != null) {
+        if (ethers.utils.getAddress(checkpoint.address) !== this.address)
+          throw new Error(
+            `checkpoint is for ${checkpoint.address} instead of ${this.address}`
+          );
+        this.nextBlock = checkpoint.nextBlock;
+        this.store = ConditionalTokensStore.fromJSON(checkpoint.store);
+      } else {
+        this.nextBlock = fromBlock;
+        this.store = new ConditionalTokensStore();
+      }
+    }
+
+    checkpoint() {
+      return {
+        address: this.address,
+        nextBlock: this.nextBlock,
+        store: this.store.toJSON()
+      };
+    }
+
+    // Replays logs up to toBlock, which defaults to the latest block minus
+    // the configured confirmations, in batches of whole block ranges so that
+    // every checkpoint taken in between is consistent.
+    async sync({ toBlock } = {}) {
+      if (toBlock == null)
+        toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+
+      while (this.nextBlock <= toBlock) {
+        const batchToBlock = Math.min(
+          this.nextBlock + this.batchSize - 1,
+          toBlock
+        );
+        const logs = await this.provider.getLogs({
+          address: this.address,
+          fromBlock: this.nextBlock,
+          toBlock: batchToBlock
+        });
+        logs
+          .sort(
+            (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+          )
+          .forEach(log => this.applyLog(log));
+
+        this.nextBlock = batchToBlock + 1;
+        if (this.onCheckpoint != null)
+          await this.onCheckpoint(this.checkpoint());
+      }
+
+      return this.store;
+    }
+
+    applyLog(log) {
+      let parsed;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (e) {
+        // not one of the events we care about, e.g. ApprovalForAll or URI
+        return;
+      }
+      handlers[parsed.name](this.store, parsed.args, log);
+    }
+  }
+
+  return {
+    eventsAbi,
+    ConditionalTokensStore,
+    ConditionalTokensIndexer
+  };
+};
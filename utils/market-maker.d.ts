@@ -0,0 +1,113 @@
+// Type declarations for market-maker.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface MarketCall {
+    method: "splitPosition" | "mergePositions";
+    params: {
+        collateralToken: string;
+        parentCollectionId: string;
+        conditionId: string;
+        partition: bigint[];
+        amount: bigint;
+    };
+}
+
+interface MarketMakerOptions {
+    collateralToken: string;
+    conditionId: string;
+    outcomeSlotCount: Numberish;
+    /** Nests the market under a position, which then serves as its collateral. */
+    parentCollectionId?: string;
+    /** A fraction of FEE_DENOMINATOR */
+    fee?: Numberish;
+    funding: Numberish;
+}
+
+declare abstract class MarketMaker {
+    collateralToken: string;
+    conditionId: string;
+    outcomeSlotCount: number;
+    parentCollectionId: string;
+    fee: bigint;
+    partition: bigint[];
+    /** Decimal strings, one per outcome */
+    positionIds: string[];
+    inventory: bigint[];
+    collateral: bigint;
+    clone(): this;
+    balanceOf(positionId: Numberish): bigint;
+    prices(): number[];
+    quoteBuy(outcomeIndex: number, amount: Numberish): bigint;
+    quoteSell(outcomeIndex: number, amount: Numberish): bigint;
+    buy(
+        outcomeIndex: number,
+        amount: Numberish,
+        options?: { maxCost?: Numberish },
+    ): { cost: bigint; calls: MarketCall[] };
+    sell(
+        outcomeIndex: number,
+        amount: Numberish,
+        options?: { minProceeds?: Numberish },
+    ): { proceeds: bigint; calls: MarketCall[] };
+}
+
+declare class LmsrMarketMaker extends MarketMaker {
+    /** Defaults to funding / ln(outcomeSlotCount). */
+    constructor(options: MarketMakerOptions & { liquidity?: Numberish });
+    liquidity: bigint;
+    sold: bigint[];
+}
+
+declare class ConstantProductMarketMaker extends MarketMaker {
+    constructor(options: MarketMakerOptions);
+    /** The split of the funding, to be sent before trading. */
+    fundingCalls: MarketCall[];
+}
+
+interface Trade {
+    side: "buy" | "sell";
+    outcomeIndex: number;
+    amount: Numberish;
+    maxCost?: Numberish;
+    minProceeds?: Numberish;
+}
+
+interface TradeResult {
+    side: string;
+    outcomeIndex: number;
+    amount: bigint;
+    cost?: bigint;
+    proceeds?: bigint;
+    calls: MarketCall[];
+    /** Set if the market maker refused the trade */
+    error?: string;
+}
+
+/** PositionSplit and PositionsMerge events as parsed by ethers */
+interface PositionEvent {
+    event?: string;
+    name?: string;
+    args: { parentCollectionId: string; conditionId: string; partition: Numberish[]; amount: Numberish };
+}
+
+interface MarketMakerModule {
+    FEE_DENOMINATOR: bigint;
+    MarketMaker: typeof MarketMaker;
+    LmsrMarketMaker: typeof LmsrMarketMaker;
+    ConstantProductMarketMaker: typeof ConstantProductMarketMaker;
+    replay<T extends MarketMaker>(
+        marketMaker: T,
+        trades: Trade[],
+        options?: { events?: PositionEvent[] },
+    ): {
+        marketMaker: T;
+        results: TradeResult[];
+        calls: MarketCall[];
+        mismatches: { index: number; actual: MarketCall | null; expected: { method: string; args: unknown } | null }[];
+    };
+}
+
+declare function marketMaker(ethers?: unknown): MarketMakerModule;
+
+export = marketMaker;
@@ -0,0 +1,470 @@
+// Off-chain market makers for the outcome tokens of a condition, pricing them
+// with LMSR or a constant product of the token balances held, e.g.:
+//     const { LmsrMarketMaker, replay } = require("@gnosis.pm/conditional-tokens-contracts/utils/market-maker")(ethers)
+//     const marketMaker = new LmsrMarketMaker({ collateralToken, conditionId, outcomeSlotCount: 2, funding })
+//     const { cost, calls } = marketMaker.buy(0, amount)
+// Trades return the splitPosition and mergePositions calls which keep the
+// inventory of outcome tokens balanced, in the format of the route planner.
+// Amounts are BigInts and are always rounded in the market maker's favour.
+
+const { toBigInt } = require("./bigint");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+// Fees are fractions of this, like in the fixed product market maker contracts
+const FEE_DENOMINATOR = BigInt(10) ** BigInt(18);
+
+function ceilDiv(a, b) {
+  return (a + b - ONE) / b;
+}
+
+// Returns the biggest value in [lo, hi] for which ok holds, given that it
+// holds for lo and that it stops holding at some point.
+function searchLast(lo, hi, ok) {
+  while (lo < hi) {
+    const mid = (lo + hi + ONE) / BigInt(2);
+    if (ok(mid)) lo = mid;
+    else hi = mid - ONE;
+  }
+  return lo;
+}
+
+// LMSR costs are worked out in binary fixed point, with this many bits
+// beyond those of the liquidity parameter b, so that b times the error of
+// a logarithm stays far below a token.
+const GUARD_BITS = 64;
+// Bounds the error of fixedLn and fixedExp in units of the last place, as
+// long as trades are not millions of times b. Costs are padded by it.
+const FIXED_ERROR = ONE << BigInt(20);
+
+function bitLength(value) {
+  return value.toString(2).length;
+}
+
+// Sums the series of atanh(z) = z + z^3 / 3 + z^5 / 5 + ... for 0 <= z < 1
+function fixedAtanh(z, bits) {
+  const zSquared = (z * z) >> bits;
+  let sum = ZERO;
+  for (let power = z, n = ONE; power > ZERO; n += BigInt(2)) {
+    sum += power / n;
+    power = (power * zSquared) >> bits;
+  }
+  return sum;
+}
+
+const ln2Cache = new Map();
+
+// ln 2 = 2 atanh(1 / 3)
+function fixedLn2(bits) {
+  if (!ln2Cache.has(bits))
+    ln2Cache.set(bits, BigInt(2) * fixedAtanh((ONE << bits) / BigInt(3), bits));
+  return ln2Cache.get(bits);
+}
+
+// ln y for y > 0, as y = 2^k m with 1 <= m < 2 and
+// ln m = 2 atanh((m - 1) / (m + 1))
+function fixedLn(y, bits) {
+  const one = ONE << bits;
+  const k = BigInt(bitLength(y) - 1) - bits;
+  const m = k >= ZERO ? y >> k : y << -k;
+  return (
+    k * fixedLn2(bits) +
+    BigInt(2) * fixedAtanh(((m - one) << bits) / (m + one), bits)
+  );
+}
+
+// exp x, as x = k ln 2 + r with 0 <= r < ln 2 and exp r summed as a series
+function fixedExp(x, bits) {
+  const ln2 = fixedLn2(bits);
+  let k = x / ln2;
+  if (k * ln2 > x) k -= ONE;
+  const r = x - k * ln2;
+  let sum = ZERO;
+  for (let term = ONE << bits, n = ONE; term > ZERO; n++) {
+    sum += term;
+    term = (term * r) / (n << bits);
+  }
+  return k >= ZERO ? sum << k : sum >> -k;
+}
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const {
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(ethers);
+
+  // Holds the inventory of outcome tokens and collateral, and turns trades
+  // into calls. Subclasses price the trades. The collateral can itself be a
+  // position, if the condition is nested under a parent collection.
+  class MarketMaker {
+    constructor({
+      collateralToken,
+      conditionId,
+      outcomeSlotCount,
+      parentCollectionId = NULL_BYTES32,
+      fee = 0
+    }) {
+      this.collateralToken = collateralToken;
+      this.conditionId = conditionId;
+      this.outcomeSlotCount = Number(outcomeSlotCount);
+      if (this.outcomeSlotCount <= 1)
+        throw new Error("there should be more than one outcome slot");
+      this.parentCollectionId = parentCollectionId;
+      this.fee = toBigInt(fee);
+      if (this.fee < ZERO || this.fee >= FEE_DENOMINATOR)
+        throw new Error(`got invalid fee ${fee}`);
+
+      this.partition = Array.from(
+        { length: this.outcomeSlotCount },
+        (_, i) => ONE << BigInt(i)
+      );
+      this.positionIds = this.partition.map(indexSet =>
+        toBigInt(
+          getPositionId(
+            collateralToken,
+            combineCollectionIds([
+              parentCollectionId,
+              getCollectionId(conditionId, indexSet)
+            ])
+          )
+        ).toString()
+      );
+      this.inventory = this.partition.map(() => ZERO);
+      this.collateral = ZERO;
+    }
+
+    clone() {
+      const clone = Object.create(Object.getPrototypeOf(this));
+      return Object.assign(clone, this, { inventory: this.inventory.slice() });
+    }
+
+    balanceOf(positionId) {
+      const i = this.positionIds.indexOf(toBigInt(positionId).toString());
+      return i === -1 ? ZERO : this.inventory[i];
+    }
+
+    _call(method, amount) {
+      const { collateralToken, parentCollectionId, conditionId } = this;
+      return {
+        method,
+        params: {
+          collateralToken,
+          parentCollectionId,
+          conditionId,
+          partition: this.partition.slice(),
+          amount
+        }
+      };
+    }
+
+    _split(amount) {
+      if (amount > this.collateral)
+        throw new Error("market maker out of collateral");
+      this.collateral -= amount;
+      this.inventory = this.inventory.map(balance => balance + amount);
+      return this._call("splitPosition", amount);
+    }
+
+    _merge(amount) {
+      this.collateral += amount;
+      this.inventory = this.inventory.map(balance => balance - amount);
+      return this._call("mergePositions", amount);
+    }
+
+    _checkTrade(outcomeIndex, amount) {
+      if (
+        !Number.isInteger(outcomeIndex) ||
+        outcomeIndex < 0 ||
+        outcomeIndex >= this.outcomeSlotCount
+      )
+        throw new Error(`got invalid outcome index ${outcomeIndex}`);
+      amount = toBigInt(amount);
+      if (amount <= ZERO) throw new Error("got nothing to trade");
+      return amount;
+    }
+
+    _fee(amount) {
+      return ceilDiv(amount * this.fee, FEE_DENOMINATOR);
+    }
+
+    quoteBuy(outcomeIndex, amount) {
+      const cost = this._buyCost(
+        outcomeIndex,
+        this._checkTrade(outcomeIndex, amount)
+      );
+      return cost + this._fee(cost);
+    }
+
+    quoteSell(outcomeIndex, amount) {
+      const proceeds = this._sellProceeds(
+        outcomeIndex,
+        this._checkTrade(outcomeIndex, amount)
+      );
+      return proceeds - this._fee(proceeds);
+    }
+
+    // Sells amount outcome tokens to a trader, for at most maxCost.
+    // Nothing changes if the trade fails.
+    buy(outcomeIndex, amount, { maxCost } = {}) {
+      amount = this._checkTrade(outcomeIndex, amount);
+      const netCost = this._buyCost(outcomeIndex, amount);
+      const cost = netCost + this._fee(netCost);
+      if (maxCost != null && cost > toBigInt(maxCost))
+        throw new Error(`cost ${cost} exceeds maximum ${maxCost}`);
+      const next = this.clone();
+      next.collateral += cost;
+      const calls = next._fill(outcomeIndex, amount, netCost);
+      Object.assign(this, next);
+      return { cost, calls };
+    }
+
+    // Buys amount outcome tokens from a trader, for at least minProceeds.
+    sell(outcomeIndex, amount, { minProceeds } = {}) {
+      amount = this._checkTrade(outcomeIndex, amount);
+      const netProceeds = this._sellProceeds(outcomeIndex, amount);
+      const proceeds = netProceeds - this._fee(netProceeds);
+      if (minProceeds != null && proceeds < toBigInt(minProceeds))
+        throw new Error(`proceeds ${proceeds} below minimum ${minProceeds}`);
+      const next = this.clone();
+      next.inventory[outcomeIndex] += amount;
+      const calls = next._unload(outcomeIndex, amount, netProceeds);
+      if (next.collateral < proceeds)
+        throw new Error("market maker out of collateral");
+      next.collateral -= proceeds;
+      Object.assign(this, next);
+      return { proceeds, calls };
+    }
+  }
+
+  // Hanson's logarithmic market scoring rule with liquidity parameter b,
+  // where the maker can lose at most b ln(outcomeSlotCount). Outcome tokens
+  // are split off collateral when they are bought and complete sets are
+  // merged back when they are sold.
+  class LmsrMarketMaker extends MarketMaker {
+    constructor(options) {
+      super(options);
+      const { funding, liquidity } = options;
+      this.collateral = toBigInt(funding);
+      this.liquidity =
+        liquidity != null ? toBigInt(liquidity) : this._defaultLiquidity();
+      if (this.liquidity <= ZERO)
+        throw new Error("got no liquidity, please add funding");
+      // Outcome tokens sold, which the costs are a function of
+      this.sold = this.partition.map(() => ZERO);
+    }
+
+    clone() {
+      return Object.assign(super.clone(), { sold: this.sold.slice() });
+    }
+
+    // The biggest b for which the maker loses at most its funding,
+    // b ln(outcomeSlotCount)
+    _defaultLiquidity() {
+      const bits = BigInt(bitLength(this.collateral) + GUARD_BITS);
+      const ln = fixedLn(BigInt(this.outcomeSlotCount) << bits, bits);
+      return (this.collateral << bits) / (ln + FIXED_ERROR);
+    }
+
+    // C(q + delta e_i) - C(q) = b ln(sum of exp(q' / b) / sum of exp(q / b)),
+    // rounded up with room for the error of the fixed point math. The
+    // exponents are shifted by the biggest one, so that the sums are at
+    // least 1.
+    _costDifference(outcomeIndex, delta) {
+      const b = this.liquidity;
+      const bits = BigInt(bitLength(b) + GUARD_BITS);
+      const after = this.sold.slice();
+      after[outcomeIndex] += delta;
+      const max = this.sold
+        .concat(after)
+        .reduce((acc, q) => (q > acc ? q : acc));
+      const sumExp = sold =>
+        sold.reduce(
+          (acc, q) => acc + fixedExp(((q - max) << bits) / b, bits),
+          ZERO
+        );
+      const ratio = (sumExp(after) << bits) / sumExp(this.sold);
+      return -(-(b * (fixedLn(ratio, bits) + FIXED_ERROR)) >> bits);
+    }
+
+    _buyCost(outcomeIndex, amount) {
+      return this._costDifference(outcomeIndex, amount);
+    }
+
+    _sellProceeds(outcomeIndex, amount) {
+      const proceeds = -this._costDifference(outcomeIndex, -amount);
+      return proceeds > ZERO ? proceeds : ZERO;
+    }
+
+    prices() {
+      const b = Number(this.liquidity);
+      const max = Math.max(...this.sold.map(q => Number(q) / b));
+      const weights = this.sold.map(q => Math.exp(Number(q) / b - max));
+      const total = weights.reduce((a, b) => a + b, 0);
+      return weights.map(weight => weight / total);
+    }
+
+    _fill(outcomeIndex, amount) {
+      const calls = [];
+      const missing = amount - this.inventory[outcomeIndex];
+      if (missing > ZERO) calls.push(this._split(missing));
+      this.inventory[outcomeIndex] -= amount;
+      this.sold[outcomeIndex] += amount;
+      return calls;
+    }
+
+    _unload(outcomeIndex, amount) {
+      this.sold[outcomeIndex] -= amount;
+      const complete = this.inventory.reduce((a, b) => (b < a ? b : a));
+      return complete > ZERO ? [this._merge(complete)] : [];
+    }
+  }
+
+  // Keeps the product of the outcome token balances it holds constant, like
+  // the fixed product market maker contracts: buying splits the cost into
+  // complete sets, and selling merges the proceeds out of them.
+  class ConstantProductMarketMaker extends MarketMaker {
+    // Funding is split into an equal amount of every outcome token.
+    constructor(options) {
+      super(options);
+      const funding = toBigInt(options.funding);
+      if (funding <= ZERO)
+        throw new Error("got no liquidity, please add funding");
+      this.collateral = funding;
+      this.fundingCalls = [this._split(funding)];
+    }
+
+    _product(balances) {
+      return balances.reduce((a, b) => a * b, ONE);
+    }
+
+    // The smallest cost which keeps the product after splitting it and
+    // handing out the tokens bought
+    _buyCost(outcomeIndex, amount) {
+      const k = this._product(this.inventory);
+      const productAfter = cost =>
+        this._product(
+          this.inventory.map((balance, i) =>
+            i === outcomeIndex ? balance + cost - amount : balance + cost
+          )
+        );
+      return searchLast(ZERO, amount, cost => productAfter(cost) < k) + ONE;
+    }
+
+    _sellProceeds(outcomeIndex, amount) {
+      const k = this._product(this.inventory);
+      const limit = this.inventory.reduce(
+        (acc, balance, i) =>
+          i === outcomeIndex || balance >= acc ? acc : balance,
+        amount
+      );
+      return searchLast(
+        ZERO,
+        limit,
+        proceeds =>
+          this._product(
+            this.inventory.map((balance, i) =>
+              i === outcomeIndex
+                ? balance + amount - proceeds
+                : balance - proceeds
+            )
+          ) >= k
+      );
+    }
+
+    // Marginal prices are inversely proportional to the balances held.
+    prices() {
+      const weights = this.inventory.map(balance => 1 / Number(balance));
+      const total = weights.reduce((a, b) => a + b, 0);
+      return weights.map(weight => weight / total);
+    }
+
+    // Fees stay with the market maker as collateral.
+    _fill(outcomeIndex, amount, netCost) {
+      const calls = [this._split(netCost)];
+      this.inventory[outcomeIndex] -= amount;
+      return calls;
+    }
+
+    _unload(outcomeIndex, amount, netProceeds) {
+      return [this._merge(netProceeds)];
+    }
+  }
+
+  const eventMethods = {
+    PositionSplit: "splitPosition",
+    PositionsMerge: "mergePositions"
+  };
+
+  function sameCall(call, { method, args }) {
+    const { params } = call;
+    return (
+      call.method === method &&
+      params.parentCollectionId.toLowerCase() ===
+        args.parentCollectionId.toLowerCase() &&
+      params.conditionId.toLowerCase() === args.conditionId.toLowerCase() &&
+      params.partition.join() === args.partition.map(toBigInt).join() &&
+      params.amount === toBigInt(args.amount)
+    );
+  }
+
+  // Replays trades of the form { side: "buy" | "sell", outcomeIndex, amount }
+  // on a copy of the market maker, recording trades it refuses instead of
+  // stopping. The PositionSplit and PositionsMerge events of a market, as
+  // parsed by ethers, can be given to check the calls against them in order,
+  // which tells whether the model trades like the market did.
+  function replay(marketMaker, trades, { events } = {}) {
+    const simulated = marketMaker.clone();
+    const results = trades.map(trade => {
+      const { side, outcomeIndex } = trade;
+      const result = { side, outcomeIndex, amount: toBigInt(trade.amount) };
+      try {
+        if (side === "buy")
+          return Object.assign(
+            result,
+            simulated.buy(outcomeIndex, trade.amount, trade)
+          );
+        if (side === "sell")
+          return Object.assign(
+            result,
+            simulated.sell(outcomeIndex, trade.amount, trade)
+          );
+        throw new Error(`got invalid trade side ${side}`);
+      } catch (e) {
+        return Object.assign(result, { error: e.message, calls: [] });
+      }
+    });
+    const calls = [].concat(...results.map(({ calls }) => calls));
+
+    const mismatches = [];
+    if (events != null) {
+      const expected = events.map(event => ({
+        method: eventMethods[event.event || event.name],
+        args: event.args
+      }));
+      for (let i = 0; i < Math.max(calls.length, expected.length); i++)
+        if (
+          calls[i] == null ||
+          expected[i] == null ||
+          !sameCall(calls[i], expected[i])
+        )
+          mismatches.push({
+            index: i,
+            actual: calls[i] || null,
+            expected: expected[i] || null
+          });
+    }
+
+    return { marketMaker: simulated, results, calls, mismatches };
+  }
+
+  return {
+    FEE_DENOMINATOR,
+    MarketMaker,
+    LmsrMarketMaker,
+    ConstantProductMarketMaker,
+    replay
+  };
+};
@@ -0,0 +1,45 @@
+// Type declarations for merge-back.js
+
+import positionBalances = require("./position-balances");
+
+type Numberish = number | string | bigint | { toString(): string };
+
+type PositionBalancesOptions = Parameters<ReturnType<typeof positionBalances>["getPositionBalances"]>[1];
+
+interface Merge {
+    method: "mergePositions";
+    params: {
+        collateralToken: string;
+        parentCollectionId: string;
+        conditionId: string;
+        partition: bigint[];
+        amount: bigint;
+    };
+    collectionIds: string[];
+}
+
+interface MergeResult {
+    /** In the order they have to be sent, deepest positions first. */
+    merges: Merge[];
+    /** Collateral freed by the merges. */
+    collateral: bigint;
+    /** Amounts merged into parent positions, which may be merged further. */
+    parentCollections: { collectionId: string; amount: bigint }[];
+}
+
+interface MergeBack {
+    findMerges(options: {
+        collateralToken: string;
+        conditions: { conditionId: string; outcomeSlotCount: Numberish }[];
+        balances: { indexSets: { conditionId: string; indexSet: Numberish }[]; balance: Numberish }[];
+    }): MergeResult;
+    flattenBalances(nested: object): { indexSets: { conditionId: string; indexSet: bigint }[]; balance: bigint }[];
+    mergeBack(
+        provider: Parameters<ReturnType<typeof positionBalances>["getPositionBalances"]>[0],
+        options: Omit<PositionBalancesOptions, "owners"> & { account: string; signer?: unknown },
+    ): Promise<MergeResult & { transactions?: unknown[] }>;
+}
+
+declare function mergeBack(ethers?: unknown): MergeBack;
+
+export = mergeBack;
@@ -0,0 +1,239 @@
+// Finds full sets among an account's positions, i.e. positions on every
+// outcome of a condition under the same parent collection, and the merges
+// which turn them back into collateral or into the parent position, e.g.:
+//     const { findMerges, mergeBack } = require("@gnosis.pm/conditional-tokens-contracts/utils/merge-back")(ethers)
+//     const { merges, collateral } = await mergeBack(provider, { account, collateral: usdc, conditions })
+// Passing a signer to mergeBack also sends the merges.
+
+const { toBigInt } = require("./bigint");
+const { getFullIndexSet } = require("./partition-helpers");
+
+const ZERO = BigInt(0);
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+function keyOf(position) {
+  return Array.from(position)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([conditionId, indexSet]) => `${conditionId}:${indexSet}`)
+    .join("&");
+}
+
+function without(position, conditionId) {
+  const parent = new Map(position);
+  parent.delete(conditionId);
+  return parent;
+}
+
+// Of all partitions of the full index set made of held index sets, returns
+// the one whose smallest balance is biggest, preferring fewer pieces.
+function bestFullPartition(held, fullIndexSet) {
+  let best = null;
+  function search(covered, partition, amount) {
+    if (covered === fullIndexSet) {
+      if (
+        best == null ||
+        amount > best.amount ||
+        (amount === best.amount && partition.length < best.partition.length)
+      )
+        best = { partition, amount };
+      return;
+    }
+    // every partition has exactly one piece holding the lowest free slot
+    const free = fullIndexSet ^ covered;
+    const lowest = free & -free;
+    for (const [indexSet, balance] of held)
+      if ((indexSet & lowest) !== ZERO && (indexSet & covered) === ZERO)
+        search(
+          covered | indexSet,
+          partition.concat(indexSet),
+          amount == null || balance < amount ? balance : amount
+        );
+  }
+  search(ZERO, [], null);
+  return best;
+}
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { getCollectionId, combineCollectionIds } = require("./id-helpers")(
+    ethers
+  );
+  const {
+    getConditionalTokens,
+    readConditions,
+    getPositionBalances
+  } = require("./position-balances")(ethers);
+
+  // Balances are lists of { indexSets, balance } as the route planner takes
+  // them. Merges are ordered from the deepest positions up, since merging
+  // nested positions can complete a full set of their parents, and each
+  // takes as much as the full set allows. The amounts recovered are summed
+  // up by what they were merged into: collateral or a parent collection.
+  function findMerges({ collateralToken, conditions, balances }) {
+    const fullIndexSets = new Map(
+      conditions.map(({ conditionId, outcomeSlotCount }) => [
+        conditionId.toLowerCase(),
+        getFullIndexSet(outcomeSlotCount)
+      ])
+    );
+    const conditionIds = new Map(
+      conditions.map(({ conditionId }) => [
+        conditionId.toLowerCase(),
+        conditionId
+      ])
+    );
+
+    const positions = new Map();
+    const held = new Map();
+    const add = (position, amount) => {
+      const key = keyOf(position);
+      positions.set(key, position);
+      held.set(key, (held.get(key) || ZERO) + amount);
+    };
+    for (const { indexSets, balance } of balances) {
+      const position = new Map(
+        indexSets.map(({ conditionId, indexSet }) => [
+          conditionId.toLowerCase(),
+          toBigInt(indexSet)
+        ])
+      );
+      if (position.size > 0) add(position, toBigInt(balance));
+    }
+
+    const collectionIdOf = position =>
+      position.size === 0
+        ? NULL_BYTES32
+        : combineCollectionIds(
+            Array.from(position, ([conditionId, indexSet]) =>
+              getCollectionId(conditionId, indexSet)
+            )
+          );
+
+    const merges = [];
+    const recovered = new Map();
+    const depths = Array.from(positions.values(), ({ size }) => size);
+    for (let depth = Math.max(0, ...depths); depth > 0; depth--) {
+      // Positions at this depth, grouped by parent and condition
+      const groups = new Map();
+      for (const [key, position] of positions) {
+        if (position.size !== depth || held.get(key) === ZERO) continue;
+        for (const [conditionId, indexSet] of position) {
+          if (!fullIndexSets.has(conditionId)) continue;
+          const parent = without(position, conditionId);
+          const groupKey = `${keyOf(parent)}|${conditionId}`;
+          if (!groups.has(groupKey))
+            groups.set(groupKey, { parent, conditionId, indexSets: [] });
+          groups.get(groupKey).indexSets.push(indexSet);
+        }
+      }
+
+      for (const { parent, conditionId, indexSets } of groups.values()) {
+        const keyFor = indexSet =>
+          keyOf(new Map(parent).set(conditionId, indexSet));
+        for (;;) {
+          const best = bestFullPartition(
+            indexSets
+              .map(indexSet => [indexSet, held.get(keyFor(indexSet))])
+              .filter(([, balance]) => balance > ZERO),
+            fullIndexSets.get(conditionId)
+          );
+          if (best == null) break;
+
+          const { amount } = best;
+          const partition = best.partition.sort((a, b) => (a < b ? -1 : 1));
+          for (const indexSet of partition)
+            held.set(keyFor(indexSet), held.get(keyFor(indexSet)) - amount);
+          const parentCollectionId = collectionIdOf(parent);
+          if (parent.size > 0) add(parent, amount);
+          recovered.set(
+            parentCollectionId,
+            (recovered.get(parentCollectionId) || ZERO) + amount
+          );
+          merges.push({
+            method: "mergePositions",
+            params: {
+              collateralToken,
+              parentCollectionId,
+              conditionId: conditionIds.get(conditionId),
+              partition,
+              amount
+            },
+            collectionIds: partition.map(indexSet =>
+              collectionIdOf(new Map(parent).set(conditionId, indexSet))
+            )
+          });
+        }
+      }
+    }
+
+    return {
+      merges,
+      collateral: recovered.get(NULL_BYTES32) || ZERO,
+      parentCollections: Array.from(recovered)
+        .filter(([collectionId]) => collectionId !== NULL_BYTES32)
+        .map(([collectionId, amount]) => ({ collectionId, amount }))
+    };
+  }
+
+  // Turns the nested result of getPositionBalances into a flat list.
+  function flattenBalances(nested, parentIndexSets = []) {
+    const balances = [];
+    for (const conditionId of Object.keys(nested))
+      for (const { indexSet, balance, children } of Object.values(
+        nested[conditionId]
+      )) {
+        const indexSets = parentIndexSets.concat({ conditionId, indexSet });
+        balances.push({ indexSets, balance });
+        balances.push(...flattenBalances(children, indexSets));
+      }
+    return balances;
+  }
+
+  // Reads the account's balances on the conditions through balanceOfBatch
+  // and finds the merges. With a signer for the account, the merges are
+  // sent one after the other, and their transactions returned. Other
+  // options are passed on to getPositionBalances, where depth defaults to
+  // every condition.
+  async function mergeBack(provider, options) {
+    const { address, account, collateral, signer, blockTag } = options;
+    const conditions = await readConditions(provider, {
+      address,
+      conditions: options.conditions,
+      blockTag
+    });
+    const nested = await getPositionBalances(
+      provider,
+      Object.assign({ depth: conditions.length }, options, {
+        owners: [account],
+        conditions
+      })
+    );
+    const result = findMerges({
+      collateralToken: collateral,
+      conditions,
+      balances: flattenBalances(nested[ethers.utils.getAddress(account)])
+    });
+    if (signer == null) return result;
+
+    const conditionalTokens = await getConditionalTokens(signer, address);
+    const transactions = [];
+    for (const { params } of result.merges) {
+      const tx = await conditionalTokens.mergePositions(
+        params.collateralToken,
+        params.parentCollectionId,
+        params.conditionId,
+        params.partition.map(String),
+        params.amount.toString()
+      );
+      await tx.wait();
+      transactions.push(tx);
+    }
+    return Object.assign(result, { transactions });
+  }
+
+  return {
+    findMerges,
+    flattenBalances,
+    mergeBack
+  };
+};
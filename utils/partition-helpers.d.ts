@@ -0,0 +1,17 @@
+// Type declarations for partition-helpers.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+type PartitionErrorCode = "EMPTY_OR_SINGLETON" | "CONDITION_NOT_PREPARED" | "INVALID_INDEX_SET" | "NOT_DISJOINT";
+
+type PartitionValidation =
+    | { valid: true; full: boolean }
+    | { valid: false; code: PartitionErrorCode; reason: string; index?: number };
+
+export const partitionErrors: Record<PartitionErrorCode, string>;
+export function getFullIndexSet(outcomeSlotCount: Numberish): bigint;
+export function validatePartition(partition: Numberish[], outcomeSlotCount: Numberish): PartitionValidation;
+export function isFullPartition(partition: Numberish[], outcomeSlotCount: Numberish): boolean;
+export function complementIndexSet(indexSets: Numberish | Numberish[], outcomeSlotCount: Numberish): bigint;
+export function outcomesToIndexSet(outcomes: Numberish[]): bigint;
+export function indexSetToOutcomes(indexSet: Numberish): number[];
@@ -0,0 +1,96 @@
+// Client side versions of the checks ConditionalTokens performs on partitions
+// in splitPosition and mergePositions, plus conversions between lists of
+// outcome slot indices and index sets. Index sets are returned as BigInts.
+
+const { toBigInt } = require("./bigint");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+// Reasons are the revert strings ConditionalTokens uses for the same checks.
+const partitionErrors = {
+  EMPTY_OR_SINGLETON: "got empty or singleton partition",
+  CONDITION_NOT_PREPARED: "condition not prepared yet",
+  INVALID_INDEX_SET: "got invalid index set",
+  NOT_DISJOINT: "partition not disjoint"
+};
+
+function getFullIndexSet(outcomeSlotCount) {
+  return (ONE << toBigInt(outcomeSlotCount)) - ONE;
+}
+
+function invalid(code, index) {
+  const result = { valid: false, code, reason: partitionErrors[code] };
+  if (index != null) result.index = index;
+  return result;
+}
+
+// Checks the partition in the same order as the contract does, so the first
+// reported problem is the one the transaction would revert with.
+function validatePartition(partition, outcomeSlotCount) {
+  if (partition.length <= 1) return invalid("EMPTY_OR_SINGLETON");
+  outcomeSlotCount = toBigInt(outcomeSlotCount);
+  if (outcomeSlotCount === ZERO) return invalid("CONDITION_NOT_PREPARED");
+
+  const fullIndexSet = getFullIndexSet(outcomeSlotCount);
+  let freeIndexSet = fullIndexSet;
+  for (let i = 0; i < partition.length; i++) {
+    const indexSet = toBigInt(partition[i]);
+    if (indexSet <= ZERO || indexSet >= fullIndexSet)
+      return invalid("INVALID_INDEX_SET", i);
+    if ((indexSet & freeIndexSet) !== indexSet)
+      return invalid("NOT_DISJOINT", i);
+    freeIndexSet ^= indexSet;
+  }
+
+  return { valid: true, full: freeIndexSet === ZERO };
+}
+
+// A full partition covers every outcome slot, so splitting on it takes
+// collateral or the parent position instead of a partial position.
+function isFullPartition(partition, outcomeSlotCount) {
+  const { valid, full } = validatePartition(partition, outcomeSlotCount);
+  return valid && full;
+}
+
+// Accepts a single index set or a list of disjoint index sets.
+function complementIndexSet(indexSets, outcomeSlotCount) {
+  const union = [].concat(indexSets).reduce((acc, indexSet) => {
+    indexSet = toBigInt(indexSet);
+    if ((acc & indexSet) !== ZERO)
+      throw new Error(partitionErrors.NOT_DISJOINT);
+    return acc | indexSet;
+  }, ZERO);
+  const fullIndexSet = getFullIndexSet(outcomeSlotCount);
+  if ((union & fullIndexSet) !== union)
+    throw new Error(partitionErrors.INVALID_INDEX_SET);
+  return fullIndexSet ^ union;
+}
+
+function outcomesToIndexSet(outcomes) {
+  return outcomes.reduce((acc, outcome) => {
+    outcome = toBigInt(outcome);
+    if (outcome < ZERO || outcome >= BigInt(256))
+      throw new Error(`got invalid outcome slot index ${outcome}`);
+    return acc | (ONE << outcome);
+  }, ZERO);
+}
+
+function indexSetToOutcomes(indexSet) {
+  indexSet = toBigInt(indexSet);
+  const outcomes = [];
+  for (let i = 0; indexSet >> BigInt(i) !== ZERO; i++) {
+    if ((indexSet >> BigInt(i)) & ONE) outcomes.push(i);
+  }
+  return outcomes;
+}
+
+module.exports = {
+  partitionErrors,
+  getFullIndexSet,
+  validatePartition,
+  isFullPartition,
+  complementIndexSet,
+  outcomesToIndexSet,
+  indexSetToOutcomes
+};
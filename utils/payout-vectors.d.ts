@@ -0,0 +1,44 @@
+// Type declarations for payout-vectors.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+type PayoutErrorCode =
+    | "TOO_FEW_SLOTS"
+    | "CONDITION_NOT_FOUND"
+    | "ALREADY_RESOLVED"
+    | "INVALID_NUMERATOR"
+    | "OVERFLOW"
+    | "ALL_ZEROES";
+
+type PayoutValidation =
+    | { valid: true; payoutDenominator: bigint }
+    | { valid: false; code: PayoutErrorCode; reason: string; index?: number };
+
+interface NumeratorOptions {
+    /** Scales the numerators to sum up to exactly this instead of reducing them. */
+    payoutDenominator?: Numberish;
+}
+
+/** Numbers or decimal strings, taken exactly */
+type Weight = number | string | bigint;
+
+export const payoutErrors: Record<PayoutErrorCode, string>;
+export function validatePayouts(payouts: Numberish[], outcomeSlotCount?: Numberish): PayoutValidation;
+export function toNumerators(weights: Weight[], options?: NumeratorOptions): bigint[];
+export function categoricalPayouts(winner: number, outcomeSlotCount: Numberish): bigint[];
+export function multiWinnerPayouts(
+    winners: (number | { outcomeIndex: number; weight: Weight })[],
+    outcomeSlotCount: Numberish,
+    options?: NumeratorOptions,
+): bigint[];
+export function scalarPayouts(
+    range: { low: Weight; high: Weight; value: Weight },
+    options?: NumeratorOptions,
+): bigint[];
+export function invalidPayouts(outcomeSlotCount: Numberish): bigint[];
+/** Takes a ConditionalTokens instance of ethers or web3. */
+export function checkPayoutsForCondition(
+    conditionalTokens: unknown,
+    conditionId: string,
+    payouts: Numberish[],
+): Promise<PayoutValidation>;
@@ -0,0 +1,224 @@
+// Builds the payout vectors oracles pass to reportPayouts from what the answer
+// was, plus a client side version of the checks reportPayouts performs, e.g.:
+//     const { categoricalPayouts, scalarPayouts } = require("@gnosis.pm/conditional-tokens-contracts/utils/payout-vectors")
+//     categoricalPayouts(1, 3) // [0n, 1n, 0n]
+//     scalarPayouts({ low: 0, high: 1000, value: 100 }) // [9n, 1n]
+// Numerators are BigInts. Decimal inputs are taken exactly and the vectors
+// reduced to their smallest integers, unless a payout denominator is asked for.
+
+const { toBigInt } = require("./bigint");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TEN = BigInt(10);
+const MAX_UINT256 = (ONE << BigInt(256)) - ONE;
+
+// Reasons are the revert strings reportPayouts uses for the same checks.
+const payoutErrors = {
+  TOO_FEW_SLOTS: "there should be more than one outcome slot",
+  CONDITION_NOT_FOUND: "condition not prepared or found",
+  ALREADY_RESOLVED: "payout denominator already set",
+  INVALID_NUMERATOR: "got invalid payout numerator",
+  OVERFLOW: "SafeMath: addition overflow",
+  ALL_ZEROES: "payout is all zeroes"
+};
+
+function invalid(code, index) {
+  const result = { valid: false, code, reason: payoutErrors[code] };
+  if (index != null) result.index = index;
+  return result;
+}
+
+// A payout vector for a condition with a different outcome slot count
+// belongs to a different condition ID, which is why reportPayouts reports
+// it as not found.
+function validatePayouts(payouts, outcomeSlotCount) {
+  if (payouts.length <= 1) return invalid("TOO_FEW_SLOTS");
+  if (outcomeSlotCount != null && payouts.length !== Number(outcomeSlotCount))
+    return invalid("CONDITION_NOT_FOUND");
+
+  let payoutDenominator = ZERO;
+  for (let i = 0; i < payouts.length; i++) {
+    let numerator;
+    try {
+      numerator = toBigInt(payouts[i]);
+    } catch (e) {
+      return invalid("INVALID_NUMERATOR", i);
+    }
+    if (numerator < ZERO || numerator > MAX_UINT256)
+      return invalid("INVALID_NUMERATOR", i);
+    payoutDenominator += numerator;
+    if (payoutDenominator > MAX_UINT256) return invalid("OVERFLOW", i);
+  }
+  if (payoutDenominator === ZERO) return invalid("ALL_ZEROES");
+
+  return { valid: true, payoutDenominator };
+}
+
+function checkOutcomeSlotCount(outcomeSlotCount) {
+  outcomeSlotCount = Number(outcomeSlotCount);
+  if (!Number.isInteger(outcomeSlotCount) || outcomeSlotCount <= 1)
+    throw new Error(payoutErrors.TOO_FEW_SLOTS);
+  if (outcomeSlotCount > 256) throw new Error("too many outcome slots");
+  return outcomeSlotCount;
+}
+
+function checkOutcomeIndex(outcomeIndex, outcomeSlotCount) {
+  if (
+    !Number.isInteger(outcomeIndex) ||
+    outcomeIndex < 0 ||
+    outcomeIndex >= outcomeSlotCount
+  )
+    throw new Error(`got invalid outcome slot index ${outcomeIndex}`);
+}
+
+// Reads a number, a decimal string like "12.5" or "1e-3", or an integer
+// type as an exact fraction { num, den } with den a power of ten.
+function toDecimal(value) {
+  if (typeof value !== "number" && typeof value !== "string")
+    return { num: toBigInt(value), den: ONE };
+  if (typeof value === "number" && !Number.isFinite(value))
+    throw new Error(`got invalid number ${value}`);
+  const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(
+    String(value)
+  );
+  if (match == null || `${match[2]}${match[3] || ""}` === "")
+    throw new Error(`got invalid number ${value}`);
+  const [, sign, whole, fraction = "", exponent = "0"] = match;
+  let num = BigInt(`${whole}${fraction}` || "0");
+  const shift = Number(exponent) - fraction.length;
+  let den = ONE;
+  if (shift >= 0) num *= TEN ** BigInt(shift);
+  else den = TEN ** BigInt(-shift);
+  return { num: sign === "-" ? -num : num, den };
+}
+
+function gcd(a, b) {
+  while (b !== ZERO) [a, b] = [b, a % b];
+  return a;
+}
+
+// Turns non-negative exact weights into payout numerators. Without a
+// denominator they are brought to a common denominator and reduced. With
+// one, they are scaled to sum up to it exactly, rounding down and handing
+// what is left to the largest remainders, earliest slots first on ties.
+function toNumerators(weights, { payoutDenominator } = {}) {
+  const decimals = weights.map(toDecimal);
+  decimals.forEach(({ num }, i) => {
+    if (num < ZERO) throw new Error(`got negative weight at index ${i}`);
+  });
+  const den = decimals.reduce((acc, d) => (d.den > acc ? d.den : acc), ONE);
+  const scaled = decimals.map(d => d.num * (den / d.den));
+  const total = scaled.reduce((a, b) => a + b, ZERO);
+  if (total === ZERO) throw new Error(payoutErrors.ALL_ZEROES);
+
+  let numerators;
+  if (payoutDenominator == null) {
+    const divisor = scaled.reduce(gcd, ZERO);
+    numerators = scaled.map(n => n / divisor);
+  } else {
+    payoutDenominator = toBigInt(payoutDenominator);
+    if (payoutDenominator <= ZERO)
+      throw new Error(`got invalid payout denominator ${payoutDenominator}`);
+    numerators = scaled.map(n => (n * payoutDenominator) / total);
+    const remainders = scaled.map((n, i) => ({
+      i,
+      remainder: (n * payoutDenominator) % total
+    }));
+    remainders.sort((a, b) =>
+      a.remainder === b.remainder
+        ? a.i - b.i
+        : a.remainder > b.remainder
+        ? -1
+        : 1
+    );
+    let left = payoutDenominator - numerators.reduce((a, b) => a + b, ZERO);
+    for (let k = 0; left > ZERO; k++, left--) numerators[remainders[k].i]++;
+    if (numerators.every(n => n === ZERO))
+      throw new Error(payoutErrors.ALL_ZEROES);
+  }
+
+  const validation = validatePayouts(numerators);
+  if (!validation.valid) throw new Error(validation.reason);
+  return numerators;
+}
+
+// The whole payout goes to the winning slot.
+function categoricalPayouts(winner, outcomeSlotCount) {
+  outcomeSlotCount = checkOutcomeSlotCount(outcomeSlotCount);
+  checkOutcomeIndex(winner, outcomeSlotCount);
+  return Array.from({ length: outcomeSlotCount }, (_, i) =>
+    i === winner ? ONE : ZERO
+  );
+}
+
+// Splits the payout between several winning slots, equally if they are
+// given as indices, or by weight if given as { outcomeIndex, weight }.
+function multiWinnerPayouts(winners, outcomeSlotCount, options) {
+  outcomeSlotCount = checkOutcomeSlotCount(outcomeSlotCount);
+  if (winners.length === 0) throw new Error("got no winners");
+  const weights = Array.from({ length: outcomeSlotCount }, () => ZERO);
+  const seen = new Set();
+  for (const winner of winners) {
+    const { outcomeIndex, weight } =
+      typeof winner === "number" ? { outcomeIndex: winner, weight: 1 } : winner;
+    checkOutcomeIndex(outcomeIndex, outcomeSlotCount);
+    if (seen.has(outcomeIndex))
+      throw new Error(`got outcome slot index ${outcomeIndex} twice`);
+    seen.add(outcomeIndex);
+    weights[outcomeIndex] = weight;
+  }
+  return toNumerators(weights, options);
+}
+
+// Maps a value onto the two slots of a scalar condition, the first standing
+// for the low end of the range and the second for the high end, as in the
+// developer guide. Values outside the range are clamped to its ends.
+function scalarPayouts({ low, high, value }, options) {
+  const [l, h, v] = [low, high, value].map(toDecimal);
+  const den = [l, h, v].reduce((acc, d) => (d.den > acc ? d.den : acc), ONE);
+  const [lo, hi, x] = [l, h, v].map(d => d.num * (den / d.den));
+  if (lo >= hi) throw new Error("the low end should be below the high end");
+  const clamped = x < lo ? lo : x > hi ? hi : x;
+  return toNumerators([hi - clamped, clamped - lo], options);
+}
+
+// Equal payouts, which give back every position what it was split from.
+function invalidPayouts(outcomeSlotCount) {
+  outcomeSlotCount = checkOutcomeSlotCount(outcomeSlotCount);
+  return Array.from({ length: outcomeSlotCount }, () => ONE);
+}
+
+// Checks payouts against a prepared condition the way reportPayouts would,
+// reading the outcome slot count and whether it was resolved already from
+// a ConditionalTokens contract instance of web3 or ethers.
+async function checkPayoutsForCondition(
+  conditionalTokens,
+  conditionId,
+  payouts
+) {
+  const call = (method, ...args) => {
+    const fn = conditionalTokens.methods
+      ? conditionalTokens.methods[method](...args).call()
+      : conditionalTokens[method](...args);
+    return Promise.resolve(fn).then(toBigInt);
+  };
+  const outcomeSlotCount = await call("getOutcomeSlotCount", conditionId);
+  if (outcomeSlotCount === ZERO) return invalid("CONDITION_NOT_FOUND");
+  const validation = validatePayouts(payouts, outcomeSlotCount);
+  if (!validation.valid) return validation;
+  if ((await call("payoutDenominator", conditionId)) !== ZERO)
+    return invalid("ALREADY_RESOLVED");
+  return validation;
+}
+
+module.exports = {
+  payoutErrors,
+  validatePayouts,
+  toNumerators,
+  categoricalPayouts,
+  multiWinnerPayouts,
+  scalarPayouts,
+  invalidPayouts,
+  checkPayoutsForCondition
+};
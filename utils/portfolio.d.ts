@@ -0,0 +1,82 @@
+// Type declarations for portfolio.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+/** An empty list stands for the collateral itself. */
+type PositionIndexSets = { conditionId: string; indexSet: Numberish }[];
+
+interface PortfolioCondition {
+    conditionId: string;
+    outcomeSlotCount: Numberish;
+    /** Set for resolved conditions; the denominator defaults to their sum. */
+    payoutNumerators?: Numberish[] | null;
+    payoutDenominator?: Numberish | null;
+}
+
+/** Collateral paid for each position, keyed by position ID */
+type CostBasis = { [positionId: string]: Numberish } | Map<Numberish, Numberish>;
+
+interface PositionValue {
+    indexSets: { conditionId: string; indexSet: bigint }[];
+    /** Decimal string, or null for the collateral */
+    positionId: string | null;
+    balance: bigint;
+    value: bigint;
+    cost: bigint;
+    unrealizedPnl: bigint;
+}
+
+interface Redemption {
+    parentCollectionId: string;
+    conditionId: string;
+    indexSets: bigint[];
+    payout: bigint;
+    cost: bigint;
+    /** The parent position credited, or null for collateral */
+    payoutPositionId: string | null;
+    /** Null for redemptions into a parent position */
+    realizedPnl: bigint | null;
+}
+
+/** PayoutRedemption events as parsed by ethers */
+interface RedemptionEvent {
+    args: {
+        collateralToken: string;
+        parentCollectionId: string;
+        conditionId: string;
+        indexSets: Numberish[];
+        payout: Numberish;
+    };
+}
+
+interface PayoutScenario {
+    payout: bigint;
+    /** The winning slot of each unresolved condition held */
+    outcomes: { conditionId: string; outcomeIndex: number }[];
+}
+
+interface Portfolio {
+    PRICE_SCALE: bigint;
+    valuePortfolio(options: {
+        collateralToken: string;
+        conditions: PortfolioCondition[];
+        positions: { indexSets: PositionIndexSets; balance: Numberish }[];
+        /** Outcome prices of unresolved conditions as decimals, conditional on the parent for nested ones */
+        prices?: { [conditionId: string]: (number | string)[] };
+        costBasis?: CostBasis;
+    }): { positions: PositionValue[]; value: bigint; cost: bigint; unrealizedPnl: bigint };
+    getRealizedPnl(options: { collateralToken: string; events: RedemptionEvent[]; costBasis?: CostBasis }): {
+        realizedPnl: bigint;
+        redemptions: Redemption[];
+        costBasis: { [positionId: string]: bigint };
+    };
+    getPayoutRange(options: {
+        conditions: PortfolioCondition[];
+        positions: { indexSets: PositionIndexSets; balance: Numberish }[];
+        maxScenarios?: number;
+    }): { worstCase: PayoutScenario; bestCase: PayoutScenario };
+}
+
+declare function portfolio(ethers?: unknown): Portfolio;
+
+export = portfolio;
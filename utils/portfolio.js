@@ -0,0 +1,325 @@
+// Values an account's positions in collateral, either at market prices or at
+// the payouts of resolved conditions, and works out its PnL, e.g.:
+//     const { valuePortfolio, getRealizedPnl } = require("@gnosis.pm/conditional-tokens-contracts/utils/portfolio")(ethers)
+//     const { realizedPnl, costBasis } = getRealizedPnl({ collateralToken, events, costBasis })
+//     const { value, unrealizedPnl } = valuePortfolio({ collateralToken, conditions, positions, prices, costBasis })
+// Positions are { indexSets, balance } like in the route planner, the empty
+// list of index sets being the collateral itself.
+
+const { toBigInt } = require("./bigint");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+// Prices are fixed point numbers with 18 decimals internally
+const PRICE_SCALE = BigInt(10) ** BigInt(18);
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const {
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(ethers);
+
+  // Prices are decimals like 0.25 or "0.25".
+  function toPrice(price) {
+    const text = String(price);
+    return toBigInt(
+      ethers.utils
+        .parseUnits(/e/i.test(text) ? Number(price).toFixed(18) : text, 18)
+        .toString()
+    );
+  }
+
+  // What one token of an index set is worth as a fraction num / den:
+  // its share of the payout for resolved conditions, which have a payout
+  // denominator or numerators, and the sum of its outcome prices otherwise.
+  function readConditions(conditions, prices = {}) {
+    const priceLists = new Map(
+      Object.keys(prices).map(conditionId => [
+        conditionId.toLowerCase(),
+        prices[conditionId]
+      ])
+    );
+    return new Map(
+      conditions.map(condition => {
+        const conditionId = condition.conditionId.toLowerCase();
+        const outcomeSlotCount = Number(condition.outcomeSlotCount);
+        const payoutNumerators = (condition.payoutNumerators || []).map(
+          toBigInt
+        );
+        const payoutDenominator =
+          condition.payoutDenominator != null
+            ? toBigInt(condition.payoutDenominator)
+            : payoutNumerators.reduce((a, b) => a + b, ZERO);
+        const resolved = payoutDenominator > ZERO;
+        if (resolved && payoutNumerators.length !== outcomeSlotCount)
+          throw new Error(
+            `got ${payoutNumerators.length} payout numerators for condition ${condition.conditionId} with ${outcomeSlotCount} outcome slots`
+          );
+        let outcomePrices = null;
+        if (priceLists.has(conditionId)) {
+          outcomePrices = priceLists.get(conditionId).map(toPrice);
+          if (outcomePrices.length !== outcomeSlotCount)
+            throw new Error(
+              `got ${outcomePrices.length} prices for condition ${condition.conditionId} with ${outcomeSlotCount} outcome slots`
+            );
+        }
+        return [
+          conditionId,
+          {
+            conditionId: condition.conditionId,
+            outcomeSlotCount,
+            resolved,
+            payoutNumerators,
+            payoutDenominator,
+            outcomePrices
+          }
+        ];
+      })
+    );
+  }
+
+  function getCondition(conditionsById, conditionId) {
+    const condition = conditionsById.get(conditionId.toLowerCase());
+    if (condition == null)
+      throw new Error(`condition ${conditionId} not given`);
+    return condition;
+  }
+
+  function sumOver(indexSet, values) {
+    return values.reduce(
+      (acc, value, i) => ((indexSet >> BigInt(i)) & ONE ? acc + value : acc),
+      ZERO
+    );
+  }
+
+  function positionIdOf(collateralToken, indexSets) {
+    return toBigInt(
+      getPositionId(
+        collateralToken,
+        combineCollectionIds(
+          indexSets.map(({ conditionId, indexSet }) =>
+            getCollectionId(conditionId, indexSet)
+          )
+        )
+      )
+    ).toString();
+  }
+
+  function readCostBasis(costBasis) {
+    const costs = new Map();
+    if (costBasis == null) return costs;
+    const entries =
+      costBasis instanceof Map
+        ? Array.from(costBasis)
+        : Object.keys(costBasis).map(id => [id, costBasis[id]]);
+    for (const [positionId, cost] of entries)
+      costs.set(toBigInt(positionId).toString(), toBigInt(cost));
+    return costs;
+  }
+
+  function fromCostBasis(costs) {
+    const costBasis = {};
+    for (const [positionId, cost] of costs) costBasis[positionId] = cost;
+    return costBasis;
+  }
+
+  // Values each position at its balance times the value of each of its
+  // index sets, rounded down once. A position nested under other conditions
+  // is worth the product over all of them, so prices of a child condition
+  // are to be given conditional on its parent, as a market on the child
+  // condition under that parent would trade. Positions without a cost basis
+  // count as having cost nothing.
+  function valuePortfolio({
+    collateralToken,
+    conditions,
+    positions,
+    prices,
+    costBasis
+  }) {
+    const conditionsById = readConditions(conditions, prices);
+    const costs = readCostBasis(costBasis);
+
+    const valued = positions.map(position => {
+      const balance = toBigInt(position.balance);
+      const indexSets = position.indexSets.map(({ conditionId, indexSet }) => ({
+        conditionId,
+        indexSet: toBigInt(indexSet)
+      }));
+      let num = balance;
+      let den = ONE;
+      for (const { conditionId, indexSet } of indexSets) {
+        const condition = getCondition(conditionsById, conditionId);
+        if (condition.resolved) {
+          num *= sumOver(indexSet, condition.payoutNumerators);
+          den *= condition.payoutDenominator;
+        } else if (condition.outcomePrices != null) {
+          num *= sumOver(indexSet, condition.outcomePrices);
+          den *= PRICE_SCALE;
+        } else
+          throw new Error(
+            `no prices for unresolved condition ${condition.conditionId}`
+          );
+      }
+      const positionId =
+        indexSets.length === 0
+          ? null
+          : positionIdOf(collateralToken, indexSets);
+      const value = num / den;
+      const cost = positionId == null ? balance : costs.get(positionId) || ZERO;
+      return {
+        indexSets,
+        positionId,
+        balance,
+        value,
+        cost,
+        unrealizedPnl: value - cost
+      };
+    });
+
+    const total = key => valued.reduce((acc, p) => acc + p[key], ZERO);
+    return {
+      positions: valued,
+      value: total("value"),
+      cost: total("cost"),
+      unrealizedPnl: total("unrealizedPnl")
+    };
+  }
+
+  // Goes through PayoutRedemption events of an account, as parsed by ethers,
+  // in the order given. Redeeming burns the whole balance of each index set,
+  // so their whole cost basis is used up. Payouts in collateral realize the
+  // difference; payouts into a parent position carry the cost over to the
+  // parent instead, to be realized once that is redeemed. The cost basis
+  // left can be passed on to valuePortfolio.
+  function getRealizedPnl({ collateralToken, events, costBasis }) {
+    const costs = readCostBasis(costBasis);
+    const redemptions = [];
+    let realizedPnl = ZERO;
+
+    for (const { args } of events) {
+      if (args.collateralToken.toLowerCase() !== collateralToken.toLowerCase())
+        continue;
+      const { parentCollectionId, conditionId } = args;
+      const payout = toBigInt(args.payout);
+      const indexSets = args.indexSets.map(toBigInt);
+
+      let cost = ZERO;
+      for (const indexSet of new Set(indexSets)) {
+        const positionId = toBigInt(
+          getPositionId(
+            collateralToken,
+            combineCollectionIds([
+              parentCollectionId,
+              getCollectionId(conditionId, indexSet)
+            ])
+          )
+        ).toString();
+        cost += costs.get(positionId) || ZERO;
+        costs.delete(positionId);
+      }
+
+      const isNested = toBigInt(parentCollectionId) !== ZERO;
+      const payoutPositionId = isNested
+        ? toBigInt(
+            getPositionId(collateralToken, parentCollectionId)
+          ).toString()
+        : null;
+      if (isNested)
+        costs.set(
+          payoutPositionId,
+          (costs.get(payoutPositionId) || ZERO) + cost
+        );
+      else realizedPnl += payout - cost;
+
+      redemptions.push({
+        parentCollectionId,
+        conditionId,
+        indexSets,
+        payout,
+        cost,
+        payoutPositionId,
+        realizedPnl: isNested ? null : payout - cost
+      });
+    }
+
+    return { realizedPnl, redemptions, costBasis: fromCostBasis(costs) };
+  }
+
+  // Finds the least and the most the positions can pay out in total. What
+  // positions pay is linear in the payout vector of each condition, so the
+  // extremes are found among the outcomes where a single slot of every
+  // unresolved condition pays everything, which are all tried. Resolved
+  // conditions pay what they were resolved to.
+  function getPayoutRange({ conditions, positions, maxScenarios = 65536 }) {
+    const conditionsById = readConditions(conditions);
+    const held = positions.map(position => ({
+      balance: toBigInt(position.balance),
+      indexSets: position.indexSets.map(({ conditionId, indexSet }) => ({
+        condition: getCondition(conditionsById, conditionId),
+        indexSet: toBigInt(indexSet)
+      }))
+    }));
+
+    const open = [];
+    for (const { indexSets } of held)
+      for (const { condition } of indexSets)
+        if (!condition.resolved && !open.includes(condition))
+          open.push(condition);
+    const scenarioCount = open.reduce(
+      (acc, { outcomeSlotCount }) => acc * outcomeSlotCount,
+      1
+    );
+    if (scenarioCount > maxScenarios)
+      throw new Error(
+        `${scenarioCount} combinations of outcomes is more than the maximum of ${maxScenarios}`
+      );
+
+    let worstCase = null;
+    let bestCase = null;
+    for (let scenario = 0; scenario < scenarioCount; scenario++) {
+      const outcomes = new Map();
+      let rest = scenario;
+      for (const condition of open) {
+        outcomes.set(condition, rest % condition.outcomeSlotCount);
+        rest = Math.floor(rest / condition.outcomeSlotCount);
+      }
+
+      let payout = ZERO;
+      for (const { balance, indexSets } of held) {
+        let num = balance;
+        let den = ONE;
+        for (const { condition, indexSet } of indexSets)
+          if (condition.resolved) {
+            num *= sumOver(indexSet, condition.payoutNumerators);
+            den *= condition.payoutDenominator;
+          } else if (
+            ((indexSet >> BigInt(outcomes.get(condition))) & ONE) ===
+            ZERO
+          )
+            num = ZERO;
+        payout += num / den;
+      }
+
+      const result = {
+        payout,
+        outcomes: Array.from(outcomes, ([{ conditionId }, outcomeIndex]) => ({
+          conditionId,
+          outcomeIndex
+        }))
+      };
+      if (worstCase == null || payout < worstCase.payout) worstCase = result;
+      if (bestCase == null || payout > bestCase.payout) bestCase = result;
+    }
+
+    return { worstCase, bestCase };
+  }
+
+  return {
+    PRICE_SCALE,
+    valuePortfolio,
+    getRealizedPnl,
+    getPayoutRange
+  };
+};
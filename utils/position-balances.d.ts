@@ -0,0 +1,64 @@
+// Type declarations for position-balances.js
+
+import { Contract } from "ethers";
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface BalanceProvider {
+    call(transaction: unknown, blockTag?: unknown): Promise<string>;
+    getCode(address: string, blockTag?: unknown): Promise<string>;
+    getNetwork(): Promise<{ chainId: number }>;
+}
+
+interface PositionBalance {
+    indexSet: bigint;
+    collectionId: string;
+    /** Decimal string */
+    positionId: string;
+    balance: bigint;
+    children: ConditionBalances;
+}
+
+/** Keyed by condition ID, then by the outcomes of the index set joined with "|", e.g. "0|2". */
+type ConditionBalances = { [conditionId: string]: { [outcomes: string]: PositionBalance } };
+
+interface PositionBalancesOptions {
+    /** ConditionalTokens address. Defaults to the deployment on the provider's chain. */
+    address?: string;
+    owners: string[];
+    collateral: string;
+    conditions: (string | { conditionId: string; outcomeSlotCount?: Numberish })[];
+    /** How many conditions a position may combine. Defaults to 1. */
+    depth?: number;
+    partitions?: (Numberish[] | null | undefined)[];
+    blockTag?: string | number;
+    maxCallGas?: number;
+    maxCalldataSize?: number;
+    /** Multicall contract used when the node refuses balanceOfBatch calls for their size, or null for none. */
+    multicall?: string | null;
+    multicallBatchSize?: number;
+}
+
+interface ResolvedCondition {
+    conditionId: string;
+    outcomeSlotCount: number;
+}
+
+interface PositionBalances {
+    MULTICALL_ADDRESS: string;
+    /** Defaults to the deployment on the chain of the signer or provider. */
+    getConditionalTokens(signerOrProvider: unknown, address?: string): Promise<Contract>;
+    readConditions(
+        provider: BalanceProvider,
+        options: { address?: string; conditions: PositionBalancesOptions["conditions"]; blockTag?: string | number },
+    ): Promise<ResolvedCondition[]>;
+    /** Keyed by checksummed owner address. */
+    getPositionBalances(
+        provider: BalanceProvider,
+        options: PositionBalancesOptions,
+    ): Promise<{ [owner: string]: ConditionBalances }>;
+}
+
+declare function positionBalances(ethers?: unknown): PositionBalances;
+
+export = positionBalances;
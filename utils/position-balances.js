@@ -0,0 +1,235 @@
+// Reads the balances of every position on a set of conditions with as few
+// calls as possible. Position IDs are derived locally and read through
+// balanceOfBatch in chunks which stay within the node's limits, e.g.:
+//     const { getPositionBalances } = require("@gnosis.pm/conditional-tokens-contracts/utils/position-balances")(ethers)
+//     const balances = await getPositionBalances(provider, { owners, collateral, conditions: [conditionId] })
+//     balances[owner][conditionId]["0|2"].balance
+// Chunks the node refuses for their size are read again through a Multicall
+// contract.
+
+const { toBigInt } = require("./bigint");
+const { indexSetToOutcomes } = require("./partition-helpers");
+
+// Multicall3, which is deployed at this address on most chains
+const MULTICALL_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// What reading one balance through balanceOfBatch costs at most: a cold
+// storage read plus hashing the key, and two words of calldata.
+const GAS_PER_ID = 3000;
+const CALLDATA_PER_ID = 64;
+
+const conditionalTokensAbi = [
+  "function balanceOf(address owner, uint id) view returns (uint)",
+  "function balanceOfBatch(address[] owners, uint[] ids) view returns (uint[])",
+  "function getOutcomeSlotCount(bytes32 conditionId) view returns (uint)",
+  "function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint[] partition, uint amount)"
+];
+const multicallAbi = [
+  "function aggregate(tuple(address target, bytes callData)[] calls) returns (uint blockNumber, bytes[] returnData)"
+];
+
+// Nodes refuse calls over their request size or gas cap with errors like
+// these, which smaller calls through a Multicall contract get around.
+const CALL_TOO_LARGE = /too large|gas required exceeds allowance|out of gas|exceeds block gas limit/i;
+
+// Looks through the errors ethers wraps around what the node said. Anything
+// else, such as a revert or a timeout, is passed on and not retried.
+function isCallTooLarge(error) {
+  const seen = new Set();
+  for (let e = error; e != null && !seen.has(e); e = e.error || e.serverError) {
+    seen.add(e);
+    if (e.status === 413) return true;
+    if (CALL_TOO_LARGE.test(`${e.message || ""} ${e.body || ""}`)) return true;
+  }
+  return false;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size)
+    chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { getAddress } = ethers.utils;
+  const { enumeratePositions, flattenPositions } = require("./position-tree")(
+    ethers
+  );
+
+  // Connects to the deployment on the chain of the provider or signer if no
+  // address is given.
+  async function getConditionalTokens(signerOrProvider, address) {
+    if (address == null) {
+      const { getDeployment } = require("./deployments");
+      const provider = signerOrProvider.provider || signerOrProvider;
+      ({ address } = getDeployment((await provider.getNetwork()).chainId));
+    }
+    return new ethers.Contract(address, conditionalTokensAbi, signerOrProvider);
+  }
+
+  async function resolveConditions(conditionalTokens, conditions, overrides) {
+    const resolved = [];
+    for (const condition of conditions) {
+      let { conditionId, outcomeSlotCount } =
+        typeof condition === "string" ? { conditionId: condition } : condition;
+      if (outcomeSlotCount == null) {
+        outcomeSlotCount = Number(
+          await conditionalTokens.getOutcomeSlotCount(conditionId, overrides)
+        );
+        if (outcomeSlotCount === 0)
+          throw new Error(`condition ${conditionId} not prepared yet`);
+      }
+      resolved.push({ conditionId, outcomeSlotCount });
+    }
+    return resolved;
+  }
+
+  // Conditions can be given by ID, or with their outcome slot count to save
+  // reading it.
+  async function readConditions(provider, { address, conditions, blockTag }) {
+    return resolveConditions(
+      await getConditionalTokens(provider, address),
+      conditions,
+      blockTag != null ? { blockTag } : {}
+    );
+  }
+
+  async function readThroughMulticall(
+    provider,
+    conditionalTokens,
+    { multicall, multicallBatchSize, overrides },
+    queries,
+    cause
+  ) {
+    if (multicall == null) throw cause;
+    if ((await provider.getCode(multicall, overrides.blockTag)) === "0x")
+      throw new Error(
+        `no multicall contract at ${multicall} to fall back to after: ${cause.message}`
+      );
+
+    const { interface: iface } = conditionalTokens;
+    const aggregator = new ethers.Contract(multicall, multicallAbi, provider);
+    const balances = [];
+    for (const batch of chunk(queries, multicallBatchSize)) {
+      const { returnData } = await aggregator.callStatic.aggregate(
+        batch.map(({ owner, positionId }) => ({
+          target: conditionalTokens.address,
+          callData: iface.encodeFunctionData("balanceOf", [owner, positionId])
+        })),
+        overrides
+      );
+      for (const data of returnData)
+        balances.push(iface.decodeFunctionResult("balanceOf", data)[0]);
+    }
+    return balances;
+  }
+
+  // Nests positions under the condition they were split on last, keyed by
+  // the outcomes of their index set, e.g. "0|2".
+  function nest(positions, balanceOf) {
+    const result = {};
+    for (const position of positions) {
+      const { conditionId, indexSet, collectionId } = position;
+      const positionId = toBigInt(position.positionId).toString();
+      if (result[conditionId] == null) result[conditionId] = {};
+      result[conditionId][indexSetToOutcomes(indexSet).join("|")] = {
+        indexSet,
+        collectionId,
+        positionId,
+        balance: balanceOf(positionId),
+        children: nest(position.children, balanceOf)
+      };
+    }
+    return result;
+  }
+
+  // Resolves to balances keyed by owner, then by condition and outcomes,
+  // with positions combining several conditions under children. Conditions
+  // can be given as IDs, in which case their outcome slot counts are read
+  // from the contract. By default only positions on a single condition are
+  // read; depth allows combining up to that many conditions.
+  async function getPositionBalances(
+    provider,
+    {
+      address,
+      owners,
+      collateral,
+      conditions,
+      depth = 1,
+      partitions,
+      blockTag,
+      maxCallGas = 25000000,
+      maxCalldataSize = 128 * 1024,
+      multicall = MULTICALL_ADDRESS,
+      multicallBatchSize = 100
+    }
+  ) {
+    const overrides = blockTag != null ? { blockTag } : {};
+    const conditionalTokens = await getConditionalTokens(provider, address);
+
+    const positions = enumeratePositions({
+      collateralToken: collateral,
+      conditions: await resolveConditions(
+        conditionalTokens,
+        conditions,
+        overrides
+      ),
+      partitions,
+      depth
+    });
+    const positionIds = flattenPositions(positions).map(({ positionId }) =>
+      toBigInt(positionId).toString()
+    );
+    owners = owners.map(owner => getAddress(owner));
+    const queries = [];
+    for (const owner of owners)
+      for (const positionId of positionIds) queries.push({ owner, positionId });
+
+    const chunkSize = Math.max(
+      1,
+      Math.min(
+        Math.floor(maxCallGas / GAS_PER_ID),
+        Math.floor(maxCalldataSize / CALLDATA_PER_ID)
+      )
+    );
+    const balances = new Map();
+    for (const batch of chunk(queries, chunkSize)) {
+      let results;
+      try {
+        results = await conditionalTokens.balanceOfBatch(
+          batch.map(({ owner }) => owner),
+          batch.map(({ positionId }) => positionId),
+          overrides
+        );
+      } catch (e) {
+        if (!isCallTooLarge(e)) throw e;
+        results = await readThroughMulticall(
+          provider,
+          conditionalTokens,
+          { multicall, multicallBatchSize, overrides },
+          batch,
+          e
+        );
+      }
+      batch.forEach(({ owner, positionId }, i) =>
+        balances.set(`${owner}:${positionId}`, toBigInt(results[i]))
+      );
+    }
+
+    const result = {};
+    for (const owner of owners)
+      result[owner] = nest(positions, positionId =>
+        balances.get(`${owner}:${positionId}`)
+      );
+    return result;
+  }
+
+  return {
+    MULTICALL_ADDRESS,
+    getConditionalTokens,
+    readConditions,
+    getPositionBalances
+  };
+};
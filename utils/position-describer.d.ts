@@ -0,0 +1,70 @@
+// Type declarations for position-describer.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface SplitIndexSet {
+    collateralToken: string;
+    parentCollectionId: string;
+    conditionId: string;
+    indexSet: bigint;
+}
+
+/** The parts of the indexer's ConditionalTokensStore which are used. */
+interface SplitStore {
+    /** Index sets in the order they were first seen, from the start-th on. */
+    getSplitIndexSets(start?: number): SplitIndexSet[];
+    getCondition(conditionId: string): { questionId: string; outcomeSlotCount: number } | null;
+}
+
+interface ConditionDescription {
+    conditionId: string;
+    /** Null for conditions the store doesn't know. */
+    questionId: string | null;
+    outcomeSlotCount: number | null;
+    indexSet: bigint;
+    outcomeIndices: number[];
+    /** Question text, if the registry knows the question. */
+    question: string | null;
+    /** Outcome names, or indices as strings if the registry doesn't know the question. */
+    outcomes: string[];
+}
+
+interface PositionDescription {
+    /** Decimal string */
+    positionId: string;
+    collateralToken: string;
+    collateralSymbol: string;
+    collectionId: string;
+    /** The conditions below unknownCollectionId, if there is one. */
+    conditions: ConditionDescription[];
+    /** A parent collection the store has seen no split into, or null if all are known. */
+    unknownCollectionId: string | null;
+    /** e.g. "USDC: (A|B) on Q1 ∧ (Yes) on Q2" */
+    label: string;
+}
+
+interface PositionChain {
+    collateralToken: string;
+    collectionId: string;
+    /** From the outermost parent down to the position's own collection */
+    collections: { parentCollectionId: string; conditionId: string; indexSet: bigint }[];
+    unknownCollectionId: string | null;
+}
+
+declare class PositionDescriber {
+    constructor(options: {
+        store: SplitStore;
+        registry?: InstanceType<ReturnType<typeof import("./question-registry")>["QuestionRegistry"]>;
+        provider?: unknown;
+        tokenSymbols?: { [address: string]: string };
+    });
+    refresh(): void;
+    getTokenSymbol(collateralToken: string): Promise<string>;
+    describeCondition(conditionId: string, indexSet: bigint): ConditionDescription;
+    getChain(positionId: string): PositionChain | null;
+    describePosition(positionId: Numberish): Promise<PositionDescription | null>;
+}
+
+declare function positionDescriber(ethers?: unknown): { PositionDescriber: typeof PositionDescriber };
+
+export = positionDescriber;
@@ -0,0 +1,190 @@
+// Explains what an ERC-1155 token ID of ConditionalTokens stands for: the
+// collateral token, and the conditions and outcomes of its collection. It
+// works off the splits and conditions an indexer has seen, e.g.:
+//     const { PositionDescriber } = require("@gnosis.pm/conditional-tokens-contracts/utils/position-describer")(ethers)
+//     const describer = new PositionDescriber({ store: indexer.store, registry, tokenSymbols: { [usdc]: "USDC" } })
+//     const { label } = await describer.describePosition(positionId) // "USDC: (A|B) on Q1 ∧ (Yes) on Q2"
+
+const { toBigInt } = require("./bigint");
+const { indexSetToOutcomes } = require("./partition-helpers");
+
+const ZERO = BigInt(0);
+
+const erc20Abi = ["function symbol() view returns (string)"];
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const {
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(ethers);
+
+  class PositionDescriber {
+    // The registry supplies question texts and outcome names, and the
+    // provider token symbols which aren't given. Both are optional.
+    constructor({ store, registry, provider, tokenSymbols = {} }) {
+      this.store = store;
+      this.registry = registry;
+      this.provider = provider;
+      this.tokenSymbols = new Map(
+        Object.keys(tokenSymbols).map(address => [
+          address.toLowerCase(),
+          Promise.resolve(tokenSymbols[address])
+        ])
+      );
+      this.collections = new Map();
+      this.positions = new Map();
+      this.chains = new Map();
+      // Positions without a complete chain, until the store sees new splits
+      this.pending = new Map();
+      this.splitIndexSetCount = 0;
+    }
+
+    // Computes the IDs of index sets the store has seen since the last
+    // refresh. Collections combine commutatively, so a collection reached
+    // through several orders of splits keeps the first one seen.
+    refresh() {
+      const added = this.store.getSplitIndexSets(this.splitIndexSetCount);
+      this.splitIndexSetCount += added.length;
+      for (const {
+        collateralToken,
+        parentCollectionId,
+        conditionId,
+        indexSet
+      } of added) {
+        const collectionId = combineCollectionIds([
+          parentCollectionId,
+          getCollectionId(conditionId, indexSet)
+        ]).toLowerCase();
+        if (!this.collections.has(collectionId))
+          this.collections.set(collectionId, {
+            parentCollectionId,
+            conditionId,
+            indexSet
+          });
+        const positionId = toBigInt(
+          getPositionId(collateralToken, collectionId)
+        ).toString();
+        if (!this.positions.has(positionId))
+          this.positions.set(positionId, { collateralToken, collectionId });
+      }
+      if (added.length > 0) this.pending.clear();
+    }
+
+    // Falls back to the token address if its symbol can't be read.
+    getTokenSymbol(collateralToken) {
+      const address = collateralToken.toLowerCase();
+      if (!this.tokenSymbols.has(address)) {
+        const symbol =
+          this.provider == null
+            ? Promise.resolve(ethers.utils.getAddress(address))
+            : new ethers.Contract(address, erc20Abi, this.provider)
+                .symbol()
+                .catch(() => ethers.utils.getAddress(address));
+        this.tokenSymbols.set(address, symbol);
+      }
+      return this.tokenSymbols.get(address);
+    }
+
+    // Conditions prepared before the indexer started are only known by ID.
+    describeCondition(conditionId, indexSet) {
+      const { questionId = null, outcomeSlotCount = null } =
+        this.store.getCondition(conditionId) || {};
+      const question =
+        this.registry == null
+          ? null
+          : this.registry.findByCondition(conditionId) ||
+            (questionId != null ? this.registry.find(questionId) : null);
+      const outcomeIndices = indexSetToOutcomes(indexSet);
+      return {
+        conditionId,
+        questionId,
+        outcomeSlotCount,
+        indexSet,
+        outcomeIndices,
+        question: question != null ? question.text : null,
+        outcomes: outcomeIndices.map(i =>
+          question != null ? question.outcomes[i] : String(i)
+        )
+      };
+    }
+
+    // Follows the collection of a position up to the collateral. The chain
+    // stops at a parent collection the store has seen no split into, e.g.
+    // one split before the indexer's fromBlock, which is then returned as
+    // unknownCollectionId.
+    getChain(positionId) {
+      const position = this.positions.get(positionId);
+      if (position == null) return null;
+      const { collateralToken, collectionId } = position;
+      const collections = [];
+      let unknownCollectionId = null;
+      for (let id = collectionId; toBigInt(id) !== ZERO; ) {
+        const collection = this.collections.get(id.toLowerCase());
+        if (collection == null) {
+          unknownCollectionId = id;
+          break;
+        }
+        collections.unshift(collection);
+        id = collection.parentCollectionId;
+      }
+      return {
+        collateralToken,
+        collectionId,
+        collections,
+        unknownCollectionId
+      };
+    }
+
+    // Resolves to null for positions which haven't been split off yet as far
+    // as the store knows. Which collections make up a position is cached once
+    // all of them are known, and otherwise until the store sees new splits,
+    // so describing a portfolio only computes IDs for splits which are new
+    // since the last call. Questions and outcome names are looked up on every
+    // call, so the registry may change in between.
+    async describePosition(positionId) {
+      positionId = toBigInt(positionId).toString();
+      let chain = this.chains.get(positionId);
+      if (chain == null) {
+        this.refresh();
+        if (this.pending.has(positionId)) chain = this.pending.get(positionId);
+        else {
+          chain = this.getChain(positionId);
+          if (chain != null && chain.unknownCollectionId == null)
+            this.chains.set(positionId, chain);
+          else this.pending.set(positionId, chain);
+        }
+        if (chain == null) return null;
+      }
+
+      const { collateralToken, collectionId, unknownCollectionId } = chain;
+      const conditions = chain.collections.map(({ conditionId, indexSet }) =>
+        this.describeCondition(conditionId, indexSet)
+      );
+      const collateralSymbol = await this.getTokenSymbol(collateralToken);
+      const parts = conditions.map(
+        ({ conditionId, question, outcomes }) =>
+          `(${outcomes.join("|")}) on ${
+            question != null ? question : conditionId
+          }`
+      );
+      if (unknownCollectionId != null)
+        parts.unshift(`unknown collection ${unknownCollectionId}`);
+
+      return {
+        positionId,
+        collateralToken: ethers.utils.getAddress(collateralToken),
+        collateralSymbol,
+        collectionId,
+        conditions,
+        unknownCollectionId,
+        label: `${collateralSymbol}: ${parts.join(" ∧ ")}`
+      };
+    }
+  }
+
+  return {
+    PositionDescriber
+  };
+};
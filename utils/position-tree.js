@@ -0,0 +1,127 @@
+// Enumerates the positions which can be reached from a collateral token by
+// splitting on a set of conditions, like in the all-positions diagram in the docs.
+// Like the ID helpers, this has to be supplied with web3 utils, ethers, or nothing:
+//     require("@gnosis.pm/conditional-tokens-contracts/utils/position-tree")()
+
+const { toBigInt } = require("./bigint");
+
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+// Enumerating every index set grows exponentially, so conditions with more
+// outcome slots than this need their index sets to be given explicitly.
+const MAX_ENUMERABLE_OUTCOME_SLOTS = 16;
+
+module.exports = function(utils) {
+  const {
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(utils);
+
+  function allIndexSets(outcomeSlotCount) {
+    if (outcomeSlotCount > MAX_ENUMERABLE_OUTCOME_SLOTS)
+      throw new Error(
+        `too many outcome slots to enumerate (${outcomeSlotCount}), please supply partitions`
+      );
+    const fullIndexSet = (1 << outcomeSlotCount) - 1;
+    return Array.from({ length: fullIndexSet - 1 }, (_, i) => BigInt(i + 1));
+  }
+
+  function isSingleton(indexSet) {
+    return (indexSet & (indexSet - BigInt(1))) === BigInt(0);
+  }
+
+  // Returns the positions as a forest: the top level holds positions on a
+  // single condition directly backed by collateral, and each position's
+  // children are the positions obtained by splitting it on a condition which
+  // comes later in the conditions array. Since combining collections is
+  // commutative, restricting splits to later conditions visits every
+  // collection exactly once. A depth limits how many conditions are combined
+  // in a position.
+  function enumeratePositions({
+    collateralToken,
+    conditions,
+    partitions,
+    depth
+  }) {
+    const seenConditionIds = new Set();
+    const indexSetsPerCondition = conditions.map(
+      ({ conditionId, outcomeSlotCount }, i) => {
+        outcomeSlotCount = Number(outcomeSlotCount);
+        if (outcomeSlotCount <= 1 || outcomeSlotCount > 256)
+          throw new Error(
+            `got invalid outcome slot count ${outcomeSlotCount} for condition ${conditionId}`
+          );
+        if (seenConditionIds.has(conditionId.toLowerCase()))
+          throw new Error(`got duplicate condition ${conditionId}`);
+        seenConditionIds.add(conditionId.toLowerCase());
+
+        if (partitions != null && partitions[i] != null)
+          return partitions[i].map(toBigInt);
+        return allIndexSets(outcomeSlotCount);
+      }
+    );
+
+    function enumerateFrom(parent, firstConditionIndex) {
+      const positions = [];
+      for (let i = firstConditionIndex; i < conditions.length; i++) {
+        const { conditionId } = conditions[i];
+        for (const indexSet of indexSetsPerCondition[i]) {
+          const parentCollectionId =
+            parent == null ? NULL_BYTES32 : parent.collectionId;
+          // web3's soliditySha3 doesn't take BigInts
+          const conditionCollectionId = getCollectionId(
+            conditionId,
+            indexSet.toString()
+          );
+          const collectionId =
+            parent == null
+              ? conditionCollectionId
+              : combineCollectionIds([
+                  parentCollectionId,
+                  conditionCollectionId
+                ]);
+          const indexSets = (parent == null ? [] : parent.indexSets).concat({
+            conditionId,
+            indexSet
+          });
+
+          const position = {
+            positionId: getPositionId(collateralToken, collectionId),
+            collectionId,
+            parentCollectionId,
+            conditionId,
+            indexSet,
+            indexSets,
+            atomic:
+              indexSets.length === conditions.length &&
+              indexSets.every(({ indexSet }) => isSingleton(indexSet))
+          };
+          position.children =
+            depth != null && indexSets.length >= depth
+              ? []
+              : enumerateFrom(position, i + 1);
+          positions.push(position);
+        }
+      }
+      return positions;
+    }
+
+    return enumerateFrom(null, 0);
+  }
+
+  // Flattens the result of enumeratePositions in depth-first order,
+  // so that parents always come before their children.
+  function flattenPositions(positions) {
+    return positions.reduce(
+      (acc, position) =>
+        acc.concat(position, flattenPositions(position.children)),
+      []
+    );
+  }
+
+  return {
+    enumeratePositions,
+    flattenPositions
+  };
+};
@@ -0,0 +1,52 @@
+// Type declarations for question-registry.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface QuestionCondition {
+    chainId: number;
+    oracle: string;
+    conditionId: string;
+}
+
+interface Question {
+    questionId: string;
+    text: string;
+    outcomes: string[];
+    nonce: number;
+    conditions: QuestionCondition[];
+}
+
+declare class QuestionRegistry {
+    file: string;
+    questions: Question[];
+    constructor(file: string, questions?: Question[]);
+    static load(file: string): QuestionRegistry;
+    save(): void;
+    list(): Question[];
+    find(questionId: string): Question | null;
+    get(questionId: string): Question;
+    findByCondition(conditionId: string): Question | null;
+    add(question: { text: string; outcomes: string[]; nonce?: number }): Question;
+    addCondition(questionId: string, condition: QuestionCondition): QuestionCondition;
+}
+
+/** Exactly one of these is needed. */
+interface PayoutOptions {
+    payouts?: Numberish[];
+    /** Outcomes of the question, which share the payout equally */
+    winners?: string[];
+    /** For questions with two outcomes, see scalarPayouts */
+    scalar?: { low: Numberish; high: Numberish; value: Numberish };
+    /** Pays out every outcome equally. */
+    invalid?: boolean;
+}
+
+interface QuestionRegistryModule {
+    getQuestionId(question: { text: string; outcomes: string[]; nonce?: number }): string;
+    buildPayouts(question: { outcomes: string[] } | { outcomeSlotCount: Numberish }, options: PayoutOptions): bigint[];
+    QuestionRegistry: typeof QuestionRegistry;
+}
+
+declare function questionRegistry(ethers?: unknown): QuestionRegistryModule;
+
+export = questionRegistry;
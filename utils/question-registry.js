@@ -0,0 +1,168 @@
+// Local registry of the questions an oracle answers, kept in a JSON file so
+// that the question ID and outcome count needed by prepareCondition and
+// reportPayouts can be derived from the question instead of copied around.
+// Like the ID helpers, this can be supplied with an ethers instance:
+//     const { QuestionRegistry } = require("@gnosis.pm/conditional-tokens-contracts/utils/question-registry")()
+//     const registry = QuestionRegistry.load("questions.json")
+//     const { questionId } = registry.add({ text: "Will it rain?", outcomes: ["Yes", "No"] })
+
+const fs = require("fs");
+const { toBigInt } = require("./bigint");
+const {
+  payoutErrors,
+  validatePayouts,
+  multiWinnerPayouts,
+  scalarPayouts,
+  invalidPayouts
+} = require("./payout-vectors");
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const { keccak256, defaultAbiCoder } = ethers.utils;
+
+  // The nonce tells apart questions which are asked again with the same wording.
+  function getQuestionId({ text, outcomes, nonce = 0 }) {
+    return keccak256(
+      defaultAbiCoder.encode(
+        ["string", "string[]", "uint256"],
+        [text, outcomes, nonce]
+      )
+    );
+  }
+
+  function checkQuestion({ text, outcomes }) {
+    if (typeof text !== "string" || text.length === 0)
+      throw new Error("question text must not be empty");
+    if (!Array.isArray(outcomes) || outcomes.length <= 1)
+      throw new Error(payoutErrors.TOO_FEW_SLOTS);
+    if (outcomes.length > 256) throw new Error("too many outcome slots");
+    if (new Set(outcomes).size !== outcomes.length)
+      throw new Error("got duplicate outcome");
+  }
+
+  // Builds the payout vector for a question from one of explicit numerators,
+  // a list of winning outcomes, which share the payout equally, a scalar
+  // answer { low, high, value } to a question with two outcomes, or invalid,
+  // which pays out every outcome equally. Questions which are not in the
+  // registry can be given as { outcomeSlotCount } instead.
+  function buildPayouts(question, { payouts, winners, scalar, invalid }) {
+    const { outcomes } = question;
+    const outcomeSlotCount =
+      outcomes != null ? outcomes.length : Number(question.outcomeSlotCount);
+    const given = [payouts, winners, scalar].filter(x => x != null);
+    if (given.length + (invalid ? 1 : 0) !== 1)
+      throw new Error("one of payouts, winners, scalar or invalid is needed");
+
+    if (winners != null) {
+      if (outcomes == null)
+        throw new Error("winners need the outcomes of the question");
+      return multiWinnerPayouts(
+        winners.map(winner => {
+          const index = outcomes.indexOf(winner);
+          if (index === -1) throw new Error(`got unknown outcome ${winner}`);
+          return index;
+        }),
+        outcomeSlotCount
+      );
+    }
+    if (scalar != null) {
+      if (outcomeSlotCount !== 2)
+        throw new Error(
+          `got scalar answer for ${outcomeSlotCount} outcomes instead of 2`
+        );
+      return scalarPayouts(scalar);
+    }
+    if (invalid) return invalidPayouts(outcomeSlotCount);
+
+    if (payouts.length !== outcomeSlotCount)
+      throw new Error(
+        `got ${payouts.length} payouts for ${outcomeSlotCount} outcomes`
+      );
+    const validation = validatePayouts(payouts, outcomeSlotCount);
+    if (!validation.valid) throw new Error(validation.reason);
+    return payouts.map(toBigInt);
+  }
+
+  class QuestionRegistry {
+    constructor(file, questions = []) {
+      this.file = file;
+      this.questions = questions;
+    }
+
+    // Starts an empty registry if the file does not exist yet.
+    static load(file) {
+      if (!fs.existsSync(file)) return new QuestionRegistry(file);
+      const { questions } = JSON.parse(fs.readFileSync(file, "utf8"));
+      return new QuestionRegistry(file, questions);
+    }
+
+    save() {
+      fs.writeFileSync(
+        this.file,
+        `${JSON.stringify({ questions: this.questions }, null, 2)}\n`
+      );
+    }
+
+    list() {
+      return this.questions.slice();
+    }
+
+    find(questionId) {
+      return (
+        this.questions.find(
+          question => question.questionId === questionId.toLowerCase()
+        ) || null
+      );
+    }
+
+    get(questionId) {
+      const question = this.find(questionId);
+      if (question == null)
+        throw new Error(`question ${questionId} is not in the registry`);
+      return question;
+    }
+
+    // Looks up the question a condition was prepared for on any chain.
+    findByCondition(conditionId) {
+      conditionId = conditionId.toLowerCase();
+      return (
+        this.questions.find(({ conditions }) =>
+          conditions.some(condition => condition.conditionId === conditionId)
+        ) || null
+      );
+    }
+
+    add({ text, outcomes, nonce = 0 }) {
+      checkQuestion({ text, outcomes });
+      const questionId = getQuestionId({ text, outcomes, nonce });
+      if (this.questions.some(question => question.questionId === questionId))
+        throw new Error(
+          `question ${questionId} is already in the registry, use another nonce`
+        );
+      const question = { questionId, text, outcomes, nonce, conditions: [] };
+      this.questions.push(question);
+      return question;
+    }
+
+    // Remembers which oracles a question has been prepared for on which chain.
+    addCondition(questionId, { chainId, oracle, conditionId }) {
+      const { conditions } = this.get(questionId);
+      conditionId = conditionId.toLowerCase();
+      const condition = { chainId, oracle, conditionId };
+      if (
+        !conditions.some(
+          other =>
+            other.chainId === chainId && other.conditionId === conditionId
+        )
+      )
+        conditions.push(condition);
+      return condition;
+    }
+  }
+
+  return {
+    getQuestionId,
+    buildPayouts,
+    QuestionRegistry
+  };
+};
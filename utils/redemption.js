@@ -0,0 +1,78 @@
+// Off-chain version of ConditionalTokens.redeemPositions, which predicts what
+// an account gets back for redeeming a list of index sets. Like the ID helpers,
+// this has to be supplied with web3 utils, ethers, or nothing:
+//     require("@gnosis.pm/conditional-tokens-contracts/utils/redemption")()
+
+const { toBigInt } = require("./bigint");
+const { getFullIndexSet } = require("./partition-helpers");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+module.exports = function(utils) {
+  const { getPositionId } = require("./id-helpers")(utils);
+
+  // balances[i] is the redeemer's balance in the position for indexSets[i].
+  // The math mirrors the contract: each index set's payout is rounded down
+  // separately before summing, and a position listed twice only pays once
+  // since the contract burns it the first time.
+  function computeRedemption({
+    payoutNumerators,
+    payoutDenominator,
+    balances,
+    indexSets,
+    collateralToken,
+    parentCollectionId
+  }) {
+    const den = toBigInt(payoutDenominator);
+    if (den === ZERO) throw new Error("result for condition not received yet");
+    const outcomeSlotCount = payoutNumerators.length;
+    if (outcomeSlotCount === 0) throw new Error("condition not prepared yet");
+    if (balances.length !== indexSets.length)
+      throw new Error("balances and index sets must have same lengths");
+
+    const numerators = payoutNumerators.map(toBigInt);
+    const fullIndexSet = getFullIndexSet(outcomeSlotCount);
+    const redeemed = new Set();
+
+    let payout = ZERO;
+    const redemptions = indexSets.map((indexSet, i) => {
+      indexSet = toBigInt(indexSet);
+      if (indexSet <= ZERO || indexSet >= fullIndexSet)
+        throw new Error("got invalid index set");
+
+      const payoutNumerator = numerators.reduce(
+        (acc, num, j) => ((indexSet >> BigInt(j)) & ONE ? acc + num : acc),
+        ZERO
+      );
+
+      const stake = redeemed.has(indexSet) ? ZERO : toBigInt(balances[i]);
+      redeemed.add(indexSet);
+      const indexSetPayout = (stake * payoutNumerator) / den;
+      payout += indexSetPayout;
+
+      return { indexSet, stake, payoutNumerator, payout: indexSetPayout };
+    });
+
+    const isNested =
+      parentCollectionId != null && toBigInt(parentCollectionId) !== ZERO;
+    if (isNested && collateralToken == null)
+      throw new Error(
+        "collateral token needed to redeem into a parent position"
+      );
+
+    return {
+      payout,
+      redemptions,
+      // where the payout gets credited: null for collateral,
+      // otherwise the ERC-1155 ID of the parent position
+      payoutPositionId: isNested
+        ? getPositionId(collateralToken, parentCollectionId)
+        : null
+    };
+  }
+
+  return {
+    computeRedemption
+  };
+};
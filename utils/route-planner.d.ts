@@ -0,0 +1,52 @@
+// Type declarations for route-planner.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+/** An empty list stands for the collateral itself. */
+type PositionIndexSets = { conditionId: string; indexSet: Numberish }[];
+
+interface RouteCondition {
+    conditionId: string;
+    outcomeSlotCount: Numberish;
+    /** Set for resolved conditions, whose positions can be redeemed. */
+    payoutNumerators?: Numberish[] | null;
+}
+
+type RouteCall =
+    | {
+          method: "splitPosition" | "mergePositions";
+          params: {
+              collateralToken: string;
+              parentCollectionId: string;
+              conditionId: string;
+              partition: bigint[];
+              amount: bigint;
+          };
+          collectionIds: string[];
+      }
+    | {
+          method: "redeemPositions";
+          params: { collateralToken: string; parentCollectionId: string; conditionId: string; indexSets: bigint[] };
+          collectionIds: string[];
+      };
+
+interface RouteBalance {
+    indexSets: { conditionId: string; indexSet: bigint }[];
+    collectionId: string;
+    /** Decimal string, or null for the collateral */
+    positionId: string | null;
+    balance: bigint;
+}
+
+interface RoutePlanner {
+    planRoute(options: {
+        collateralToken: string;
+        conditions: RouteCondition[];
+        holdings?: { indexSets: PositionIndexSets; balance: Numberish }[];
+        targets: { indexSets: PositionIndexSets; amount: Numberish }[];
+    }): { calls: RouteCall[]; balances: RouteBalance[] };
+}
+
+declare function routePlanner(ethers?: unknown): RoutePlanner;
+
+export = routePlanner;
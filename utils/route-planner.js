@@ -0,0 +1,521 @@
+// Plans the splitPosition, mergePositions and redeemPositions calls which take
+// an account from the positions it holds to the positions it wants, e.g.:
+//     const { planRoute } = require("@gnosis.pm/conditional-tokens-contracts/utils/route-planner")(ethers)
+//     const { calls } = planRoute({ collateralToken, conditions, holdings, targets })
+//     for (const { method, params } of calls) await conditionalTokens[method](...Object.values(params))
+// Positions are lists of { conditionId, indexSet }, the empty list being the
+// collateral itself. The params of the calls can be passed to the simulator.
+
+const { toBigInt } = require("./bigint");
+const { getFullIndexSet, validatePartition } = require("./partition-helpers");
+
+const ZERO = BigInt(0);
+const NULL_BYTES32 = `0x${"0".repeat(64)}`;
+
+function isSubset(indexSet, superset) {
+  return (indexSet & ~superset) === ZERO;
+}
+
+function bitCount(indexSet) {
+  let count = 0;
+  for (; indexSet !== ZERO; indexSet &= indexSet - BigInt(1)) count++;
+  return count;
+}
+
+module.exports = function(ethers) {
+  if (ethers == null) ethers = require("ethers");
+  const {
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(ethers);
+  const { computeRedemption } = require("./redemption")(ethers);
+
+  // Returns the calls in the order they have to be sent, and the balances
+  // the account ends up with. Targets are minimum balances, which are
+  // reached one after the other with the fewest calls for each, without
+  // using up what earlier targets reached. Throws if a target can't be
+  // reached from the holdings.
+  function planRoute({ collateralToken, conditions, holdings = [], targets }) {
+    const conditionsById = new Map(
+      conditions.map(condition => {
+        const outcomeSlotCount = Number(condition.outcomeSlotCount);
+        const payoutNumerators =
+          condition.payoutNumerators != null &&
+          condition.payoutNumerators.length > 0
+            ? condition.payoutNumerators.map(toBigInt)
+            : null;
+        return [
+          condition.conditionId.toLowerCase(),
+          {
+            conditionId: condition.conditionId,
+            outcomeSlotCount,
+            fullIndexSet: getFullIndexSet(outcomeSlotCount),
+            payoutNumerators,
+            payoutDenominator:
+              payoutNumerators != null
+                ? payoutNumerators.reduce((a, b) => a + b, ZERO)
+                : ZERO
+          }
+        ];
+      })
+    );
+
+    // Positions are kept as maps from condition IDs to index sets, and
+    // balances by a key which doesn't depend on the order of conditions,
+    // just like collection IDs.
+    const positions = new Map();
+
+    function keyOf(position) {
+      return Array.from(position)
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([conditionId, indexSet]) => `${conditionId}:${indexSet}`)
+        .join("&");
+    }
+
+    function register(position) {
+      const key = keyOf(position);
+      if (!positions.has(key)) positions.set(key, position);
+      return key;
+    }
+
+    function toPosition(indexSets) {
+      const position = new Map();
+      for (const { conditionId, indexSet } of indexSets) {
+        const id = conditionId.toLowerCase();
+        const condition = conditionsById.get(id);
+        if (condition == null)
+          throw new Error(`unknown condition ${conditionId}`);
+        if (position.has(id))
+          throw new Error(`got condition ${conditionId} twice in a position`);
+        const value = toBigInt(indexSet);
+        if (value <= ZERO || value >= condition.fullIndexSet)
+          throw new Error("got invalid index set");
+        position.set(id, value);
+      }
+      return position;
+    }
+
+    function withIndexSet(position, conditionId, indexSet) {
+      return new Map(position).set(conditionId, indexSet);
+    }
+
+    function without(position, conditionId) {
+      const parent = new Map(position);
+      parent.delete(conditionId);
+      return parent;
+    }
+
+    const collectionIds = new Map();
+    function collectionIdOf(position) {
+      const key = register(position);
+      if (!collectionIds.has(key))
+        collectionIds.set(
+          key,
+          position.size === 0
+            ? NULL_BYTES32
+            : combineCollectionIds(
+                Array.from(position, ([conditionId, indexSet]) =>
+                  getCollectionId(conditionId, indexSet)
+                )
+              )
+        );
+      return collectionIds.get(key);
+    }
+
+    function describe(position) {
+      if (position.size === 0) return "collateral";
+      return Array.from(
+        position,
+        ([conditionId, indexSet]) => `${indexSet} on ${conditionId}`
+      ).join(" & ");
+    }
+
+    let balances = new Map();
+    const reserved = new Map();
+    for (const { indexSets, balance } of holdings) {
+      const key = register(toPosition(indexSets));
+      balances.set(key, (balances.get(key) || ZERO) + toBigInt(balance));
+    }
+    const available = (balances, key) =>
+      (balances.get(key) || ZERO) - (reserved.get(key) || ZERO);
+    const add = (balances, position, amount) => {
+      const key = register(position);
+      balances.set(key, (balances.get(key) || ZERO) + amount);
+    };
+
+    let pendingTargets = [];
+
+    function partitionCall(
+      method,
+      balances,
+      parent,
+      conditionId,
+      partition,
+      amount
+    ) {
+      const { outcomeSlotCount, fullIndexSet } = conditionsById.get(
+        conditionId
+      );
+      partition = partition.slice().sort((a, b) => (a < b ? -1 : 1));
+      const { valid, reason } = validatePartition(partition, outcomeSlotCount);
+      if (!valid) throw new Error(`planned invalid partition: ${reason}`);
+
+      const union = partition.reduce((a, b) => a | b);
+      const whole =
+        union === fullIndexSet
+          ? parent
+          : withIndexSet(parent, conditionId, union);
+      const pieces = partition.map(indexSet =>
+        withIndexSet(parent, conditionId, indexSet)
+      );
+      const sign = method === "splitPosition" ? BigInt(1) : BigInt(-1);
+      add(balances, whole, -sign * amount);
+      pieces.forEach(piece => add(balances, piece, sign * amount));
+
+      return {
+        method,
+        params: {
+          collateralToken,
+          parentCollectionId: collectionIdOf(parent),
+          conditionId: conditionsById.get(conditionId).conditionId,
+          partition,
+          amount
+        },
+        collectionIds: pieces.map(collectionIdOf)
+      };
+    }
+
+    // The pieces which targets still to be reached want go into the same
+    // split, so that they don't each need a split of their own.
+    function splitPartition(parent, conditionId, indexSet, sourceIndexSet) {
+      const partition = [indexSet];
+      let used = indexSet;
+      const parentKey = keyOf(parent);
+      for (const target of pendingTargets) {
+        const targetIndexSet = target.get(conditionId);
+        if (
+          targetIndexSet != null &&
+          keyOf(without(target, conditionId)) === parentKey &&
+          isSubset(targetIndexSet, sourceIndexSet) &&
+          (targetIndexSet & used) === ZERO
+        ) {
+          partition.push(targetIndexSet);
+          used |= targetIndexSet;
+        }
+      }
+      if (used !== sourceIndexSet) partition.push(sourceIndexSet ^ used);
+      return partition;
+    }
+
+    // Whether a held position lies within the position, so that merging it
+    // with others may make up the position: it is on a subset of the index
+    // set of each of its conditions, possibly with more conditions.
+    function liesWithin(held, position) {
+      for (const [conditionId, indexSet] of position) {
+        const heldIndexSet = held.get(conditionId);
+        if (heldIndexSet == null || !isSubset(heldIndexSet, indexSet))
+          return false;
+      }
+      return true;
+    }
+
+    // Picks disjoint index sets held under the parent, biggest first, to
+    // cover the index set. Index sets only held deeper, on more conditions
+    // or smaller index sets of the parent, count too, as they may be merged
+    // up first. Anything left uncovered becomes one more piece.
+    function coverIndexSet(balances, parent, conditionId, indexSet) {
+      const candidates = new Set();
+      for (const [key, position] of positions) {
+        const heldIndexSet = position.get(conditionId);
+        if (
+          heldIndexSet != null &&
+          heldIndexSet !== indexSet &&
+          isSubset(heldIndexSet, indexSet) &&
+          available(balances, key) > ZERO &&
+          liesWithin(position, parent)
+        )
+          candidates.add(heldIndexSet);
+      }
+      const held = Array.from(candidates).sort(
+        (a, b) => bitCount(b) - bitCount(a)
+      );
+      const partition = [];
+      let used = ZERO;
+      for (const heldIndexSet of held)
+        if ((heldIndexSet & used) === ZERO) {
+          partition.push(heldIndexSet);
+          used |= heldIndexSet;
+        }
+      if (partition.length === 0) return null;
+      if (used !== indexSet) partition.push(indexSet ^ used);
+      return partition.length > 1 ? partition : null;
+    }
+
+    function mergeRoute(
+      balances,
+      parent,
+      conditionId,
+      partition,
+      amount,
+      visiting
+    ) {
+      let calls = [];
+      for (const indexSet of partition) {
+        const route = acquire(
+          balances,
+          withIndexSet(parent, conditionId, indexSet),
+          amount,
+          visiting
+        );
+        if (route == null) return null;
+        ({ balances } = route);
+        calls = calls.concat(route.calls);
+      }
+      balances = new Map(balances);
+      return {
+        balances,
+        calls: calls.concat(
+          partitionCall(
+            "mergePositions",
+            balances,
+            parent,
+            conditionId,
+            partition,
+            amount
+          )
+        )
+      };
+    }
+
+    function splitRoute(
+      balances,
+      source,
+      parent,
+      conditionId,
+      partition,
+      amount,
+      visiting
+    ) {
+      const route = acquire(balances, source, amount, visiting);
+      if (route == null) return null;
+      balances = new Map(route.balances);
+      return {
+        balances,
+        calls: route.calls.concat(
+          partitionCall(
+            "splitPosition",
+            balances,
+            parent,
+            conditionId,
+            partition,
+            amount
+          )
+        )
+      };
+    }
+
+    // Redeeming burns whole balances, so positions which targets hold on
+    // to are left alone.
+    function redeemRoute(balances, parent, conditionId, deficit) {
+      const condition = conditionsById.get(conditionId);
+      if (condition.payoutNumerators == null) return null;
+      const indexSets = [];
+      const stakes = [];
+      for (const [key, position] of positions) {
+        const indexSet = position.get(conditionId);
+        if (
+          indexSet == null ||
+          keyOf(without(position, conditionId)) !== keyOf(parent) ||
+          (reserved.get(key) || ZERO) > ZERO ||
+          (balances.get(key) || ZERO) === ZERO ||
+          condition.payoutNumerators.every(
+            (numerator, i) =>
+              numerator === ZERO || (indexSet >> BigInt(i)) % BigInt(2) === ZERO
+          )
+        )
+          continue;
+        indexSets.push(indexSet);
+        stakes.push(balances.get(key));
+      }
+      if (indexSets.length === 0) return null;
+
+      const { payout } = computeRedemption({
+        payoutNumerators: condition.payoutNumerators,
+        payoutDenominator: condition.payoutDenominator,
+        balances: stakes,
+        indexSets
+      });
+      if (payout < deficit) return null;
+      balances = new Map(balances);
+      indexSets.forEach(indexSet =>
+        balances.set(
+          register(withIndexSet(parent, conditionId, indexSet)),
+          ZERO
+        )
+      );
+      add(balances, parent, payout);
+      return {
+        balances,
+        calls: [
+          {
+            method: "redeemPositions",
+            params: {
+              collateralToken,
+              parentCollectionId: collectionIdOf(parent),
+              conditionId: condition.conditionId,
+              indexSets
+            },
+            collectionIds: indexSets.map(indexSet =>
+              collectionIdOf(withIndexSet(parent, conditionId, indexSet))
+            )
+          }
+        ]
+      };
+    }
+
+    // Searches every way of making up the missing balance of a position and
+    // keeps the one with the fewest calls. Positions being made up further
+    // up the search aren't used as sources, not even what is held of them,
+    // which rules out going in circles.
+    function acquire(balances, position, amount, visiting) {
+      const key = register(position);
+      const deficit = amount - available(balances, key);
+      if (deficit <= ZERO) return { balances, calls: [] };
+      if (visiting.has(key)) return null;
+      visiting = new Set(visiting).add(key);
+
+      let best = null;
+      const consider = route => {
+        if (
+          route != null &&
+          (best == null || route.calls.length < best.calls.length)
+        )
+          best = route;
+      };
+
+      // Merging what is held one level deeper, or redeeming it
+      for (const conditionId of conditionsById.keys()) {
+        if (position.has(conditionId)) continue;
+        const { fullIndexSet } = conditionsById.get(conditionId);
+        const partition = coverIndexSet(
+          balances,
+          position,
+          conditionId,
+          fullIndexSet
+        );
+        if (partition != null)
+          consider(
+            mergeRoute(
+              balances,
+              position,
+              conditionId,
+              partition,
+              deficit,
+              visiting
+            )
+          );
+        consider(redeemRoute(balances, position, conditionId, deficit));
+      }
+
+      for (const [conditionId, indexSet] of position) {
+        const parent = without(position, conditionId);
+        const { fullIndexSet } = conditionsById.get(conditionId);
+
+        // Merging held positions on smaller index sets of the same condition
+        const partition = coverIndexSet(
+          balances,
+          parent,
+          conditionId,
+          indexSet
+        );
+        if (partition != null)
+          consider(
+            mergeRoute(
+              balances,
+              parent,
+              conditionId,
+              partition,
+              deficit,
+              visiting
+            )
+          );
+
+        // Splitting a held position on a bigger index set, or the parent
+        const sources = [];
+        for (const [sourceKey, source] of positions) {
+          const sourceIndexSet = source.get(conditionId);
+          if (
+            sourceIndexSet != null &&
+            sourceIndexSet !== indexSet &&
+            isSubset(indexSet, sourceIndexSet) &&
+            available(balances, sourceKey) > ZERO &&
+            keyOf(without(source, conditionId)) === keyOf(parent)
+          )
+            sources.push([source, sourceIndexSet]);
+        }
+        sources.push([parent, fullIndexSet]);
+        for (const [source, sourceIndexSet] of sources)
+          if (!visiting.has(keyOf(source)))
+            consider(
+              splitRoute(
+                balances,
+                source,
+                parent,
+                conditionId,
+                splitPartition(parent, conditionId, indexSet, sourceIndexSet),
+                deficit,
+                visiting
+              )
+            );
+      }
+
+      return best;
+    }
+
+    const targetPositions = targets.map(({ indexSets }) =>
+      toPosition(indexSets)
+    );
+    let calls = [];
+    targets.forEach(({ amount }, i) => {
+      const position = targetPositions[i];
+      amount = toBigInt(amount);
+      pendingTargets = targetPositions.slice(i + 1);
+      const route = acquire(balances, position, amount, new Set());
+      if (route == null)
+        throw new Error(`cannot reach ${describe(position)} from the holdings`);
+      ({ balances } = route);
+      calls = calls.concat(route.calls);
+      const key = register(position);
+      reserved.set(key, (reserved.get(key) || ZERO) + amount);
+    });
+
+    return {
+      calls,
+      balances: Array.from(balances)
+        .filter(([, balance]) => balance > ZERO)
+        .map(([key, balance]) => {
+          const position = positions.get(key);
+          const collectionId = collectionIdOf(position);
+          return {
+            indexSets: Array.from(position, ([conditionId, indexSet]) => ({
+              conditionId: conditionsById.get(conditionId).conditionId,
+              indexSet
+            })),
+            collectionId,
+            positionId:
+              position.size === 0
+                ? null
+                : toBigInt(
+                    getPositionId(collateralToken, collectionId)
+                  ).toString(),
+            balance
+          };
+        })
+    };
+  }
+
+  return {
+    planRoute
+  };
+};
@@ -0,0 +1,95 @@
+// Type declarations for simulator.js
+
+type Numberish = number | string | bigint | { toString(): string };
+
+interface BalanceDelta {
+    account: string;
+    positionId: string;
+    delta: bigint;
+}
+
+interface CollateralDelta {
+    account: string;
+    collateralToken: string;
+    delta: bigint;
+}
+
+type SimulationResult<T = unknown> =
+    | ({ success: true; balanceDeltas: BalanceDelta[]; collateralDeltas: CollateralDelta[] } & T)
+    | { success: false; reason: string };
+
+interface SimulationOptions {
+    commit?: boolean;
+}
+
+interface PartitionParams {
+    from: string;
+    collateralToken: string;
+    parentCollectionId?: string;
+    conditionId: string;
+    partition: Numberish[];
+    amount: Numberish;
+}
+
+interface SimulatedCondition {
+    outcomeSlotCount: number;
+    payoutNumerators: bigint[];
+    payoutDenominator: bigint;
+}
+
+interface ConditionalTokensReader {
+    getOutcomeSlotCount(conditionId: string): Promise<Numberish>;
+    payoutNumerators(conditionId: string, index: number): Promise<Numberish>;
+    payoutDenominator(conditionId: string): Promise<Numberish>;
+    balanceOfBatch(accounts: string[], ids: string[]): Promise<Numberish[]>;
+}
+
+declare class ConditionalTokensSimulator {
+    conditions: Map<string, SimulatedCondition>;
+    static fromStore(store: unknown): ConditionalTokensSimulator;
+    static fromContract(
+        conditionalTokens: ConditionalTokensReader,
+        options?: { conditionIds?: string[]; positions?: { account: string; positionId: Numberish }[] },
+    ): Promise<ConditionalTokensSimulator>;
+    getCondition(conditionId: string): SimulatedCondition | null;
+    setCondition(
+        conditionId: string,
+        condition: {
+            outcomeSlotCount: Numberish;
+            payoutNumerators?: Numberish[] | null;
+            payoutDenominator?: Numberish;
+        },
+    ): void;
+    balanceOf(account: string, positionId: Numberish): bigint;
+    setBalance(account: string, positionId: Numberish, balance: Numberish): void;
+    getCollateral(collateralToken: string, account: string): { balance: bigint; allowance: bigint } | null;
+    setCollateral(
+        collateralToken: string,
+        account: string,
+        collateral: { balance: Numberish; allowance: Numberish },
+    ): void;
+    prepareCondition(
+        params: { from?: string; oracle: string; questionId: string; outcomeSlotCount: Numberish },
+        options?: SimulationOptions,
+    ): SimulationResult<{ conditionId: string }>;
+    reportPayouts(
+        params: { from: string; questionId: string; payouts: Numberish[] },
+        options?: SimulationOptions,
+    ): SimulationResult<{ conditionId: string }>;
+    splitPosition(params: PartitionParams, options?: SimulationOptions): SimulationResult;
+    mergePositions(params: PartitionParams, options?: SimulationOptions): SimulationResult;
+    redeemPositions(
+        params: {
+            from: string;
+            collateralToken: string;
+            parentCollectionId?: string;
+            conditionId: string;
+            indexSets: Numberish[];
+        },
+        options?: SimulationOptions,
+    ): SimulationResult<{ payout: bigint }>;
+}
+
+declare function simulator(utils?: unknown): { ConditionalTokensSimulator: typeof ConditionalTokensSimulator };
+
+export = simulator;
@@ -0,0 +1,540 @@
+// In-memory model of ConditionalTokens which dry-runs transactions and
+// reports either the reason they would revert with or how they would change
+// balances, so that UIs can catch bad actions before they reach a wallet.
+// State can be filled by hand, from an indexer store or from contract reads.
+// Like the ID helpers, this has to be supplied with web3 utils, ethers, or nothing:
+//     const { ConditionalTokensSimulator } = require("@gnosis.pm/conditional-tokens-contracts/utils/simulator")()
+//     const simulator = ConditionalTokensSimulator.fromStore(indexer.store)
+//     simulator.splitPosition({ from, collateralToken, conditionId, partition, amount })
+
+const { toBigInt, toHex32 } = require("./bigint");
+const { P, mod, sqrtMod, curveRHS } = require("./alt-bn128");
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const MAX_UINT256 = (ONE << BigInt(256)) - ONE;
+// collection IDs hold x in their lower 254 bits and the parity of y in bit 254
+const X_MASK = (ONE << BigInt(254)) - ONE;
+const ODD_BIT = ONE << BigInt(254);
+
+// Used to unwind an execution with the reason the contract would revert with
+class Revert extends Error {}
+
+function revert(reason) {
+  throw new Revert(reason);
+}
+
+function safeAdd(a, b) {
+  const c = a + b;
+  if (c > MAX_UINT256) revert("SafeMath: addition overflow");
+  return c;
+}
+
+function safeSub(a, b) {
+  if (b > a) revert("SafeMath: subtraction overflow");
+  return a - b;
+}
+
+function safeMul(a, b) {
+  const c = a * b;
+  if (c > MAX_UINT256) revert("SafeMath: multiplication overflow");
+  return c;
+}
+
+function getOrCreate(map, key) {
+  if (!map.has(key)) map.set(key, new Map());
+  return map.get(key);
+}
+
+function positionKey(positionId) {
+  return toBigInt(positionId).toString();
+}
+
+module.exports = function(utils) {
+  const {
+    getConditionId,
+    getCollectionId,
+    combineCollectionIds,
+    getPositionId
+  } = require("./id-helpers")(utils);
+
+  // Tracks the changes one transaction makes on top of the simulator's state,
+  // which only get written back if the transaction succeeds and is committed.
+  class Execution {
+    constructor(simulator, from) {
+      this.simulator = simulator;
+      this.from = from.toLowerCase();
+      this.conditions = new Map();
+      this.balanceDeltas = new Map();
+      this.collateralDeltas = new Map();
+    }
+
+    getCondition(conditionId) {
+      conditionId = conditionId.toLowerCase();
+      if (this.conditions.has(conditionId))
+        return this.conditions.get(conditionId);
+      return this.simulator.getCondition(conditionId);
+    }
+
+    setCondition(conditionId, condition) {
+      this.conditions.set(conditionId.toLowerCase(), condition);
+    }
+
+    balanceOf(account, positionId) {
+      const deltas = this.balanceDeltas.get(positionKey(positionId));
+      const delta = (deltas && deltas.get(account)) || ZERO;
+      return this.simulator.balanceOf(account, positionId) + delta;
+    }
+
+    _addBalanceDelta(account, positionId, delta) {
+      const deltas = getOrCreate(this.balanceDeltas, positionKey(positionId));
+      deltas.set(account, (deltas.get(account) || ZERO) + delta);
+    }
+
+    mint(positionId, amount) {
+      safeAdd(this.balanceOf(this.from, positionId), amount);
+      this._addBalanceDelta(this.from, positionId, amount);
+    }
+
+    burn(positionId, amount) {
+      safeSub(this.balanceOf(this.from, positionId), amount);
+      this._addBalanceDelta(this.from, positionId, -amount);
+    }
+
+    // Collateral is only checked for accounts the simulator has been told
+    // about. Tokens which revert on failed transfers report their own reason
+    // on chain, so the reason given here is the one for tokens returning false.
+    receiveCollateral(collateralToken, amount) {
+      const collateral = this.simulator.getCollateral(
+        collateralToken,
+        this.from
+      );
+      if (collateral != null) {
+        const delta = this._getCollateralDelta(collateralToken);
+        if (
+          collateral.balance + delta.balance < amount ||
+          collateral.allowance + delta.allowance < amount
+        )
+          revert("could not receive collateral tokens");
+      }
+      this._addCollateralDelta(collateralToken, -amount, -amount);
+    }
+
+    sendCollateral(collateralToken, amount) {
+      this._addCollateralDelta(collateralToken, amount, ZERO);
+    }
+
+    _getCollateralDelta(collateralToken) {
+      const deltas = this.collateralDeltas.get(collateralToken.toLowerCase());
+      return (
+        (deltas && deltas.get(this.from)) || { balance: ZERO, allowance: ZERO }
+      );
+    }
+
+    _addCollateralDelta(collateralToken, balance, allowance) {
+      const delta = this._getCollateralDelta(collateralToken);
+      getOrCreate(this.collateralDeltas, collateralToken.toLowerCase()).set(
+        this.from,
+        {
+          balance: delta.balance + balance,
+          allowance: delta.allowance + allowance
+        }
+      );
+    }
+
+    commit() {
+      for (const [conditionId, condition] of this.conditions)
+        this.simulator.conditions.set(conditionId, condition);
+      for (const [positionId, deltas] of this.balanceDeltas)
+        for (const [account, delta] of deltas)
+          this.simulator.setBalance(
+            account,
+            positionId,
+            this.simulator.balanceOf(account, positionId) + delta
+          );
+      for (const [collateralToken, deltas] of this.collateralDeltas)
+        for (const [account, delta] of deltas) {
+          const collateral = this.simulator.getCollateral(
+            collateralToken,
+            account
+          );
+          if (collateral != null)
+            this.simulator.setCollateral(collateralToken, account, {
+              balance: collateral.balance + delta.balance,
+              allowance: collateral.allowance + delta.allowance
+            });
+        }
+    }
+
+    toResult() {
+      const balanceDeltas = [];
+      for (const [positionId, deltas] of this.balanceDeltas)
+        for (const [account, delta] of deltas)
+          if (delta !== ZERO)
+            balanceDeltas.push({ account, positionId, delta });
+      const collateralDeltas = [];
+      for (const [collateralToken, deltas] of this.collateralDeltas)
+        for (const [account, { balance }] of deltas)
+          if (balance !== ZERO)
+            collateralDeltas.push({ account, collateralToken, delta: balance });
+      return { success: true, balanceDeltas, collateralDeltas };
+    }
+  }
+
+  function isNullCollectionId(collectionId) {
+    return collectionId == null || toBigInt(collectionId) === ZERO;
+  }
+
+  // CTHelpers.getCollectionId takes the parent to have an odd y coordinate
+  // if either of its top two bits is set, checks that the rest decodes to a
+  // curve point and leaves coordinates outside the field for the ecadd
+  // precompile to reject.
+  function checkParentCollectionId(parentCollectionId) {
+    const id = toBigInt(parentCollectionId);
+    const x = id & X_MASK;
+    const yy = curveRHS(x);
+    const y = sqrtMod(yy);
+    if (mod(y * y) !== yy) revert("invalid parent collection ID");
+    if (x >= P) revert("ecadd failed");
+    return toHex32(id >> BigInt(254) !== ZERO ? x | ODD_BIT : x);
+  }
+
+  function getCollectionPositionId(
+    collateralToken,
+    parentCollectionId,
+    conditionId,
+    indexSet
+  ) {
+    let collectionId = getCollectionId(conditionId, indexSet);
+    if (!isNullCollectionId(parentCollectionId))
+      collectionId = combineCollectionIds([
+        checkParentCollectionId(parentCollectionId),
+        collectionId
+      ]);
+    return getPositionId(collateralToken, collectionId);
+  }
+
+  // Same checks in the same order as the loop shared by splitPosition and
+  // mergePositions, which also derives the position IDs as it goes.
+  function checkPartition(execution, params) {
+    const { collateralToken, parentCollectionId, conditionId } = params;
+    const partition = params.partition.map(toBigInt);
+    if (partition.length <= 1) revert("got empty or singleton partition");
+    const condition = execution.getCondition(conditionId);
+    if (condition == null) revert("condition not prepared yet");
+
+    const fullIndexSet = (ONE << BigInt(condition.outcomeSlotCount)) - ONE;
+    let freeIndexSet = fullIndexSet;
+    const positionIds = partition.map(indexSet => {
+      if (indexSet <= ZERO || indexSet >= fullIndexSet)
+        revert("got invalid index set");
+      if ((indexSet & freeIndexSet) !== indexSet)
+        revert("partition not disjoint");
+      freeIndexSet ^= indexSet;
+      return getCollectionPositionId(
+        collateralToken,
+        parentCollectionId,
+        conditionId,
+        indexSet
+      );
+    });
+
+    // the position on the union of the partition, or null for the full set
+    const unionPositionId =
+      freeIndexSet === ZERO
+        ? null
+        : getCollectionPositionId(
+            collateralToken,
+            parentCollectionId,
+            conditionId,
+            fullIndexSet ^ freeIndexSet
+          );
+    return { positionIds, unionPositionId };
+  }
+
+  function checkOutcomeSlotCount(outcomeSlotCount) {
+    if (outcomeSlotCount <= ONE)
+      revert("there should be more than one outcome slot");
+  }
+
+  class ConditionalTokensSimulator {
+    constructor() {
+      this.conditions = new Map();
+      this.balances = new Map();
+      this.collateral = new Map();
+    }
+
+    static fromStore(store) {
+      const simulator = new ConditionalTokensSimulator();
+      for (const condition of store.conditions.values())
+        simulator.setCondition(condition.conditionId, condition);
+      for (const [positionId, holders] of store.balances)
+        for (const [account, balance] of holders)
+          simulator.setBalance(account, positionId, balance);
+      return simulator;
+    }
+
+    // Reads the given conditions and balances from a ConditionalTokens
+    // instance (ethers or truffle). Anything not read is assumed to be unset.
+    static async fromContract(
+      conditionalTokens,
+      { conditionIds = [], positions = [] } = {}
+    ) {
+      const simulator = new ConditionalTokensSimulator();
+      for (const conditionId of conditionIds) {
+        const outcomeSlotCount = Number(
+          await conditionalTokens.getOutcomeSlotCount(conditionId)
+        );
+        if (outcomeSlotCount === 0) continue;
+        const payoutNumerators = [];
+        for (let i = 0; i < outcomeSlotCount; i++)
+          payoutNumerators.push(
+            await conditionalTokens.payoutNumerators(conditionId, i)
+          );
+        simulator.setCondition(conditionId, {
+          outcomeSlotCount,
+          payoutNumerators,
+          payoutDenominator: await conditionalTokens.payoutDenominator(
+            conditionId
+          )
+        });
+      }
+      if (positions.length > 0) {
+        const balances = await conditionalTokens.balanceOfBatch(
+          positions.map(({ account }) => account),
+          positions.map(({ positionId }) => toBigInt(positionId).toString())
+        );
+        positions.forEach(({ account, positionId }, i) =>
+          simulator.setBalance(account, positionId, balances[i])
+        );
+      }
+      return simulator;
+    }
+
+    getCondition(conditionId) {
+      return this.conditions.get(conditionId.toLowerCase()) || null;
+    }
+
+    // Payout numerators may be omitted or null for unresolved conditions.
+    setCondition(
+      conditionId,
+      { outcomeSlotCount, payoutNumerators, payoutDenominator }
+    ) {
+      outcomeSlotCount = Number(outcomeSlotCount);
+      this.conditions.set(conditionId.toLowerCase(), {
+        outcomeSlotCount,
+        payoutNumerators:
+          payoutNumerators != null
+            ? payoutNumerators.map(toBigInt)
+            : Array.from({ length: outcomeSlotCount }, () => ZERO),
+        payoutDenominator:
+          payoutDenominator != null ? toBigInt(payoutDenominator) : ZERO
+      });
+    }
+
+    balanceOf(account, positionId) {
+      const holders = this.balances.get(positionKey(positionId));
+      return (holders && holders.get(account.toLowerCase())) || ZERO;
+    }
+
+    setBalance(account, positionId, balance) {
+      balance = toBigInt(balance);
+      const holders = getOrCreate(this.balances, positionKey(positionId));
+      if (balance === ZERO) holders.delete(account.toLowerCase());
+      else holders.set(account.toLowerCase(), balance);
+    }
+
+    // allowance is what the account allows ConditionalTokens to spend
+    getCollateral(collateralToken, account) {
+      const accounts = this.collateral.get(collateralToken.toLowerCase());
+      return (accounts && accounts.get(account.toLowerCase())) || null;
+    }
+
+    setCollateral(collateralToken, account, { balance, allowance }) {
+      const accounts = getOrCreate(
+        this.collateral,
+        collateralToken.toLowerCase()
+      );
+      accounts.set(account.toLowerCase(), {
+        balance: toBigInt(balance),
+        allowance: toBigInt(allowance)
+      });
+    }
+
+    // Runs fn against a fresh execution and turns reverts into results.
+    // With commit set, successful changes are written to the simulator.
+    _execute(from, { commit = false } = {}, fn) {
+      const execution = new Execution(this, from);
+      let extra;
+      try {
+        extra = fn(execution);
+      } catch (e) {
+        if (e instanceof Revert) return { success: false, reason: e.message };
+        throw e;
+      }
+      if (commit) execution.commit();
+      return Object.assign(execution.toResult(), extra);
+    }
+
+    prepareCondition({ from, oracle, questionId, outcomeSlotCount }, options) {
+      return this._execute(from || oracle, options, execution => {
+        outcomeSlotCount = toBigInt(outcomeSlotCount);
+        if (outcomeSlotCount > BigInt(256)) revert("too many outcome slots");
+        checkOutcomeSlotCount(outcomeSlotCount);
+        const conditionId = getConditionId(
+          oracle,
+          questionId,
+          outcomeSlotCount.toString()
+        );
+        if (execution.getCondition(conditionId) != null)
+          revert("condition already prepared");
+        execution.setCondition(conditionId, {
+          outcomeSlotCount: Number(outcomeSlotCount),
+          payoutNumerators: Array.from(
+            { length: Number(outcomeSlotCount) },
+            () => ZERO
+          ),
+          payoutDenominator: ZERO
+        });
+        return { conditionId };
+      });
+    }
+
+    // from is the oracle, which is part of the condition ID
+    reportPayouts({ from, questionId, payouts }, options) {
+      return this._execute(from, options, execution => {
+        const outcomeSlotCount = payouts.length;
+        checkOutcomeSlotCount(BigInt(outcomeSlotCount));
+        const conditionId = getConditionId(from, questionId, outcomeSlotCount);
+        const condition = execution.getCondition(conditionId);
+        if (
+          condition == null ||
+          condition.outcomeSlotCount !== outcomeSlotCount
+        )
+          revert("condition not prepared or found");
+        if (condition.payoutDenominator !== ZERO)
+          revert("payout denominator already set");
+
+        let den = ZERO;
+        const payoutNumerators = payouts.map((num, i) => {
+          num = toBigInt(num);
+          den = safeAdd(den, num);
+          if (condition.payoutNumerators[i] !== ZERO)
+            revert("payout numerator already set");
+          return num;
+        });
+        if (den === ZERO) revert("payout is all zeroes");
+        execution.setCondition(conditionId, {
+          outcomeSlotCount,
+          payoutNumerators,
+          payoutDenominator: den
+        });
+        return { conditionId };
+      });
+    }
+
+    splitPosition(params, options) {
+      return this._execute(params.from, options, execution => {
+        const { collateralToken, parentCollectionId } = params;
+        const amount = toBigInt(params.amount);
+        const { positionIds, unionPositionId } = checkPartition(
+          execution,
+          params
+        );
+
+        if (unionPositionId != null) execution.burn(unionPositionId, amount);
+        else if (isNullCollectionId(parentCollectionId))
+          execution.receiveCollateral(collateralToken, amount);
+        else
+          execution.burn(
+            getPositionId(collateralToken, parentCollectionId),
+            amount
+          );
+
+        positionIds.forEach(positionId => execution.mint(positionId, amount));
+      });
+    }
+
+    mergePositions(params, options) {
+      return this._execute(params.from, options, execution => {
+        const { collateralToken, parentCollectionId } = params;
+        const amount = toBigInt(params.amount);
+        const { positionIds, unionPositionId } = checkPartition(
+          execution,
+          params
+        );
+
+        positionIds.forEach(positionId => execution.burn(positionId, amount));
+
+        if (unionPositionId != null) execution.mint(unionPositionId, amount);
+        else if (isNullCollectionId(parentCollectionId))
+          execution.sendCollateral(collateralToken, amount);
+        else
+          execution.mint(
+            getPositionId(collateralToken, parentCollectionId),
+            amount
+          );
+      });
+    }
+
+    redeemPositions(
+      { from, collateralToken, parentCollectionId, conditionId, indexSets },
+      options
+    ) {
+      return this._execute(from, options, execution => {
+        const condition = execution.getCondition(conditionId);
+        if (condition == null || condition.payoutDenominator === ZERO)
+          revert("result for condition not received yet");
+        const {
+          outcomeSlotCount,
+          payoutNumerators,
+          payoutDenominator
+        } = condition;
+
+        const fullIndexSet = (ONE << BigInt(outcomeSlotCount)) - ONE;
+        let payout = ZERO;
+        for (let indexSet of indexSets) {
+          indexSet = toBigInt(indexSet);
+          if (indexSet <= ZERO || indexSet >= fullIndexSet)
+            revert("got invalid index set");
+          const positionId = getCollectionPositionId(
+            collateralToken,
+            parentCollectionId,
+            conditionId,
+            indexSet
+          );
+
+          const payoutNumerator = payoutNumerators.reduce(
+            (acc, num, j) =>
+              (indexSet >> BigInt(j)) & ONE ? safeAdd(acc, num) : acc,
+            ZERO
+          );
+
+          const stake = execution.balanceOf(execution.from, positionId);
+          if (stake > ZERO) {
+            payout = safeAdd(
+              payout,
+              safeMul(stake, payoutNumerator) / payoutDenominator
+            );
+            execution.burn(positionId, stake);
+          }
+        }
+
+        if (payout > ZERO) {
+          if (isNullCollectionId(parentCollectionId))
+            execution.sendCollateral(collateralToken, payout);
+          else
+            execution.mint(
+              getPositionId(collateralToken, parentCollectionId),
+              payout
+            );
+        }
+        return { payout };
+      });
+    }
+  }
+
+  return {
+    ConditionalTokensSimulator
+  };
+};